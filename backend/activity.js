@@ -0,0 +1,150 @@
+// Live backend activity from pg_stat_activity, with filtering, sorting and aggregates
+const dbManager = require('./db-manager');
+
+// Sort keys accepted by getActivity and the expression they order by
+const SORT_COLUMNS = {
+  pid: 'pid',
+  user: 'usename',
+  database: 'datname',
+  application: 'application_name',
+  state: 'state',
+  backendType: 'backend_type',
+  queryAge: 'query_seconds',
+  xactAge: 'xact_seconds',
+  backendAge: 'backend_seconds',
+  waitEventType: 'wait_event_type',
+};
+
+const ACTIVITY_QUERY = `
+  SELECT * FROM (
+    SELECT pid, usename, datname, application_name, client_addr::text AS client_addr,
+           client_hostname, client_port, backend_type, state,
+           wait_event_type, wait_event, backend_start, xact_start, query_start, state_change,
+           extract(epoch FROM now() - backend_start) AS backend_seconds,
+           extract(epoch FROM now() - xact_start) AS xact_seconds,
+           extract(epoch FROM now() - query_start) AS query_seconds,
+           backend_xid::text AS backend_xid, backend_xmin::text AS backend_xmin,
+           pg_blocking_pids(pid) AS blocked_by,
+           query
+    FROM pg_stat_activity
+    WHERE pid <> pg_backend_pid()
+      AND application_name IS DISTINCT FROM $1
+      AND coalesce(application_name, '') NOT LIKE $1 || ':%'
+  ) a
+`;
+
+function toSeconds(value) {
+  return value !== null ? parseFloat(value) : null;
+}
+
+// Build the WHERE clause for the supported filters
+function buildFilters({ state, user, database, application, minDuration }, params) {
+  const conditions = [];
+
+  const list = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+  if (state) {
+    params.push(list(state));
+    conditions.push(`state = ANY($${params.length})`);
+  }
+  if (user) {
+    params.push(list(user));
+    conditions.push(`usename = ANY($${params.length})`);
+  }
+  if (database) {
+    params.push(list(database));
+    conditions.push(`datname = ANY($${params.length})`);
+  }
+  if (application) {
+    params.push(`%${application}%`);
+    conditions.push(`application_name ILIKE $${params.length}`);
+  }
+  if (minDuration !== undefined && minDuration !== '') {
+    // Duration of the running query, or of the open transaction for idle-in-transaction backends
+    params.push(parseFloat(minDuration));
+    conditions.push(`coalesce(CASE WHEN state = 'active' THEN query_seconds END, xact_seconds, query_seconds) >= $${params.length}`);
+  }
+
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+function countBy(rows, field, fallback) {
+  const counts = {};
+  rows.forEach(row => {
+    const key = row[field] || fallback;
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return counts;
+}
+
+// Check the sort, order and minDuration options; returns an error message or null
+function validateOptions({ sort, order, minDuration }) {
+  if (sort !== undefined && !SORT_COLUMNS[sort]) {
+    return `Invalid sort '${sort}', expected one of ${Object.keys(SORT_COLUMNS).join(', ')}`;
+  }
+  if (order !== undefined && !['asc', 'desc'].includes(String(order).toLowerCase())) {
+    return `Invalid order '${order}', expected asc or desc`;
+  }
+  if (minDuration !== undefined && minDuration !== '' && isNaN(parseFloat(minDuration))) {
+    return `Invalid minDuration '${minDuration}'`;
+  }
+  return null;
+}
+
+// All backends except our own, filtered and sorted; `options` holds query-string values
+async function getActivity(pool, options = {}) {
+  const error = validateOptions(options);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const sort = options.sort || 'queryAge';
+  // Ages read best longest first, names alphabetically
+  const order = String(options.order || (sort.endsWith('Age') ? 'desc' : 'asc')).toLowerCase();
+
+  const params = [dbManager.applicationName];
+  const where = buildFilters(options, params);
+  const result = await pool.query(
+    `${ACTIVITY_QUERY} ${where} ORDER BY ${SORT_COLUMNS[sort]} ${order} NULLS LAST, pid`,
+    params,
+  );
+
+  const backends = result.rows.map(row => ({
+    pid: row.pid,
+    user: row.usename,
+    database: row.datname,
+    application: row.application_name,
+    clientAddr: row.client_addr,
+    clientHostname: row.client_hostname,
+    clientPort: row.client_port,
+    backendType: row.backend_type,
+    state: row.state,
+    waitEventType: row.wait_event_type,
+    waitEvent: row.wait_event,
+    backendStart: row.backend_start,
+    xactStart: row.xact_start,
+    queryStart: row.query_start,
+    stateChange: row.state_change,
+    backendSeconds: toSeconds(row.backend_seconds),
+    xactSeconds: toSeconds(row.xact_seconds),
+    querySeconds: toSeconds(row.query_seconds),
+    backendXid: row.backend_xid,
+    backendXmin: row.backend_xmin,
+    blockedBy: row.blocked_by,
+    query: row.query,
+  }));
+
+  return {
+    timestamp: new Date().toISOString(),
+    total: backends.length,
+    byState: countBy(backends, 'state', 'none'),
+    byWaitEventType: countBy(backends, 'waitEventType', 'none'),
+    blocked: backends.filter(backend => backend.blockedBy.length > 0).length,
+    backends,
+  };
+}
+
+module.exports = {
+  getActivity,
+  validateOptions,
+};
@@ -0,0 +1,642 @@
+// Alert manager: threshold rules evaluated against every registered connection
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const dbManager = require('./db-manager');
+const metricsHistory = require('./metrics-history');
+const queries = require('./queries');
+const notifiers = require('./notifiers');
+const credentialStore = require('./credential-store');
+
+const ALERT_CONFIG_FILE = path.join(__dirname, 'alert-config.json');
+
+// Open and recently resolved alerts, kept across restarts so firing alerts are not notified again
+const ALERT_STATE_FILE = path.join(__dirname, 'data', 'alert-state.json');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+// Resolved alerts kept in memory for /api/alerts
+const MAX_RESOLVED_ALERTS = 500;
+
+// Rows attached to an alert as evidence
+const MAX_MATCHES = 10;
+
+// Parse a condition such as `count > 0` or `n_dead_tup > 100000`
+function parseCondition(condition) {
+  const match = /^\s*(\w+)\s*(>=|<=|==|!=|>|<)\s*(-?\d+(?:\.\d+)?)\s*$/.exec(condition || '');
+  if (!match) {
+    return null;
+  }
+
+  return {
+    field: match[1],
+    operator: match[2],
+    threshold: parseFloat(match[3]),
+  };
+}
+
+class AlertManager {
+  constructor() {
+    this.rules = {};
+    this.notifiers = {};
+    this.silences = {};
+    this.alerts = {};
+    // Pending or firing alert id per `${ruleId}:${connectionId}`
+    this.active = {};
+    this.intervalSeconds = parseInt(process.env.ALERT_EVAL_INTERVAL, 10) || 60;
+    this.timer = null;
+    this.evaluating = false;
+    this.loadConfiguration();
+    this.loadState();
+  }
+
+  // Load rules, notifiers and silences
+  loadConfiguration() {
+    try {
+      if (fs.existsSync(ALERT_CONFIG_FILE)) {
+        const config = JSON.parse(fs.readFileSync(ALERT_CONFIG_FILE, 'utf8'));
+        this.rules = config.rules || {};
+        this.notifiers = config.notifiers || {};
+        this.silences = config.silences || {};
+        console.log(`Loaded ${Object.keys(this.rules).length} alert rules`);
+        this.migrateSecrets();
+      }
+    } catch (error) {
+      console.error('Error loading alert configuration:', error);
+    }
+  }
+
+  // Encrypt plaintext SMTP passwords left by older versions or edited in by hand
+  migrateSecrets() {
+    const plaintext = Object.values(this.notifiers).filter(notifier =>
+      notifier.password && !credentialStore.isEncrypted(notifier.password) && !credentialStore.isReference(notifier.password));
+    if (plaintext.length === 0) {
+      return;
+    }
+
+    if (credentialStore.hasMasterKey()) {
+      plaintext.forEach(notifier => {
+        notifier.password = credentialStore.protect(notifier.password);
+      });
+      console.log(`Encrypted ${plaintext.length} plaintext notifier passwords`);
+      this.saveConfiguration();
+    } else {
+      console.warn('Notifier passwords are stored in plaintext; set PGPATROL_MASTER_KEY or PGPATROL_MASTER_KEY_FILE to encrypt them');
+    }
+  }
+
+  // Load open and resolved alerts saved by a previous run
+  loadState() {
+    try {
+      if (fs.existsSync(ALERT_STATE_FILE)) {
+        const state = JSON.parse(fs.readFileSync(ALERT_STATE_FILE, 'utf8'));
+        this.alerts = state.alerts || {};
+        Object.entries(state.active || {})
+          .filter(([, alertId]) => this.alerts[alertId])
+          .forEach(([activeKey, alertId]) => {
+            this.active[activeKey] = alertId;
+          });
+      }
+    } catch (error) {
+      console.error('Error loading alert state:', error);
+    }
+  }
+
+  // Save open and resolved alerts to disk
+  saveState() {
+    try {
+      fs.mkdirSync(path.dirname(ALERT_STATE_FILE), { recursive: true });
+      fs.writeFileSync(ALERT_STATE_FILE, JSON.stringify({ alerts: this.alerts, active: this.active }));
+    } catch (error) {
+      console.error('Error saving alert state:', error);
+    }
+  }
+
+  // Save rules, notifiers and silences to disk
+  saveConfiguration() {
+    try {
+      fs.writeFileSync(ALERT_CONFIG_FILE, JSON.stringify({
+        rules: this.rules,
+        notifiers: this.notifiers,
+        silences: this.silences,
+      }, null, 2));
+    } catch (error) {
+      console.error('Error saving alert configuration:', error);
+    }
+  }
+
+  // Validate a rule definition, returning an error message or null
+  validateRule(rule) {
+    if (!rule.name || typeof rule.name !== 'string') {
+      return 'Rule name is required';
+    }
+    if (rule.description !== undefined && typeof rule.description !== 'string') {
+      return 'Description must be a string';
+    }
+
+    if (rule.key && rule.metric) {
+      return 'A rule references either an analysis key or a metric, not both';
+    }
+    if (rule.key && !queries.has(rule.key)) {
+      return `Unknown analysis key '${rule.key}'`;
+    }
+    if (rule.metric && !metricsHistory.hasMetric(rule.metric)) {
+      return `Unknown metric '${rule.metric}'`;
+    }
+    if (!rule.key && !rule.metric) {
+      return 'Either an analysis key or a metric is required';
+    }
+
+    const condition = parseCondition(rule.condition);
+    if (!condition) {
+      return "Condition must look like '<field> <operator> <number>', e.g. 'count > 0'";
+    }
+    if (rule.metric && condition.field !== 'value') {
+      return "Metric rules compare the sampled 'value', e.g. 'value > 100'";
+    }
+
+    if (!SEVERITIES.includes(rule.severity)) {
+      return `Severity must be one of: ${SEVERITIES.join(', ')}`;
+    }
+    if (!Number.isFinite(rule.duration) || rule.duration < 0) {
+      return 'Duration must be a non-negative number of seconds';
+    }
+    if (rule.connections !== undefined && rule.connections !== null) {
+      if (!Array.isArray(rule.connections) || rule.connections.some(id => typeof id !== 'string')) {
+        return 'Connections must be an array of connection ids';
+      }
+      const unknown = rule.connections.find(id => !dbManager.connections[id] || dbManager.connections[id].temporary);
+      if (unknown) {
+        return `Unknown database connection '${unknown}'`;
+      }
+    }
+    if (rule.notifiers !== undefined && rule.notifiers !== null) {
+      if (!Array.isArray(rule.notifiers) || rule.notifiers.some(id => typeof id !== 'string')) {
+        return 'Notifiers must be an array of notifier ids';
+      }
+      if (rule.notifiers.some(id => !this.notifiers[id])) {
+        return 'Rule references an unknown notifier';
+      }
+    }
+
+    return null;
+  }
+
+  // Pick the known rule fields from a request body
+  normalizeRule(input, existing = {}) {
+    const rule = { ...existing };
+    ['name', 'description', 'key', 'metric', 'condition', 'severity', 'connections', 'notifiers']
+      .forEach(field => {
+        if (input[field] !== undefined) {
+          rule[field] = input[field];
+        }
+      });
+
+    rule.duration = input.duration !== undefined ? Number(input.duration) : (existing.duration || 0);
+    rule.severity = rule.severity || 'warning';
+    rule.enabled = input.enabled !== undefined ? Boolean(input.enabled) : existing.enabled !== false;
+    return rule;
+  }
+
+  getRules() {
+    return Object.entries(this.rules).map(([id, rule]) => ({ id, ...rule }));
+  }
+
+  getRule(id) {
+    return this.rules[id] ? { id, ...this.rules[id] } : null;
+  }
+
+  createRule(input) {
+    const rule = this.normalizeRule(input);
+    const error = this.validateRule(rule);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const id = `rule_${Date.now()}`;
+    this.rules[id] = rule;
+    this.saveConfiguration();
+
+    return { success: true, rule: { id, ...rule } };
+  }
+
+  updateRule(id, input) {
+    if (!this.rules[id]) {
+      throw new Error(`Alert rule '${id}' not found`);
+    }
+
+    const rule = this.normalizeRule(input, this.rules[id]);
+    const error = this.validateRule(rule);
+    if (error) {
+      return { success: false, error };
+    }
+
+    this.rules[id] = rule;
+    // Re-evaluate from scratch with the new definition
+    this.resolveRule(id);
+    this.saveConfiguration();
+    this.saveState();
+
+    return { success: true, rule: { id, ...rule } };
+  }
+
+  deleteRule(id) {
+    if (!this.rules[id]) {
+      throw new Error(`Alert rule '${id}' not found`);
+    }
+
+    this.resolveRule(id);
+    delete this.rules[id];
+    this.saveConfiguration();
+    this.saveState();
+
+    return { success: true };
+  }
+
+  // Close the open alerts of a rule without notifying
+  resolveRule(ruleId) {
+    Object.keys(this.active)
+      .filter(activeKey => activeKey.startsWith(`${ruleId}:`))
+      .forEach(activeKey => {
+        const alert = this.alerts[this.active[activeKey]];
+        if (alert.status === 'pending') {
+          delete this.alerts[alert.id];
+        } else {
+          alert.status = 'resolved';
+          alert.resolvedAt = new Date().toISOString();
+        }
+        delete this.active[activeKey];
+      });
+  }
+
+  // Resolve the open alerts of a removed connection; firing alerts send their resolution
+  resolveConnection(connectionId) {
+    const activeKeys = Object.keys(this.active)
+      .filter(activeKey => this.alerts[this.active[activeKey]].connectionId === connectionId);
+    if (activeKeys.length === 0) {
+      return;
+    }
+
+    activeKeys.forEach(activeKey => {
+      const alert = this.alerts[this.active[activeKey]];
+      delete this.active[activeKey];
+      if (alert.status === 'pending') {
+        delete this.alerts[alert.id];
+        return;
+      }
+
+      alert.status = 'resolved';
+      alert.resolvedAt = new Date().toISOString();
+      alert.resolvedReason = 'connection removed';
+      const rule = this.getRule(alert.ruleId);
+      if (rule) {
+        this.notify(rule, alert);
+      }
+    });
+    this.pruneResolved();
+    this.saveState();
+  }
+
+  // List alerts, newest first, optionally filtered by status and connection
+  getAlerts({ status, connectionId } = {}) {
+    return Object.values(this.alerts)
+      .filter(alert => !status || alert.status === status)
+      .filter(alert => !connectionId || alert.connectionId === connectionId)
+      .map(alert => ({ ...alert, silenced: this.isSilenced(alert) }))
+      .sort((a, b) => b.startsAt.localeCompare(a.startsAt));
+  }
+
+  acknowledge(id, by) {
+    const alert = this.alerts[id];
+    if (!alert) {
+      throw new Error(`Alert '${id}' not found`);
+    }
+
+    alert.acknowledged = {
+      by: by || 'anonymous',
+      at: new Date().toISOString(),
+    };
+    this.saveState();
+
+    return { success: true, alert };
+  }
+
+  getSilences() {
+    const now = new Date().toISOString();
+    return Object.entries(this.silences)
+      .filter(([, silence]) => silence.endsAt > now)
+      .map(([id, silence]) => ({ id, ...silence }));
+  }
+
+  // Silence notifications for a rule and/or connection until `endsAt`
+  createSilence({ ruleId, connectionId, endsAt, comment, createdBy }) {
+    const ends = Date.parse(endsAt);
+    if (isNaN(ends) || ends <= Date.now()) {
+      return { success: false, error: 'endsAt must be a timestamp in the future' };
+    }
+    if (!ruleId && !connectionId) {
+      return { success: false, error: 'A silence needs a ruleId, a connectionId or both' };
+    }
+
+    const id = `silence_${Date.now()}`;
+    this.silences[id] = {
+      ruleId: ruleId || null,
+      connectionId: connectionId || null,
+      endsAt: new Date(ends).toISOString(),
+      comment: comment || '',
+      createdBy: createdBy || 'anonymous',
+      createdAt: new Date().toISOString(),
+    };
+    this.saveConfiguration();
+
+    return { success: true, silence: { id, ...this.silences[id] } };
+  }
+
+  deleteSilence(id) {
+    if (!this.silences[id]) {
+      throw new Error(`Silence '${id}' not found`);
+    }
+
+    delete this.silences[id];
+    this.saveConfiguration();
+
+    return { success: true };
+  }
+
+  isSilenced(alert) {
+    return this.getSilences().some(silence =>
+      (!silence.ruleId || silence.ruleId === alert.ruleId) &&
+      (!silence.connectionId || silence.connectionId === alert.connectionId));
+  }
+
+  // List notifiers without their secrets
+  getNotifiers() {
+    return Object.entries(this.notifiers).map(([id, notifier]) => {
+      const { password, ...visible } = notifier;
+      return { id, ...visible };
+    });
+  }
+
+  createNotifier(notifier) {
+    const error = notifiers.validateNotifier(notifier);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const id = `notifier_${Date.now()}`;
+    this.notifiers[id] = {
+      name: notifier.name || `${notifier.type} ${Object.keys(this.notifiers).length + 1}`,
+      ...notifier,
+    };
+    if (notifier.password) {
+      this.notifiers[id].password = credentialStore.protect(notifier.password);
+    }
+    this.saveConfiguration();
+
+    return { success: true, id };
+  }
+
+  deleteNotifier(id) {
+    if (!this.notifiers[id]) {
+      throw new Error(`Notifier '${id}' not found`);
+    }
+
+    delete this.notifiers[id];
+    Object.values(this.rules).forEach(rule => {
+      if (rule.notifiers) {
+        rule.notifiers = rule.notifiers.filter(notifierId => notifierId !== id);
+      }
+    });
+    this.saveConfiguration();
+
+    return { success: true };
+  }
+
+  // Send a sample alert through a notifier
+  async testNotifier(id) {
+    if (!this.notifiers[id]) {
+      throw new Error(`Notifier '${id}' not found`);
+    }
+
+    try {
+      await notifiers.send(this.resolveNotifier(id), {
+        id: 'test',
+        ruleName: 'Test alert',
+        connectionName: 'pgpatrol',
+        severity: 'info',
+        status: 'firing',
+        condition: 'count > 0',
+        value: 1,
+        startsAt: new Date().toISOString(),
+      });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Start the evaluation scheduler
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.evaluateAll(), this.intervalSeconds * 1000);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Notifier config with its stored password turned back into the usable value
+  resolveNotifier(id) {
+    const notifier = this.notifiers[id];
+    return notifier.password
+      ? { ...notifier, password: credentialStore.resolve(notifier.password) }
+      : notifier;
+  }
+
+  // Evaluate all enabled rules against every registered connection
+  async evaluateAll() {
+    if (this.evaluating) {
+      return;
+    }
+
+    // Connections removed outside the API (or temporary ones that went away) still get resolved
+    new Set(Object.values(this.active).map(alertId => this.alerts[alertId].connectionId))
+      .forEach(connectionId => {
+        if (!dbManager.connections[connectionId]) {
+          this.resolveConnection(connectionId);
+        }
+      });
+
+    const rules = this.getRules().filter(rule => rule.enabled);
+    if (rules.length === 0) {
+      return;
+    }
+
+    this.evaluating = true;
+    try {
+      const ids = Object.keys(dbManager.connections)
+        .filter(id => !dbManager.connections[id].temporary);
+
+      await Promise.all(ids.map(id => this.evaluateConnection(id, rules)));
+      this.saveState();
+    } catch (error) {
+      console.error('Error evaluating alert rules:', error);
+    } finally {
+      this.evaluating = false;
+    }
+  }
+
+  async evaluateConnection(connectionId, rules) {
+    const applicable = rules.filter(rule =>
+      !rule.connections || rule.connections.length === 0 || rule.connections.includes(connectionId));
+    if (applicable.length === 0) {
+      return;
+    }
+
+    let client;
+    try {
+      client = await dbManager.getMonitorPool(connectionId).connect();
+    } catch (error) {
+      console.warn(`Unable to evaluate alert rules for database ${connectionId}:`, error.message);
+      return;
+    }
+
+    try {
+      for (const rule of applicable) {
+        try {
+          const sql = rule.key
+            ? queries.resolve(rule.key, await dbManager.getCapabilities(connectionId))
+            : metricsHistory.getMetricQuery(rule.metric);
+          const result = await client.query(sql);
+          this.applyResult(rule, connectionId, this.checkCondition(rule, result.rows));
+        } catch (error) {
+          console.warn(`Unable to evaluate alert rule ${rule.id} for database ${connectionId}:`, error.message);
+        }
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  // Compare rows against the rule condition
+  checkCondition(rule, rows) {
+    const { field, operator, threshold } = parseCondition(rule.condition);
+    const compare = OPERATORS[operator];
+
+    if (field === 'count') {
+      return {
+        matched: compare(rows.length, threshold),
+        value: rows.length,
+        matches: rows.slice(0, MAX_MATCHES),
+      };
+    }
+
+    // Row conditions hold when any row matches; report the most extreme value
+    const matches = rows.filter(row => row[field] !== null && compare(Number(row[field]), threshold));
+    const values = matches.map(row => Number(row[field]));
+    const value = values.length === 0
+      ? null
+      : operator.startsWith('<') ? Math.min(...values) : Math.max(...values);
+
+    return {
+      matched: matches.length > 0,
+      value,
+      matches: matches.slice(0, MAX_MATCHES),
+    };
+  }
+
+  // Move the alert of a rule/connection pair through pending -> firing -> resolved
+  applyResult(rule, connectionId, { matched, value, matches }) {
+    const activeKey = `${rule.id}:${connectionId}`;
+    const now = new Date();
+    let alert = this.alerts[this.active[activeKey]];
+
+    if (!matched) {
+      if (alert) {
+        delete this.active[activeKey];
+        if (alert.status === 'firing') {
+          alert.status = 'resolved';
+          alert.resolvedAt = now.toISOString();
+          this.notify(rule, alert);
+          this.pruneResolved();
+        } else {
+          delete this.alerts[alert.id];
+        }
+      }
+      return;
+    }
+
+    if (!alert) {
+      alert = {
+        id: uuidv4(),
+        ruleId: rule.id,
+        ruleName: rule.name,
+        connectionId,
+        connectionName: dbManager.connections[connectionId].name,
+        severity: rule.severity,
+        condition: rule.condition,
+        status: 'pending',
+        startsAt: now.toISOString(),
+        firedAt: null,
+        resolvedAt: null,
+        acknowledged: null,
+      };
+      this.alerts[alert.id] = alert;
+      this.active[activeKey] = alert.id;
+    }
+
+    alert.value = value;
+    alert.matches = matches;
+    alert.lastEvaluatedAt = now.toISOString();
+
+    if (alert.status === 'pending' && now - new Date(alert.startsAt) >= rule.duration * 1000) {
+      alert.status = 'firing';
+      alert.firedAt = now.toISOString();
+      this.notify(rule, alert);
+    }
+  }
+
+  // Deliver an alert to the rule's notifiers (all notifiers when none are listed)
+  notify(rule, alert) {
+    if (this.isSilenced(alert)) {
+      return;
+    }
+
+    const ids = rule.notifiers && rule.notifiers.length > 0 ? rule.notifiers : Object.keys(this.notifiers);
+    ids.filter(id => this.notifiers[id]).forEach(id => {
+      Promise.resolve()
+        .then(() => notifiers.send(this.resolveNotifier(id), alert))
+        .catch(error => {
+          console.warn(`Notifier ${id} failed for alert ${alert.id}:`, error.message);
+        });
+    });
+  }
+
+  // Drop the oldest resolved alerts beyond the retention limit
+  pruneResolved() {
+    const resolved = Object.values(this.alerts)
+      .filter(alert => alert.status === 'resolved')
+      .sort((a, b) => a.resolvedAt.localeCompare(b.resolvedAt));
+
+    resolved.slice(0, Math.max(0, resolved.length - MAX_RESOLVED_ALERTS)).forEach(alert => {
+      delete this.alerts[alert.id];
+    });
+  }
+}
+
+module.exports = new AlertManager();
@@ -0,0 +1,58 @@
+// Audit log: append-only record of actions taken against monitored databases
+const fs = require('fs');
+const path = require('path');
+
+const AUDIT_FILE = path.join(__dirname, 'data', 'audit.jsonl');
+
+// Entries returned by a single query unless a lower limit is requested
+const MAX_ENTRIES = 1000;
+
+class AuditLog {
+  // Append an entry; failures are logged but never block the audited action
+  async record(entry) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+
+    try {
+      await fs.promises.mkdir(path.dirname(AUDIT_FILE), { recursive: true });
+      await fs.promises.appendFile(AUDIT_FILE, line + '\n');
+    } catch (error) {
+      console.error('Error writing audit log:', error);
+    }
+  }
+
+  // Query entries, newest first
+  async query({ from, to, action, username, connectionId, limit } = {}) {
+    let content;
+    try {
+      content = await fs.promises.readFile(AUDIT_FILE, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    content.split('\n').forEach(line => {
+      if (!line) {
+        return;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Ignore a torn trailing line left by an interrupted write
+      }
+    });
+
+    return entries
+      .filter(entry => !from || entry.timestamp >= from)
+      .filter(entry => !to || entry.timestamp <= to)
+      .filter(entry => !action || entry.action === action)
+      .filter(entry => !username || entry.username === username)
+      .filter(entry => !connectionId || entry.connectionId === connectionId)
+      .reverse()
+      .slice(0, Math.min(limit || MAX_ENTRIES, MAX_ENTRIES));
+  }
+}
+
+module.exports = new AuditLog();
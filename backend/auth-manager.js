@@ -0,0 +1,283 @@
+// Authentication: local users, hashed passwords, API tokens and roles
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const USERS_FILE = path.join(__dirname, 'users.json');
+
+// Each role includes the permissions of the roles before it
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const TOKEN_PREFIX = 'pgp_';
+
+// Token use is written to disk at most this often per token, not on every request
+const TOKEN_USAGE_SAVE_MS = 60 * 1000;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// API tokens are stored as SHA-256 digests; the clear token is shown once
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class AuthManager {
+  constructor() {
+    this.users = {};
+    this.loadUsers();
+  }
+
+  // Load users, creating the initial admin account on first start
+  loadUsers() {
+    try {
+      if (fs.existsSync(USERS_FILE)) {
+        this.users = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+        console.log(`Loaded ${Object.keys(this.users).length} users`);
+      }
+    } catch (error) {
+      console.error('Error loading users:', error);
+    }
+
+    if (Object.keys(this.users).length === 0) {
+      const password = process.env.PGPATROL_ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+      this.users['admin'] = {
+        passwordHash: hashPassword(password),
+        role: 'admin',
+        connections: null,
+        tokens: {},
+        createdAt: new Date().toISOString(),
+      };
+      this.saveUsers();
+
+      if (process.env.PGPATROL_ADMIN_PASSWORD) {
+        console.log("Created user 'admin' with the password from PGPATROL_ADMIN_PASSWORD");
+      } else {
+        console.log(`Created user 'admin' with generated password: ${password}`);
+      }
+    }
+  }
+
+  saveUsers() {
+    try {
+      fs.writeFileSync(USERS_FILE, JSON.stringify(this.users, null, 2), { mode: 0o600 });
+    } catch (error) {
+      console.error('Error saving users:', error);
+    }
+  }
+
+  // Public view of a user, without password or token hashes
+  describeUser(username) {
+    const user = this.users[username];
+    if (!user) {
+      return null;
+    }
+
+    return {
+      username,
+      role: user.role,
+      connections: user.connections,
+      createdAt: user.createdAt,
+    };
+  }
+
+  getUsers() {
+    return Object.keys(this.users).map(username => this.describeUser(username));
+  }
+
+  // Check a username/password pair, returning the user or null
+  authenticate(username, password) {
+    if (typeof username !== 'string' || typeof password !== 'string' ||
+        !Object.prototype.hasOwnProperty.call(this.users, username)) {
+      return null;
+    }
+    const user = this.users[username];
+    if (!password || !verifyPassword(password, user.passwordHash)) {
+      return null;
+    }
+    return this.describeUser(username);
+  }
+
+  isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  // Resolve an API token to its user and token id
+  verifyToken(token) {
+    const digest = hashToken(token);
+
+    for (const [username, user] of Object.entries(this.users)) {
+      for (const [tokenId, stored] of Object.entries(user.tokens || {})) {
+        if (stored.hash === digest) {
+          const previous = stored.lastUsedAt ? Date.parse(stored.lastUsedAt) : 0;
+          stored.lastUsedAt = new Date().toISOString();
+          if (Date.now() - previous >= TOKEN_USAGE_SAVE_MS) {
+            this.saveUsers();
+          }
+          return { user: this.describeUser(username), tokenId };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Whether a role grants at least the permissions of `required`
+  hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+
+  // Whether a user may use a connection; `null` connections means all of them
+  canAccessConnection(user, connectionId) {
+    return !user.connections || user.connections.includes(connectionId);
+  }
+
+  // Validate user fields, returning an error message or null
+  validateUser({ role, password, connections }, creating) {
+    if (creating && !password) {
+      return 'Password is required';
+    }
+    if (password !== undefined && String(password).length < 8) {
+      return 'Password must be at least 8 characters';
+    }
+    if ((creating || role !== undefined) && !ROLES.includes(role)) {
+      return `Role must be one of: ${ROLES.join(', ')}`;
+    }
+    if (connections !== undefined && connections !== null && !Array.isArray(connections)) {
+      return 'Connections must be a list of connection ids or null for all';
+    }
+    return null;
+  }
+
+  createUser({ username, password, role, connections }) {
+    if (!username || !/^[\w.@-]+$/.test(username)) {
+      return { success: false, error: 'Username may only contain letters, digits and . _ @ -' };
+    }
+    if (this.users[username]) {
+      return { success: false, error: `User '${username}' already exists` };
+    }
+
+    const error = this.validateUser({ role, password, connections }, true);
+    if (error) {
+      return { success: false, error };
+    }
+
+    this.users[username] = {
+      passwordHash: hashPassword(password),
+      role,
+      connections: connections || null,
+      tokens: {},
+      createdAt: new Date().toISOString(),
+    };
+    this.saveUsers();
+
+    return { success: true, user: this.describeUser(username) };
+  }
+
+  updateUser(username, { password, role, connections }) {
+    const user = this.users[username];
+    if (!user) {
+      throw new Error(`User '${username}' not found`);
+    }
+
+    const error = this.validateUser({ role, password, connections }, false);
+    if (error) {
+      return { success: false, error };
+    }
+
+    // Keep at least one administrator
+    if (role !== undefined && role !== 'admin' && user.role === 'admin' && this.countAdmins() === 1) {
+      return { success: false, error: 'Cannot demote the last admin user' };
+    }
+
+    if (password !== undefined) {
+      user.passwordHash = hashPassword(password);
+    }
+    if (role !== undefined) {
+      user.role = role;
+    }
+    if (connections !== undefined) {
+      user.connections = connections;
+    }
+    this.saveUsers();
+
+    return { success: true, user: this.describeUser(username) };
+  }
+
+  deleteUser(username) {
+    const user = this.users[username];
+    if (!user) {
+      throw new Error(`User '${username}' not found`);
+    }
+    if (user.role === 'admin' && this.countAdmins() === 1) {
+      throw new Error('Cannot delete the last admin user');
+    }
+
+    delete this.users[username];
+    this.saveUsers();
+
+    return { success: true };
+  }
+
+  countAdmins() {
+    return Object.values(this.users).filter(user => user.role === 'admin').length;
+  }
+
+  getTokens(username) {
+    const user = this.users[username];
+    return Object.entries((user && user.tokens) || {}).map(([id, token]) => ({
+      id,
+      name: token.name,
+      createdAt: token.createdAt,
+      lastUsedAt: token.lastUsedAt || null,
+    }));
+  }
+
+  // Create an API token for automation; the clear value is only returned here
+  createToken(username, name) {
+    const user = this.users[username];
+    if (!user) {
+      throw new Error(`User '${username}' not found`);
+    }
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+    const id = `token_${crypto.randomBytes(8).toString('hex')}`;
+
+    user.tokens = user.tokens || {};
+    user.tokens[id] = {
+      name: name || id,
+      hash: hashToken(token),
+      createdAt: new Date().toISOString(),
+    };
+    this.saveUsers();
+
+    return { success: true, id, token };
+  }
+
+  deleteToken(username, id) {
+    const user = this.users[username];
+    if (!user || !user.tokens || !user.tokens[id]) {
+      throw new Error(`Token '${id}' not found`);
+    }
+
+    delete user.tokens[id];
+    this.saveUsers();
+
+    return { success: true };
+  }
+}
+
+module.exports = new AuthManager();
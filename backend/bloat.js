@@ -0,0 +1,298 @@
+// Table and B-tree index bloat estimation from catalog statistics, with pgstattuple for exact figures
+const { quoteIdent } = require('./sql-quote');
+
+// Estimates follow the widely used pgsql-bloat-estimation queries: expected pages are
+// derived from pg_stats average widths, null fractions, alignment and fillfactor
+const TABLE_BLOAT_QUERY = `
+  SELECT schemaname, tblname, bs * tblpages AS real_size,
+         est_tblpages_ff * bs AS expected_size,
+         fillfactor, is_na
+  FROM (
+    SELECT ceil(reltuples / ((bs - page_hdr) * fillfactor / (tpl_size * 100))) + ceil(toasttuples / 4) AS est_tblpages_ff,
+           tblpages, fillfactor, bs, schemaname, tblname, is_na
+    FROM (
+      SELECT (4 + tpl_hdr_size + tpl_data_size + (2 * ma)
+                - CASE WHEN tpl_hdr_size % ma = 0 THEN ma ELSE tpl_hdr_size % ma END
+                - CASE WHEN ceil(tpl_data_size)::int % ma = 0 THEN ma ELSE ceil(tpl_data_size)::int % ma END
+             ) AS tpl_size,
+             (heappages + toastpages) AS tblpages, reltuples, toasttuples, bs, page_hdr,
+             schemaname, tblname, fillfactor, is_na
+      FROM (
+        SELECT ns.nspname AS schemaname, tbl.relname AS tblname, tbl.reltuples,
+               tbl.relpages AS heappages, coalesce(toast.relpages, 0) AS toastpages,
+               coalesce(toast.reltuples, 0) AS toasttuples,
+               coalesce(substring(array_to_string(tbl.reloptions, ' ') FROM 'fillfactor=([0-9]+)')::smallint, 100) AS fillfactor,
+               current_setting('block_size')::numeric AS bs,
+               CASE WHEN version() ~ 'mingw32|64-bit|x86_64|ppc64|ia64|amd64|aarch64' THEN 8 ELSE 4 END AS ma,
+               24 AS page_hdr,
+               23 + CASE WHEN max(coalesce(s.null_frac, 0)) > 0 THEN (7 + count(s.attname)) / 8 ELSE 0::int END AS tpl_hdr_size,
+               sum((1 - coalesce(s.null_frac, 0)) * coalesce(s.avg_width, 0)) AS tpl_data_size,
+               bool_or(att.atttypid = 'pg_catalog.name'::regtype)
+                 OR sum(CASE WHEN att.attnum > 0 THEN 1 ELSE 0 END) <> count(s.attname) AS is_na
+        FROM pg_attribute att
+        JOIN pg_class tbl ON att.attrelid = tbl.oid
+        JOIN pg_namespace ns ON ns.oid = tbl.relnamespace
+        LEFT JOIN pg_stats s ON s.schemaname = ns.nspname AND s.tablename = tbl.relname
+                            AND s.inherited = false AND s.attname = att.attname
+        LEFT JOIN pg_class toast ON tbl.reltoastrelid = toast.oid
+        WHERE NOT att.attisdropped
+          AND att.attnum > 0
+          AND tbl.relkind IN ('r', 'm')
+          AND tbl.relpages > 0
+          AND ns.nspname NOT IN ('pg_catalog', 'information_schema')
+          AND ns.nspname NOT LIKE 'pg_toast%'
+        GROUP BY 1, 2, 3, 4, 5, 6, 7, 8, 9, 10
+      ) AS table_stats
+    ) AS tuple_sizes
+  ) AS page_estimates
+`;
+
+const INDEX_BLOAT_QUERY = `
+  SELECT nspname AS schemaname, tblname, idxname, bs * relpages AS real_size,
+         bs * est_pages_ff AS expected_size, fillfactor, is_na
+  FROM (
+    SELECT coalesce(1 + ceil(reltuples / floor((bs - pageopqdata - pagehdr) * fillfactor / (100 * (4 + nulldatahdrwidth)::float))), 0) AS est_pages_ff,
+           bs, nspname, tblname, idxname, relpages, fillfactor, is_na
+    FROM (
+      SELECT maxalign, bs, nspname, tblname, idxname, reltuples, relpages, fillfactor, pagehdr, pageopqdata, is_na,
+             (index_tuple_hdr_bm + maxalign
+                - CASE WHEN index_tuple_hdr_bm % maxalign = 0 THEN maxalign ELSE index_tuple_hdr_bm % maxalign END
+                + nulldatawidth + maxalign
+                - CASE WHEN nulldatawidth = 0 THEN 0
+                       WHEN nulldatawidth::integer % maxalign = 0 THEN maxalign
+                       ELSE nulldatawidth::integer % maxalign END
+             )::numeric AS nulldatahdrwidth
+      FROM (
+        SELECT n.nspname, i.tblname, i.idxname, i.reltuples, i.relpages, i.fillfactor,
+               current_setting('block_size')::numeric AS bs,
+               CASE WHEN version() ~ 'mingw32|64-bit|x86_64|ppc64|ia64|amd64|aarch64' THEN 8 ELSE 4 END AS maxalign,
+               24 AS pagehdr,
+               16 AS pageopqdata,
+               CASE WHEN max(coalesce(s.null_frac, 0)) = 0 THEN 8 ELSE 8 + ((32 + 8 - 1) / 8) END AS index_tuple_hdr_bm,
+               sum((1 - coalesce(s.null_frac, 0)) * coalesce(s.avg_width, 1024)) AS nulldatawidth,
+               max(CASE WHEN i.atttypid = 'pg_catalog.name'::regtype THEN 1 ELSE 0 END) > 0 AS is_na
+        FROM (
+          SELECT ct.relname AS tblname, ct.relnamespace, ic.idxname, ic.reltuples, ic.relpages, ic.fillfactor,
+                 coalesce(a1.attname, a2.attname) AS attname,
+                 coalesce(a1.atttypid, a2.atttypid) AS atttypid,
+                 CASE WHEN a1.attnum IS NULL THEN ic.idxname ELSE ct.relname END AS attrelname
+          FROM (
+            SELECT idxname, reltuples, relpages, tbloid, idxoid, fillfactor, indkey,
+                   generate_series(1, indnatts) AS attpos
+            FROM (
+              SELECT ci.relname AS idxname, ci.reltuples, ci.relpages, i.indrelid AS tbloid,
+                     i.indexrelid AS idxoid, i.indnatts,
+                     coalesce(substring(array_to_string(ci.reloptions, ' ') FROM 'fillfactor=([0-9]+)')::smallint, 90) AS fillfactor,
+                     string_to_array(textin(int2vectorout(i.indkey)), ' ')::int[] AS indkey
+              FROM pg_index i
+              JOIN pg_class ci ON ci.oid = i.indexrelid
+              WHERE ci.relam = (SELECT oid FROM pg_am WHERE amname = 'btree')
+                AND ci.relpages > 0
+            ) AS idx_data
+          ) AS ic
+          JOIN pg_class ct ON ct.oid = ic.tbloid
+          LEFT JOIN pg_attribute a1 ON ic.indkey[ic.attpos] <> 0
+                                   AND a1.attrelid = ic.tbloid AND a1.attnum = ic.indkey[ic.attpos]
+          LEFT JOIN pg_attribute a2 ON ic.indkey[ic.attpos] = 0
+                                   AND a2.attrelid = ic.idxoid AND a2.attnum = ic.attpos
+        ) i
+        JOIN pg_namespace n ON n.oid = i.relnamespace
+        JOIN pg_stats s ON s.schemaname = n.nspname AND s.tablename = i.attrelname AND s.attname = i.attname
+        WHERE n.nspname NOT IN ('pg_catalog', 'information_schema')
+        GROUP BY 1, 2, 3, 4, 5, 6
+      ) AS rows_data_stats
+    ) AS rows_hdr_pdg_stats
+  ) AS relation_stats
+`;
+
+// Bloat below either threshold is not worth acting on
+const MIN_BLOAT_RATIO = 20;
+const MIN_BLOAT_BYTES = 10 * 1024 * 1024;
+// Tables above this size are rewritten online with pg_repack rather than VACUUM FULL
+const REPACK_MIN_BYTES = 1024 * 1024 * 1024;
+
+function tableAction(realSize, bloatBytes, ratio) {
+  if (ratio < MIN_BLOAT_RATIO || bloatBytes < MIN_BLOAT_BYTES) {
+    return { action: 'none', reason: 'Bloat is within normal bounds' };
+  }
+  if (ratio < 50) {
+    return { action: 'VACUUM', reason: 'Free space can be reused by new rows once vacuumed' };
+  }
+  if (realSize >= REPACK_MIN_BYTES) {
+    return { action: 'pg_repack', reason: 'Large table; rewrite online to avoid a long exclusive lock' };
+  }
+  return { action: 'VACUUM FULL', reason: 'Most of the table is wasted; needs an exclusive-lock rewrite in a maintenance window' };
+}
+
+function indexAction(bloatBytes, ratio, version) {
+  if (ratio < MIN_BLOAT_RATIO || bloatBytes < MIN_BLOAT_BYTES) {
+    return { action: 'none', reason: 'Bloat is within normal bounds' };
+  }
+  if (version >= 120000) {
+    return { action: 'REINDEX CONCURRENTLY', reason: 'Rebuild the index without blocking writes' };
+  }
+  return { action: 'pg_repack', reason: 'REINDEX CONCURRENTLY needs PostgreSQL 12; rebuild online with pg_repack --index' };
+}
+
+function bloatFigures(row) {
+  const realSize = parseFloat(row.real_size);
+  const expectedSize = Math.min(parseFloat(row.expected_size), realSize);
+  const bloatBytes = Math.max(realSize - expectedSize, 0);
+
+  return {
+    realSize,
+    expectedSize,
+    bloatBytes,
+    bloatRatio: realSize > 0 ? (100 * bloatBytes) / realSize : 0,
+    fillfactor: parseInt(row.fillfactor, 10),
+    // Estimates are unreliable without statistics for every column
+    estimateReliable: !row.is_na,
+  };
+}
+
+async function serverVersion(pool) {
+  const result = await pool.query('SHOW server_version_num');
+  return parseInt(result.rows[0].server_version_num, 10);
+}
+
+// Estimated bloat of every table and B-tree index, largest first
+async function estimateBloat(pool, { minBytes = 0 } = {}) {
+  const version = await serverVersion(pool);
+  const tables = await pool.query(TABLE_BLOAT_QUERY);
+  const indexes = await pool.query(INDEX_BLOAT_QUERY);
+
+  const tableRows = tables.rows
+    .map(row => {
+      const figures = bloatFigures(row);
+      const { action, reason } = tableAction(figures.realSize, figures.bloatBytes, figures.bloatRatio);
+      const relation = `${quoteIdent(row.schemaname)}.${quoteIdent(row.tblname)}`;
+
+      return {
+        schema: row.schemaname,
+        table: row.tblname,
+        ...figures,
+        action,
+        reason,
+        command: action === 'none' ? null
+          : action === 'pg_repack' ? `pg_repack --table=${relation}`
+            : `${action} ${relation};`,
+      };
+    })
+    .filter(row => row.bloatBytes >= minBytes)
+    .sort((a, b) => b.bloatBytes - a.bloatBytes);
+
+  const indexRows = indexes.rows
+    .map(row => {
+      const figures = bloatFigures(row);
+      const { action, reason } = indexAction(figures.bloatBytes, figures.bloatRatio, version);
+      const relation = `${quoteIdent(row.schemaname)}.${quoteIdent(row.idxname)}`;
+
+      return {
+        schema: row.schemaname,
+        table: row.tblname,
+        index: row.idxname,
+        ...figures,
+        action,
+        reason,
+        command: action === 'none' ? null
+          : action === 'pg_repack' ? `pg_repack --index=${relation}`
+            : `REINDEX INDEX CONCURRENTLY ${relation};`,
+      };
+    })
+    .filter(row => row.bloatBytes >= minBytes)
+    .sort((a, b) => b.bloatBytes - a.bloatBytes);
+
+  const total = rows => rows.reduce((sum, row) => sum + row.bloatBytes, 0);
+
+  return {
+    timestamp: new Date().toISOString(),
+    mode: 'estimate',
+    tables: tableRows,
+    indexes: indexRows,
+    summary: {
+      tableBloatBytes: total(tableRows),
+      indexBloatBytes: total(indexRows),
+      actionable: [...tableRows, ...indexRows].filter(row => row.action !== 'none').length,
+    },
+  };
+}
+
+// Exact bloat of one relation using the pgstattuple extension
+async function exactBloat(pool, relation) {
+  const extension = await pool.query("SELECT 1 FROM pg_extension WHERE extname = 'pgstattuple'");
+  if (extension.rows.length === 0) {
+    return { success: false, error: 'The pgstattuple extension is not installed in this database' };
+  }
+
+  const info = await pool.query(`
+    SELECT c.relkind, n.nspname, c.relname, am.amname
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    LEFT JOIN pg_am am ON am.oid = c.relam
+    WHERE c.oid = to_regclass($1)
+  `, [relation]);
+  if (info.rows.length === 0) {
+    return { success: false, error: `Relation '${relation}' not found` };
+  }
+
+  const { relkind, nspname, relname, amname } = info.rows[0];
+  const qualified = `${quoteIdent(nspname)}.${quoteIdent(relname)}`;
+  const version = await serverVersion(pool);
+
+  if (relkind === 'i') {
+    if (amname !== 'btree') {
+      return { success: false, error: 'Exact index bloat is only available for B-tree indexes' };
+    }
+
+    const stats = (await pool.query('SELECT * FROM pgstatindex($1::regclass)', [qualified])).rows[0];
+    const realSize = parseFloat(stats.index_size);
+    // Freshly built B-tree leaves are ~90% full (default fillfactor)
+    const density = parseFloat(stats.avg_leaf_density) || 0;
+    const bloatBytes = Math.max(realSize * (1 - density / 90), 0);
+    const bloatRatio = realSize > 0 ? (100 * bloatBytes) / realSize : 0;
+    const { action, reason } = indexAction(bloatBytes, bloatRatio, version);
+
+    return {
+      success: true,
+      mode: 'exact',
+      relation: qualified,
+      kind: 'index',
+      realSize,
+      expectedSize: realSize - bloatBytes,
+      bloatBytes,
+      bloatRatio,
+      action,
+      reason,
+      details: stats,
+    };
+  }
+
+  if (relkind !== 'r' && relkind !== 'm') {
+    return { success: false, error: 'Exact bloat is available for tables, materialized views and B-tree indexes' };
+  }
+
+  const stats = (await pool.query('SELECT * FROM pgstattuple($1::regclass)', [qualified])).rows[0];
+  const realSize = parseFloat(stats.table_len);
+  const bloatBytes = parseFloat(stats.free_space) + parseFloat(stats.dead_tuple_len);
+  const bloatRatio = realSize > 0 ? (100 * bloatBytes) / realSize : 0;
+  const { action, reason } = tableAction(realSize, bloatBytes, bloatRatio);
+
+  return {
+    success: true,
+    mode: 'exact',
+    relation: qualified,
+    kind: 'table',
+    realSize,
+    expectedSize: realSize - bloatBytes,
+    bloatBytes,
+    bloatRatio,
+    action,
+    reason,
+    details: stats,
+  };
+}
+
+module.exports = {
+  estimateBloat,
+  exactBloat,
+};
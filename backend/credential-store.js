@@ -0,0 +1,195 @@
+// Credential store: encryption at rest and indirect secret references for connection configs
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const KEY_SALT = 'pgpatrol-credentials';
+
+// Secret references resolved at connect time instead of being stored
+//   DATABASE_URL   legacy placeholder for the DATABASE_URL environment variable
+//   env:VAR        value of an environment variable
+//   file:/path     contents of a file (e.g. a mounted secret)
+//   pgpass         password looked up in PGPASSFILE or ~/.pgpass
+function isReference(value) {
+  return value === 'DATABASE_URL' ||
+    value === 'pgpass' ||
+    value.startsWith('env:') ||
+    value.startsWith('file:');
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+let cachedKey;
+
+// Derive the AES key from PGPATROL_MASTER_KEY or PGPATROL_MASTER_KEY_FILE
+function getMasterKey() {
+  if (cachedKey !== undefined) {
+    return cachedKey;
+  }
+
+  let secret = process.env.PGPATROL_MASTER_KEY;
+  if (!secret && process.env.PGPATROL_MASTER_KEY_FILE) {
+    try {
+      secret = fs.readFileSync(process.env.PGPATROL_MASTER_KEY_FILE, 'utf8').trim();
+    } catch (error) {
+      console.error('Unable to read master key file:', error.message);
+    }
+  }
+
+  cachedKey = secret ? crypto.scryptSync(secret, KEY_SALT, 32) : null;
+  return cachedKey;
+}
+
+function hasMasterKey() {
+  return getMasterKey() !== null;
+}
+
+function encrypt(plaintext) {
+  const key = getMasterKey();
+  if (!key) {
+    throw new Error('A master key is required to encrypt credentials');
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+function decrypt(value) {
+  const key = getMasterKey();
+  if (!key) {
+    throw new Error('A master key is required to decrypt stored credentials');
+  }
+
+  const [iv, tag, ciphertext] = value.substring(ENCRYPTED_PREFIX.length).split(':')
+    .map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+// Prepare a secret for storage: encrypt plaintext, keep references and ciphertext as they are
+function protect(value) {
+  if (!value || isEncrypted(value) || isReference(value) || !hasMasterKey()) {
+    return value;
+  }
+  return encrypt(value);
+}
+
+// Turn a stored secret (ciphertext, reference or plaintext) into its usable value
+function resolve(value) {
+  if (!value) {
+    return value;
+  }
+  if (isEncrypted(value)) {
+    return decrypt(value);
+  }
+  if (value === 'DATABASE_URL') {
+    return process.env.DATABASE_URL;
+  }
+  if (value.startsWith('env:')) {
+    const name = value.substring(4);
+    if (process.env[name] === undefined) {
+      throw new Error(`Environment variable '${name}' is not set`);
+    }
+    return process.env[name];
+  }
+  if (value.startsWith('file:')) {
+    return fs.readFileSync(value.substring(5), 'utf8').trim();
+  }
+  return value;
+}
+
+// Split a .pgpass line on unescaped colons
+function parsePgpassLine(line) {
+  const fields = [];
+  let current = '';
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '\\' && i + 1 < line.length) {
+      current += line[++i];
+    } else if (line[i] === ':') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += line[i];
+    }
+  }
+  fields.push(current);
+
+  return fields;
+}
+
+// Find the password for a connection in the pgpass file, as libpq does
+function lookupPgpass({ host, port, database, user }) {
+  const file = process.env.PGPASSFILE || path.join(os.homedir(), '.pgpass');
+
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    return undefined;
+  }
+
+  const wanted = [host || 'localhost', String(port || 5432), database, user];
+  for (const line of content.split(/\r?\n/)) {
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const fields = parsePgpassLine(line);
+    if (fields.length === 5 && wanted.every((value, i) => fields[i] === '*' || fields[i] === value)) {
+      return fields[4];
+    }
+  }
+
+  return undefined;
+}
+
+// Build the effective connection string of a stored connection config.
+// Temporary connections hold values sent by operators, which are used literally: resolving
+// them as references would hand the server's environment and files to a host of their choosing.
+function resolveConnectionString(config) {
+  const literal = Boolean(config.temporary);
+  const connectionString = literal ? config.connectionString : resolve(config.connectionString);
+  if (!connectionString || !config.password) {
+    return connectionString;
+  }
+
+  const url = new URL(connectionString);
+  let password;
+  if (literal) {
+    password = config.password;
+  } else if (config.password === 'pgpass') {
+    password = lookupPgpass({
+      host: url.hostname,
+      port: url.port,
+      database: decodeURIComponent(url.pathname.substring(1)),
+      user: decodeURIComponent(url.username),
+    });
+  } else {
+    password = resolve(config.password);
+  }
+
+  if (password !== undefined) {
+    url.password = encodeURIComponent(password);
+  }
+
+  return url.toString();
+}
+
+module.exports = {
+  hasMasterKey,
+  isEncrypted,
+  isReference,
+  protect,
+  resolve,
+  resolveConnectionString,
+};
@@ -0,0 +1,266 @@
+// User-defined analysis checks, stored next to db-config.json and run read-only through /api/analyze
+const fs = require('fs');
+const path = require('path');
+const queries = require('./queries');
+
+const CUSTOM_CHECKS_FILE = path.join(__dirname, 'custom-checks.json');
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.CUSTOM_CHECK_TIMEOUT, 10) || 30000;
+const MAX_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_ROW_LIMIT = parseInt(process.env.CUSTOM_CHECK_ROW_LIMIT, 10) || 1000;
+const MAX_ROW_LIMIT = 10000;
+
+const PARAMETER_TYPES = ['text', 'integer', 'numeric', 'boolean'];
+
+// Keys share the namespace of the built-in analyses
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,62}$/;
+
+// Highest $n placeholder used by a statement
+function countPlaceholders(sql) {
+  const numbers = (sql.match(/\$(\d+)/g) || []).map(match => parseInt(match.substring(1), 10));
+  return numbers.length > 0 ? Math.max(...numbers) : 0;
+}
+
+// Convert a raw (query-string) value to the declared parameter type
+function convertParameter(parameter, raw) {
+  if (raw === undefined || raw === '') {
+    if (parameter.default !== undefined) {
+      return parameter.default;
+    }
+    if (parameter.required) {
+      throw new Error(`Parameter '${parameter.name}' is required`);
+    }
+    return null;
+  }
+
+  switch (parameter.type) {
+    case 'integer': {
+      if (!/^-?\d+$/.test(String(raw))) {
+        throw new Error(`Parameter '${parameter.name}' must be an integer`);
+      }
+      return parseInt(raw, 10);
+    }
+    case 'numeric': {
+      const value = Number(raw);
+      if (isNaN(value)) {
+        throw new Error(`Parameter '${parameter.name}' must be a number`);
+      }
+      return value;
+    }
+    case 'boolean':
+      if (!['true', 'false', true, false].includes(raw)) {
+        throw new Error(`Parameter '${parameter.name}' must be true or false`);
+      }
+      return raw === true || raw === 'true';
+    default:
+      return String(raw);
+  }
+}
+
+class CustomChecks {
+  constructor() {
+    this.checks = {};
+    this.loadConfiguration();
+  }
+
+  // Load custom checks
+  loadConfiguration() {
+    try {
+      if (fs.existsSync(CUSTOM_CHECKS_FILE)) {
+        this.checks = JSON.parse(fs.readFileSync(CUSTOM_CHECKS_FILE, 'utf8'));
+        console.log(`Loaded ${Object.keys(this.checks).length} custom checks`);
+      }
+    } catch (error) {
+      console.error('Error loading custom checks:', error);
+    }
+  }
+
+  // Save custom checks to disk
+  saveConfiguration() {
+    try {
+      fs.writeFileSync(CUSTOM_CHECKS_FILE, JSON.stringify(this.checks, null, 2));
+    } catch (error) {
+      console.error('Error saving custom checks:', error);
+    }
+  }
+
+  // Validate a check definition, returning an error message or null
+  validateCheck(key, check) {
+    if (!KEY_PATTERN.test(key || '')) {
+      return 'Key must start with a lowercase letter and contain only lowercase letters, digits and underscores';
+    }
+    if (queries.has(key)) {
+      return `Key '${key}' is used by a built-in analysis`;
+    }
+    if (!check.name) {
+      return 'Check name is required';
+    }
+    if (!check.sql || typeof check.sql !== 'string') {
+      return 'SQL is required';
+    }
+    // The statement is wrapped in a subquery to apply the row limit
+    if (!/^(\(|(select|with|values|table)\b)/i.test(check.sql)) {
+      return 'SQL must be a query (SELECT, WITH, VALUES or TABLE)';
+    }
+    if (check.connections && !Array.isArray(check.connections)) {
+      return 'Connections must be a list of connection ids';
+    }
+
+    const parameters = check.parameters || [];
+    if (!Array.isArray(parameters)) {
+      return 'Parameters must be a list';
+    }
+    for (const parameter of parameters) {
+      if (!parameter.name) {
+        return 'Every parameter needs a name';
+      }
+      if (!PARAMETER_TYPES.includes(parameter.type)) {
+        return `Parameter type must be one of: ${PARAMETER_TYPES.join(', ')}`;
+      }
+      if (parameter.default !== undefined) {
+        try {
+          convertParameter(parameter, parameter.default);
+        } catch (error) {
+          return `Default of ${error.message.charAt(0).toLowerCase()}${error.message.substring(1)}`;
+        }
+      }
+    }
+    if (new Set(parameters.map(parameter => parameter.name)).size !== parameters.length) {
+      return 'Parameter names must be unique';
+    }
+    if (countPlaceholders(check.sql) > parameters.length) {
+      return `SQL uses $${countPlaceholders(check.sql)} but only ${parameters.length} parameters are defined`;
+    }
+
+    if (check.timeoutMs !== undefined && !(check.timeoutMs > 0 && check.timeoutMs <= MAX_TIMEOUT_MS)) {
+      return `Timeout must be between 1 and ${MAX_TIMEOUT_MS} ms`;
+    }
+    if (check.rowLimit !== undefined && !(Number.isInteger(check.rowLimit) && check.rowLimit > 0 && check.rowLimit <= MAX_ROW_LIMIT)) {
+      return `Row limit must be an integer between 1 and ${MAX_ROW_LIMIT}`;
+    }
+
+    return null;
+  }
+
+  // Pick the known check fields from a request body
+  normalizeCheck(input, existing = {}) {
+    const check = { ...existing };
+    ['name', 'description', 'sql', 'category', 'connections', 'parameters']
+      .forEach(field => {
+        if (input[field] !== undefined) {
+          check[field] = input[field];
+        }
+      });
+
+    ['timeoutMs', 'rowLimit'].forEach(field => {
+      if (input[field] !== undefined && input[field] !== null) {
+        check[field] = Number(input[field]);
+      }
+    });
+
+    check.sql = check.sql ? check.sql.trim().replace(/;\s*$/, '') : check.sql;
+    check.category = check.category || 'custom';
+    return check;
+  }
+
+  getChecks() {
+    return Object.entries(this.checks).map(([key, check]) => ({ key, ...check }));
+  }
+
+  getCheck(key) {
+    return Object.prototype.hasOwnProperty.call(this.checks, key) ? { key, ...this.checks[key] } : null;
+  }
+
+  // Whether a check may run against a connection
+  appliesTo(check, connectionId) {
+    return !check.connections || check.connections.length === 0 || check.connections.includes(connectionId);
+  }
+
+  createCheck(input, username) {
+    const key = input.key;
+    if (this.checks[key]) {
+      return { success: false, error: `Custom check '${key}' already exists` };
+    }
+
+    const check = this.normalizeCheck(input);
+    const error = this.validateCheck(key, check);
+    if (error) {
+      return { success: false, error };
+    }
+
+    check.createdBy = username;
+    check.createdAt = new Date().toISOString();
+    this.checks[key] = check;
+    this.saveConfiguration();
+
+    return { success: true, check: { key, ...check } };
+  }
+
+  updateCheck(key, input, username) {
+    if (!this.checks[key]) {
+      throw new Error(`Custom check '${key}' not found`);
+    }
+
+    const check = this.normalizeCheck(input, this.checks[key]);
+    const error = this.validateCheck(key, check);
+    if (error) {
+      return { success: false, error };
+    }
+
+    check.updatedBy = username;
+    check.updatedAt = new Date().toISOString();
+    this.checks[key] = check;
+    this.saveConfiguration();
+
+    return { success: true, check: { key, ...check } };
+  }
+
+  deleteCheck(key) {
+    if (!this.checks[key]) {
+      throw new Error(`Custom check '${key}' not found`);
+    }
+
+    delete this.checks[key];
+    this.saveConfiguration();
+
+    return { success: true };
+  }
+
+  // Parameter values in declaration order; throws on missing or malformed values
+  bindParameters(check, values = {}) {
+    return (check.parameters || []).map(parameter => convertParameter(parameter, values[parameter.name]));
+  }
+
+  // Run a check with bound parameters in a read-only transaction that is always rolled back
+  async run(pool, check, params) {
+    const timeout = Math.min(check.timeoutMs || DEFAULT_TIMEOUT_MS, MAX_TIMEOUT_MS);
+    const rowLimit = Math.min(check.rowLimit || DEFAULT_ROW_LIMIT, MAX_ROW_LIMIT);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SET TRANSACTION READ ONLY');
+      await client.query(`SET LOCAL statement_timeout = ${timeout}`);
+
+      // Extended protocol rejects a second statement that could end the read-only transaction;
+      // one extra row tells whether the limit cut the result
+      const result = await client.query({
+        text: `SELECT * FROM (${check.sql}\n) AS custom_check LIMIT ${rowLimit + 1}`,
+        values: params,
+        queryMode: 'extended',
+      });
+
+      return {
+        rows: result.rows.slice(0, rowLimit),
+        fields: result.fields,
+        truncated: result.rows.length > rowLimit,
+        rowLimit,
+      };
+    } finally {
+      await client.query('ROLLBACK').catch(() => {});
+      client.release();
+    }
+  }
+}
+
+module.exports = new CustomChecks();
@@ -2,14 +2,59 @@
 const { Pool } = require('pg');
 const fs = require('fs');
 const path = require('path');
+const credentialStore = require('./credential-store');
 
 const DB_CONFIG_FILE = path.join(__dirname, 'db-config.json');
 
+// Pseudo session that owns the pools used by background collectors
+const MONITOR_SESSION = '__monitor__';
+
+// application_name reported by every pgpatrol pool, so our own backends can be told apart;
+// a per-connection name is reported as `pgpatrol:<name>` so it stays recognisable
+const APPLICATION_NAME = 'pgpatrol';
+
+// Probed capabilities are re-read after this long, so failovers and new extensions are noticed
+const CAPABILITIES_TTL_MS = (parseInt(process.env.CAPABILITIES_TTL, 10) || 300) * 1000;
+
+// Predefined monitoring roles reported by the capability probe
+const MONITORING_ROLES = ['pg_monitor', 'pg_read_all_stats', 'pg_read_all_settings', 'pg_stat_scan_tables', 'pg_signal_backend'];
+
+// Tag keys and values, e.g. { env: 'prod', team: 'payments', region: 'eu-west' }
+const TAG_KEY_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+const MAX_TAG_VALUE_LENGTH = 64;
+
+// Per-connection pool settings and their upper bounds; 0 disables a timeout
+const POOL_SETTINGS = {
+  max: { min: 1, max: 100 },
+  idleTimeoutMs: { min: 0, max: 60 * 60 * 1000 },
+  statementTimeoutMs: { min: 0, max: 24 * 60 * 60 * 1000 },
+};
+// Postgres truncates application_name to 63 bytes, which must leave room for the `pgpatrol:` prefix
+const MAX_APPLICATION_NAME_LENGTH = 63 - APPLICATION_NAME.length - 1;
+
+const CAPABILITIES_QUERY = `
+  SELECT current_setting('server_version_num')::int AS server_version_num,
+         current_setting('server_version') AS server_version,
+         pg_is_in_recovery() AS in_recovery,
+         r.rolsuper AS superuser,
+         current_user AS username,
+         ARRAY(SELECT m.rolname::text FROM pg_roles m
+               WHERE m.rolname = ANY($1) AND pg_has_role(current_user, m.oid, 'member')) AS roles,
+         coalesce((SELECT json_object_agg(extname, extversion) FROM pg_extension), '{}') AS extensions
+  FROM pg_roles r
+  WHERE r.rolname = current_user
+`;
+
 class DatabaseManager {
   constructor() {
     this.connections = {};
     this.activeConnections = {};
+    // Database explicitly selected by each session
+    this.sessionDatabases = {};
     this.defaultConnection = null;
+    this.applicationName = APPLICATION_NAME;
+    // Probed server capabilities per connection id, see getCapabilities()
+    this.capabilities = {};
     this.loadConfigurations();
   }
 
@@ -31,6 +76,8 @@ class DatabaseManager {
         });
         
         console.log(`Loaded ${Object.keys(this.connections).length} database configurations`);
+
+        this.migrateCredentials();
         
         // Initialize the default connection if available
         if (this.defaultConnection) {
@@ -45,7 +92,7 @@ class DatabaseManager {
       } else {
         // If no config file exists, create the default entry with env variable
         const defaultConfig = {
-          connectionString: process.env.DATABASE_URL,
+          connectionString: 'DATABASE_URL',
           name: 'Default Database',
           isDefault: true
         };
@@ -60,7 +107,7 @@ class DatabaseManager {
       
       // Fallback to environment variable
       this.connections['default'] = {
-        connectionString: process.env.DATABASE_URL,
+        connectionString: 'DATABASE_URL',
         name: 'Default Database',
         isDefault: true
       };
@@ -68,10 +115,47 @@ class DatabaseManager {
     }
   }
 
-  // Save configurations to disk
+  // Encrypt plaintext credentials left by older versions or edited in by hand
+  migrateCredentials() {
+    let migrated = 0;
+    let plaintext = 0;
+
+    Object.values(this.connections).forEach(config => {
+      ['connectionString', 'password'].forEach(field => {
+        const value = config[field];
+        if (!value || credentialStore.isEncrypted(value) || credentialStore.isReference(value)) {
+          return;
+        }
+
+        if (credentialStore.hasMasterKey()) {
+          config[field] = credentialStore.protect(value);
+          migrated++;
+        } else {
+          plaintext++;
+        }
+      });
+    });
+
+    if (migrated > 0) {
+      console.log(`Encrypted ${migrated} plaintext credentials in database configurations`);
+      this.saveConfigurations();
+    }
+    if (plaintext > 0) {
+      console.warn('Database credentials are stored in plaintext; set PGPATROL_MASTER_KEY or PGPATROL_MASTER_KEY_FILE to encrypt them');
+    }
+  }
+
+  // Save configurations to disk; temporary connections are never persisted
   saveConfigurations() {
     try {
-      fs.writeFileSync(DB_CONFIG_FILE, JSON.stringify(this.connections, null, 2));
+      const persistent = {};
+      Object.entries(this.connections).forEach(([id, config]) => {
+        if (!config.temporary) {
+          persistent[id] = config;
+        }
+      });
+
+      fs.writeFileSync(DB_CONFIG_FILE, JSON.stringify(persistent, null, 2));
     } catch (error) {
       console.error('Error saving database configurations:', error);
     }
@@ -132,6 +216,14 @@ class DatabaseManager {
   // Register a new database connection using connection string
   async registerServer(config) {
     try {
+      const tagError = this.validateTags(config.tags) || this.validatePoolSettings(config.pool);
+      if (tagError) {
+        return {
+          success: false,
+          error: tagError
+        };
+      }
+
       // Test the connection first
       const testResult = await this.testConnection(config.connectionString);
       
@@ -147,9 +239,11 @@ class DatabaseManager {
       
       // Add to connections list
       this.connections[id] = {
-        connectionString: config.connectionString,
+        connectionString: credentialStore.protect(config.connectionString),
         name: config.name || `Database ${Object.keys(this.connections).length + 1}`,
-        isDefault: config.isDefault || false
+        isDefault: config.isDefault || false,
+        tags: config.tags || {},
+        pool: config.pool || {}
       };
       
       // If this is marked as default, update other connections
@@ -192,17 +286,13 @@ class DatabaseManager {
         };
       }
       
-      // Build connection string from parameters with SSL option if needed
-      const connectionString = ssl
-        ? `postgresql://${username}:${password}@${host}:${port}/${database}?sslmode=require`
-        : `postgresql://${username}:${password}@${host}:${port}/${database}`;
-      
       // Generate a unique ID
       const id = `db_${Date.now()}`;
       
-      // Add to connections list
+      // Add to connections list, keeping the password out of the connection string
       this.connections[id] = {
-        connectionString,
+        connectionString: this.buildConnectionString(host, port, database, username, ssl),
+        password: credentialStore.protect(password),
         name: name || `${database}@${host}`,
         isDefault: isDefault || false
       };
@@ -234,6 +324,49 @@ class DatabaseManager {
     }
   }
 
+  // Build a connection string without credentials from individual parameters
+  buildConnectionString(host, port, database, username, ssl = false) {
+    const connectionString = `postgresql://${encodeURIComponent(username)}@${host}:${port}/${encodeURIComponent(database)}`;
+    return ssl ? `${connectionString}?sslmode=require` : connectionString;
+  }
+
+  // Apply host, port, database, username or ssl changes to a stored connection string, keeping
+  // the fields and parameters that are not sent. Returns null for references and non-URL strings.
+  mergeConnectionString(connectionString, changes, literal = false) {
+    if (!connectionString || credentialStore.isReference(connectionString)) {
+      return null;
+    }
+
+    let url;
+    try {
+      url = new URL(literal ? connectionString : credentialStore.resolve(connectionString));
+    } catch (error) {
+      return null;
+    }
+    if (url.protocol !== 'postgresql:' && url.protocol !== 'postgres:') {
+      return null;
+    }
+
+    if (changes.host !== undefined) {
+      url.hostname = changes.host;
+    }
+    if (changes.port !== undefined) {
+      url.port = String(changes.port);
+    }
+    if (changes.database !== undefined) {
+      url.pathname = `/${encodeURIComponent(changes.database)}`;
+    }
+    if (changes.username !== undefined) {
+      url.username = encodeURIComponent(changes.username);
+    }
+    if (changes.ssl === true) {
+      url.searchParams.set('sslmode', 'require');
+    } else if (changes.ssl === false) {
+      url.searchParams.delete('sslmode');
+    }
+    return url.toString();
+  }
+
   // Get or create a connection pool for a specific database
   getPool(id, sessionId = 'default') {
     // Use default connection if id is not specified
@@ -251,15 +384,21 @@ class DatabaseManager {
     
     // Create or return existing pool
     if (!this.activeConnections[sessionId][dbId]) {
-      // If the connectionString is "DATABASE_URL", use the environment variable
-      const connectionString = this.connections[dbId].connectionString === "DATABASE_URL" 
-        ? process.env.DATABASE_URL 
-        : this.connections[dbId].connectionString;
-      
-      console.log(`Creating pool for database ${dbId} with connection string pattern: ${connectionString ? connectionString.substring(0, 20) + '...' : 'undefined'}`);
+      // Decrypt the stored credentials and resolve env:/file:/pgpass references
+      const connectionString = credentialStore.resolveConnectionString(this.connections[dbId]);
       
+      console.log(`Creating pool for database ${dbId}`);
+
+      // Collectors always report plain pgpatrol so they can leave their own backends out of what they sample
+      const settings = this.connections[dbId].pool || {};
       this.activeConnections[sessionId][dbId] = new Pool({
         connectionString: connectionString,
+        application_name: sessionId !== MONITOR_SESSION && settings.applicationName
+          ? `${APPLICATION_NAME}:${settings.applicationName}`
+          : APPLICATION_NAME,
+        ...(settings.max !== undefined && { max: settings.max }),
+        ...(settings.idleTimeoutMs !== undefined && { idleTimeoutMillis: settings.idleTimeoutMs }),
+        ...(settings.statementTimeoutMs !== undefined && { statement_timeout: settings.statementTimeoutMs }),
         //ssl: {
         //  rejectUnauthorized: false
         //}
@@ -276,8 +415,47 @@ class DatabaseManager {
     return this.activeConnections[sessionId][dbId];
   }
 
+  // Get the pool used by background collectors (samplers, exporters) for a database
+  getMonitorPool(id) {
+    return this.getPool(id, MONITOR_SESSION);
+  }
+
+  // Server version, extensions, privileges and recovery status of a connection, cached per connection
+  async getCapabilities(id, sessionId = MONITOR_SESSION) {
+    const dbId = id || this.defaultConnection || 'default';
+    const cached = this.capabilities[dbId];
+    if (cached && Date.now() - cached.probedAt < CAPABILITIES_TTL_MS) {
+      return cached.value;
+    }
+
+    const result = await this.getPool(dbId, sessionId).query(CAPABILITIES_QUERY, [MONITORING_ROLES]);
+    const row = result.rows[0];
+    const value = {
+      serverVersionNum: row.server_version_num,
+      serverVersion: row.server_version,
+      inRecovery: row.in_recovery,
+      superuser: row.superuser,
+      username: row.username,
+      roles: row.roles,
+      extensions: row.extensions,
+    };
+
+    this.capabilities[dbId] = { value, probedAt: Date.now() };
+    return value;
+  }
+
+  // Forget the probed capabilities, e.g. after an extension was installed
+  invalidateCapabilities(id) {
+    delete this.capabilities[id];
+  }
+
   // Get current active database for a session
   getCurrentDatabase(sessionId = 'default') {
+    const selected = this.sessionDatabases[sessionId];
+    if (selected && this.connections[selected]) {
+      return selected;
+    }
+
     if (!this.activeConnections[sessionId]) {
       return this.defaultConnection;
     }
@@ -294,6 +472,7 @@ class DatabaseManager {
     
     // Create a new pool for this session if it doesn't exist
     this.getPool(dbId, sessionId);
+    this.sessionDatabases[sessionId] = dbId;
     
     return {
       id: dbId,
@@ -306,10 +485,221 @@ class DatabaseManager {
     return Object.entries(this.connections).map(([id, config]) => ({
       id,
       name: config.name,
-      isDefault: config.isDefault || false
+      isDefault: config.isDefault || false,
+      tags: config.tags || {},
+      pool: config.pool || {},
+      temporary: config.temporary || false
     }));
   }
 
+  // Validate a tags object, returning an error message or null
+  validateTags(tags) {
+    if (tags === undefined) {
+      return null;
+    }
+    if (!tags || typeof tags !== 'object' || Array.isArray(tags)) {
+      return 'Tags must be an object such as { "env": "prod" }';
+    }
+
+    for (const [key, value] of Object.entries(tags)) {
+      if (!TAG_KEY_PATTERN.test(key)) {
+        return `Invalid tag key '${key}'`;
+      }
+      if (typeof value !== 'string' || value.length === 0 || value.length > MAX_TAG_VALUE_LENGTH) {
+        return `Tag '${key}' must be a non-empty string of at most ${MAX_TAG_VALUE_LENGTH} characters`;
+      }
+    }
+    return null;
+  }
+
+  // Replace the tags of a connection
+  setTags(id, tags) {
+    if (!this.connections[id]) {
+      throw new Error(`Database connection '${id}' not found`);
+    }
+
+    const error = this.validateTags(tags);
+    if (error) {
+      return { success: false, error };
+    }
+
+    this.connections[id].tags = tags;
+    this.saveConfigurations();
+
+    return { success: true, id, tags };
+  }
+
+  // Whether an application_name was reported by one of pgpatrol's own pools
+  isOwnApplication(name) {
+    return name === APPLICATION_NAME || (typeof name === 'string' && name.startsWith(`${APPLICATION_NAME}:`));
+  }
+
+  // Validate pool settings such as { max: 5, idleTimeoutMs: 30000, statementTimeoutMs: 60000, applicationName: 'reports' }
+  validatePoolSettings(settings) {
+    if (settings === undefined) {
+      return null;
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return 'Pool settings must be an object';
+    }
+
+    for (const [key, value] of Object.entries(settings)) {
+      if (key === 'applicationName') {
+        if (typeof value !== 'string' || !/^[\x20-\x7e]{1,}$/.test(value) || value.length > MAX_APPLICATION_NAME_LENGTH) {
+          return `applicationName must be printable ASCII of at most ${MAX_APPLICATION_NAME_LENGTH} characters`;
+        }
+      } else if (POOL_SETTINGS[key]) {
+        const { min, max } = POOL_SETTINGS[key];
+        if (!Number.isInteger(value) || value < min || value > max) {
+          return `${key} must be an integer between ${min} and ${max}`;
+        }
+      } else {
+        return `Unknown pool setting '${key}', expected ${Object.keys(POOL_SETTINGS).concat('applicationName').join(', ')}`;
+      }
+    }
+    return null;
+  }
+
+  // Make a registered connection the default for new sessions
+  setDefault(id) {
+    if (!this.connections[id]) {
+      throw new Error(`Database connection '${id}' not found`);
+    }
+    if (this.connections[id].temporary) {
+      return { success: false, error: 'A temporary connection cannot be the default' };
+    }
+
+    Object.keys(this.connections).forEach(connId => {
+      this.connections[connId].isDefault = connId === id;
+    });
+    this.defaultConnection = id;
+    this.saveConfigurations();
+
+    return { success: true, id };
+  }
+
+  // Update name, credentials, tags, pool settings or default flag of a connection.
+  // New credentials are tested before they are saved; pools are recreated on next use.
+  async updateConnection(id, changes) {
+    const config = this.connections[id];
+    if (!config) {
+      throw new Error(`Database connection '${id}' not found`);
+    }
+
+    const error = this.validateTags(changes.tags) || this.validatePoolSettings(changes.pool);
+    if (error) {
+      return { success: false, error };
+    }
+    if (changes.name !== undefined && (typeof changes.name !== 'string' || !changes.name.trim())) {
+      return { success: false, error: 'Name must be a non-empty string' };
+    }
+    if (changes.isDefault === false && this.defaultConnection === id) {
+      return { success: false, error: 'Make another connection the default instead' };
+    }
+    if (changes.isDefault === true && config.temporary) {
+      return { success: false, error: 'A temporary connection cannot be the default' };
+    }
+    const nonString = ['connectionString', 'password'].find(field => changes[field] !== undefined && typeof changes[field] !== 'string');
+    if (nonString) {
+      return { success: false, error: `${nonString} must be a string` };
+    }
+    // Only admins edit saved connections; temporary ones belong to operators, whose values are used literally
+    const reference = ['connectionString', 'password'].find(field => changes[field] && credentialStore.isReference(changes[field]));
+    if (reference && config.temporary) {
+      return { success: false, error: `${reference} of a temporary connection cannot be a secret reference` };
+    }
+
+    const updated = { ...config };
+    const credentialsChanged = ['connectionString', 'host', 'port', 'database', 'username', 'password', 'ssl']
+      .some(field => changes[field] !== undefined);
+
+    if (credentialsChanged) {
+      if (changes.connectionString !== undefined) {
+        // A connection string carries its own credentials
+        updated.connectionString = changes.connectionString;
+        delete updated.password;
+      } else if (['host', 'port', 'database', 'username', 'ssl'].some(field => changes[field] !== undefined)) {
+        const empty = ['host', 'port', 'database', 'username'].find(field => changes[field] !== undefined && !changes[field]);
+        if (empty) {
+          return { success: false, error: `${empty} must not be empty` };
+        }
+        if (changes.ssl !== undefined && typeof changes.ssl !== 'boolean') {
+          return { success: false, error: 'ssl must be a boolean' };
+        }
+
+        // Fields that are not sent, including sslmode and the stored password, are kept
+        const merged = this.mergeConnectionString(config.connectionString, changes, Boolean(config.temporary));
+        if (merged) {
+          updated.connectionString = merged;
+        } else if (changes.host && changes.port && changes.database && changes.username) {
+          updated.connectionString = this.buildConnectionString(changes.host, changes.port, changes.database, changes.username, changes.ssl);
+        } else {
+          return { success: false, error: 'The stored connection string cannot be edited field by field; send connectionString or host, port, database and username together' };
+        }
+        if (changes.password !== undefined) {
+          updated.password = changes.password;
+        }
+      } else {
+        updated.password = changes.password;
+      }
+
+      const testResult = await this.testConnection(credentialStore.resolveConnectionString(updated));
+      if (!testResult.success) {
+        return { success: false, error: testResult.error };
+      }
+
+      // Temporary connections live in memory only and keep their credentials as given
+      if (!config.temporary) {
+        updated.connectionString = credentialStore.protect(updated.connectionString);
+        if (updated.password) {
+          updated.password = credentialStore.protect(updated.password);
+        }
+      }
+    }
+
+    if (changes.name !== undefined) {
+      updated.name = changes.name.trim();
+    }
+    if (changes.tags !== undefined) {
+      updated.tags = changes.tags;
+    }
+    if (changes.pool !== undefined) {
+      updated.pool = changes.pool;
+    }
+
+    this.connections[id] = updated;
+    if (credentialsChanged || changes.pool !== undefined) {
+      this.closePools(id);
+      this.invalidateCapabilities(id);
+    }
+    if (changes.isDefault === true) {
+      this.setDefault(id);
+    } else {
+      this.saveConfigurations();
+    }
+
+    return { success: true, connection: this.getConnections().find(connection => connection.id === id) };
+  }
+
+  // Parse a filter such as `env:prod,region:eu-west` into { env: 'prod', region: 'eu-west' }
+  parseTagFilter(filter) {
+    const tags = {};
+    String(filter || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+      const index = part.indexOf(':');
+      if (index <= 0) {
+        throw new Error(`Invalid tag filter '${part}', expected key:value`);
+      }
+      tags[part.substring(0, index)] = part.substring(index + 1);
+    });
+    return tags;
+  }
+
+  // Whether a connection carries every tag of `filter`
+  matchesTags(id, filter) {
+    const tags = (this.connections[id] && this.connections[id].tags) || {};
+    return Object.entries(filter).every(([key, value]) => tags[key] === value);
+  }
+
   // Remove a database connection
   removeConnection(id) {
     // Cannot remove default connection
@@ -317,21 +707,44 @@ class DatabaseManager {
       throw new Error('Cannot remove default database connection');
     }
     
-    // Close any active pools for this connection
-    Object.keys(this.activeConnections).forEach(sessionId => {
-      if (this.activeConnections[sessionId][id]) {
-        this.activeConnections[sessionId][id].end();
-        delete this.activeConnections[sessionId][id];
-      }
-    });
-    
+    this.closePools(id);
+
     // Remove from connections list
     delete this.connections[id];
+    this.invalidateCapabilities(id);
     this.saveConfigurations();
     
     return { success: true };
   }
 
+  // Close the pools of a connection in every session; they are recreated on next use
+  closePools(id) {
+    Object.keys(this.activeConnections).forEach(sessionId => {
+      if (this.activeConnections[sessionId][id]) {
+        this.activeConnections[sessionId][id].end().catch(error => {
+          console.warn(`Error closing pool for database ${id}:`, error.message);
+        });
+        delete this.activeConnections[sessionId][id];
+      }
+    });
+  }
+
+  // Release everything a session holds: its pools, its selected database and the temporary
+  // connections it created
+  releaseSession(sessionId) {
+    Object.keys(this.connections)
+      .filter(id => this.connections[id].temporary && this.connections[id].sessionId === sessionId)
+      .forEach(id => this.removeConnection(id));
+
+    Object.entries(this.activeConnections[sessionId] || {}).forEach(([id, pool]) => {
+      pool.end().catch(error => {
+        console.warn(`Error closing pool for database ${id}:`, error.message);
+      });
+    });
+    delete this.activeConnections[sessionId];
+    delete this.sessionDatabases[sessionId];
+  }
+
   // Clean up resources
   async shutdown() {
     // Close all active connection pools
@@ -0,0 +1,228 @@
+// EXPLAIN runner and plan analyzer
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.EXPLAIN_STATEMENT_TIMEOUT, 10) || 30000;
+const MAX_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Thresholds for plan findings
+const LARGE_TABLE_ROWS = 100000;
+const MISESTIMATE_FACTOR = 10;
+const MISESTIMATE_MIN_ROWS = 100;
+const NESTED_LOOP_OUTER_ROWS = 10000;
+
+// Statements left by pg_stat_statements normalization use $1, $2, ...
+function findPlaceholders(query) {
+  const numbers = (query.match(/\$(\d+)/g) || []).map(match => parseInt(match.substring(1), 10));
+  return numbers.length > 0 ? Math.max(...numbers) : 0;
+}
+
+// Visit every node of a plan tree
+function walkPlan(node, visit, parent = null) {
+  visit(node, parent);
+  (node.Plans || []).forEach(child => walkPlan(child, visit, node));
+}
+
+// Rows produced by a node over all loops (actual when analyzed, estimated otherwise)
+function nodeRows(node, analyzed) {
+  if (analyzed && node['Actual Rows'] !== undefined) {
+    return node['Actual Rows'] * (node['Actual Loops'] || 1);
+  }
+  return node['Plan Rows'];
+}
+
+function relationLabel(node) {
+  return node.Schema ? `${node.Schema}.${node['Relation Name']}` : node['Relation Name'];
+}
+
+// Compute findings for a plan; `tableRows` maps schema.table to its row estimate
+function analyzePlan(plan, analyzed, tableRows) {
+  const findings = [];
+
+  walkPlan(plan, (node, parent) => {
+    const type = node['Node Type'];
+
+    if (type === 'Seq Scan') {
+      const relation = relationLabel(node);
+      const rows = tableRows[relation];
+      if (rows >= LARGE_TABLE_ROWS) {
+        findings.push({
+          type: 'seq_scan_large_table',
+          severity: 'warning',
+          node: type,
+          relation,
+          message: `Sequential scan on ${relation} (~${Math.round(rows)} rows)`,
+          details: { tableRows: rows, filter: node.Filter || null },
+        });
+      }
+    }
+
+    if (analyzed && node['Actual Rows'] !== undefined) {
+      const planned = node['Plan Rows'];
+      const actual = node['Actual Rows'];
+      const factor = (Math.max(planned, actual) + 1) / (Math.min(planned, actual) + 1);
+      if (factor > MISESTIMATE_FACTOR && Math.max(planned, actual) >= MISESTIMATE_MIN_ROWS) {
+        findings.push({
+          type: 'row_misestimate',
+          severity: factor > MISESTIMATE_FACTOR * 10 ? 'critical' : 'warning',
+          node: type,
+          relation: node['Relation Name'] ? relationLabel(node) : null,
+          message: `${type} estimated ${planned} rows but produced ${actual} (${factor.toFixed(1)}x off)`,
+          details: { planRows: planned, actualRows: actual, factor },
+        });
+      }
+    }
+
+    if (node['Sort Space Type'] === 'Disk') {
+      findings.push({
+        type: 'sort_spill',
+        severity: 'warning',
+        node: type,
+        relation: null,
+        message: `Sort spilled ${node['Sort Space Used']} kB to disk (${node['Sort Method']})`,
+        details: { sortKey: node['Sort Key'], spaceUsedKb: node['Sort Space Used'] },
+      });
+    }
+
+    if (node['Hash Batches'] > 1) {
+      findings.push({
+        type: 'hash_spill',
+        severity: 'info',
+        node: type,
+        relation: null,
+        message: `Hash used ${node['Hash Batches']} batches and spilled to disk`,
+        details: { batches: node['Hash Batches'], originalBatches: node['Original Hash Batches'] },
+      });
+    }
+
+    if (type === 'Nested Loop' && node.Plans && node.Plans.length > 0) {
+      const outer = node.Plans.find(child => child['Parent Relationship'] === 'Outer') || node.Plans[0];
+      const outerRows = nodeRows(outer, analyzed);
+      if (outerRows >= NESTED_LOOP_OUTER_ROWS) {
+        findings.push({
+          type: 'nested_loop_large_outer',
+          severity: 'warning',
+          node: type,
+          relation: outer['Relation Name'] ? relationLabel(outer) : null,
+          message: `Nested loop drives ${outerRows} outer rows through its inner side`,
+          details: { outerRows, outerNode: outer['Node Type'], joinFilter: node['Join Filter'] || null },
+        });
+      }
+    }
+  });
+
+  return findings;
+}
+
+// Row estimates of the tables scanned sequentially in a plan
+async function loadTableRows(client, plan) {
+  const schemas = [];
+  const tables = [];
+  walkPlan(plan, node => {
+    if (node['Node Type'] === 'Seq Scan' && node.Schema) {
+      schemas.push(node.Schema);
+      tables.push(node['Relation Name']);
+    }
+  });
+
+  if (tables.length === 0) {
+    return {};
+  }
+
+  const result = await client.query(`
+    SELECT n.nspname || '.' || c.relname AS relation, c.reltuples
+    FROM unnest($1::text[], $2::text[]) AS t(schema_name, table_name)
+    JOIN pg_namespace n ON n.nspname = t.schema_name
+    JOIN pg_class c ON c.relnamespace = n.oid AND c.relname = t.table_name
+  `, [schemas, tables]);
+
+  const rows = {};
+  result.rows.forEach(row => {
+    rows[row.relation] = parseFloat(row.reltuples);
+  });
+  return rows;
+}
+
+// Error caused by the request rather than the server, reported as a 400
+function invalidRequest(message) {
+  const error = new Error(message);
+  error.invalid = true;
+  return error;
+}
+
+// Run EXPLAIN inside a read-only transaction that is always rolled back
+async function explain(pool, { query, analyze = false, buffers = false, generic, timeoutMs }) {
+  const statement = query.trim().replace(/;\s*$/, '');
+  const placeholders = findPlaceholders(statement);
+  const useGeneric = generic !== undefined ? Boolean(generic) : placeholders > 0;
+  const timeout = Math.min(parseInt(timeoutMs, 10) || DEFAULT_TIMEOUT_MS, MAX_TIMEOUT_MS);
+
+  if (useGeneric && analyze) {
+    throw invalidRequest('EXPLAIN ANALYZE cannot run a statement with $n placeholders; use a generic plan without analyze');
+  }
+
+  const options = ['FORMAT JSON', 'VERBOSE'];
+  if (analyze) {
+    options.push('ANALYZE');
+    if (buffers) {
+      options.push('BUFFERS');
+    }
+  }
+
+  const client = await pool.connect();
+  let prepared = false;
+
+  try {
+    await client.query('BEGIN TRANSACTION READ ONLY');
+    await client.query(`SET LOCAL statement_timeout = ${timeout}`);
+
+    const version = parseInt((await client.query('SHOW server_version_num')).rows[0].server_version_num, 10);
+
+    // Extended protocol: rejects multiple statements, so the read-only transaction cannot be ended early
+    let result;
+    if (useGeneric && version >= 160000) {
+      result = await client.query({
+        text: `EXPLAIN (${options.join(', ')}, GENERIC_PLAN) ${statement}`,
+        queryMode: 'extended',
+      });
+    } else if (useGeneric) {
+      if (version < 120000) {
+        throw invalidRequest('Generic plans require PostgreSQL 12 or later');
+      }
+
+      await client.query({ text: `PREPARE pgpatrol_explain AS ${statement}`, queryMode: 'extended' });
+      prepared = true;
+      await client.query('SET LOCAL plan_cache_mode = force_generic_plan');
+
+      const args = Array.from({ length: placeholders }, () => 'NULL').join(', ');
+      result = await client.query(`EXPLAIN (${options.join(', ')}) EXECUTE pgpatrol_explain${placeholders > 0 ? `(${args})` : ''}`);
+    } else {
+      result = await client.query({
+        text: `EXPLAIN (${options.join(', ')}) ${statement}`,
+        queryMode: 'extended',
+      });
+    }
+
+    const output = result.rows[0]['QUERY PLAN'][0];
+    const tableRows = await loadTableRows(client, output.Plan);
+
+    return {
+      plan: output.Plan,
+      planningTime: output['Planning Time'] !== undefined ? output['Planning Time'] : null,
+      executionTime: output['Execution Time'] !== undefined ? output['Execution Time'] : null,
+      analyzed: analyze,
+      generic: useGeneric,
+      findings: analyzePlan(output.Plan, analyze, tableRows),
+    };
+  } finally {
+    // Never keep side effects, even from a read-only transaction
+    await client.query('ROLLBACK').catch(() => {});
+    if (prepared) {
+      await client.query('DEALLOCATE pgpatrol_explain').catch(() => {});
+    }
+    client.release();
+  }
+}
+
+module.exports = {
+  explain,
+  analyzePlan,
+};
@@ -0,0 +1,226 @@
+// Download formats for tabular results: CSV, TSV, NDJSON, JSON, XLSX and Markdown tables
+const ExcelJS = require('exceljs');
+const { markdownCell } = require('./formatting');
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  tsv: { extension: 'tsv', contentType: 'text/tab-separated-values; charset=utf-8' },
+  ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+};
+
+// Rows are written in batches so a large result yields to the event loop and honours backpressure
+const BATCH_SIZE = 500;
+
+function isFormat(format) {
+  return Object.prototype.hasOwnProperty.call(FORMATS, format);
+}
+
+function getFormats() {
+  return Object.keys(FORMATS);
+}
+
+// Plain JSON value of a column value, the same in every format: int8 and numeric stay strings
+// (as pg returns them) so no precision is lost, timestamps and intervals are ISO 8601,
+// bytea is hex and json/jsonb and arrays stay structured
+function serialize(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? String(value) : value.toISOString();
+  }
+  if (Buffer.isBuffer(value)) {
+    return `\\x${value.toString('hex')}`;
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(serialize);
+  }
+  if (typeof value === 'object') {
+    // postgres-interval values
+    if (typeof value.toISOString === 'function') {
+      return value.toISOString();
+    }
+    return Object.keys(value).reduce((result, key) => {
+      result[key] = serialize(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+}
+
+// Serialized value as a single line of text; structured values become JSON
+function toText(value) {
+  const plain = serialize(value);
+  if (plain === null) {
+    return '';
+  }
+  return typeof plain === 'object' ? JSON.stringify(plain) : String(plain);
+}
+
+// Text that a spreadsheet would evaluate as a formula gets a leading quote; numbers are left alone
+function guardFormula(value) {
+  const text = toText(value);
+  const plain = serialize(value);
+  if (typeof plain === 'string' && /^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    return `'${text}`;
+  }
+  return text;
+}
+
+function csvField(value) {
+  const text = guardFormula(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// TSV has no quoting, so the characters that would break a row are escaped
+function tsvField(value) {
+  return guardFormula(value).replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+}
+
+// Numeric strings become numbers in spreadsheets only when the conversion is lossless.
+// Other text is written as a string cell, which Excel never evaluates as a formula.
+function xlsxCell(value) {
+  const plain = serialize(value);
+  if (plain === null) {
+    return null;
+  }
+  if (typeof plain === 'object') {
+    return JSON.stringify(plain);
+  }
+  if (typeof plain === 'string' && /^-?\d+(\.\d+)?$/.test(plain) && String(Number(plain)) === plain) {
+    return Number(plain);
+  }
+  return plain;
+}
+
+// Attachment name like `<prefix>-<connection>-<timestamp>.<extension>`
+function filename(prefix, connectionName, format) {
+  const name = String(connectionName || 'database').replace(/[^\w.-]+/g, '_');
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `${prefix}-${name}-${stamp}.${FORMATS[format].extension}`;
+}
+
+// Column names of rows that do not come with field metadata, in first-seen order
+function columnsOf(rows) {
+  const columns = new Set();
+  rows.forEach(row => Object.keys(row).forEach(column => columns.add(column)));
+  return Array.from(columns);
+}
+
+// Fail the export once the client is gone; a destroyed response never emits 'drain' again
+function assertOpen(res) {
+  if (res.destroyed || res.writableEnded) {
+    throw new Error('Download was closed by the client');
+  }
+}
+
+// Resolve once the response can take more data, reject when the client goes away first
+function drained(res) {
+  assertOpen(res);
+  return new Promise((resolve, reject) => {
+    const done = error => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+    const onDrain = () => done();
+    const onClose = () => done(new Error('Download was closed by the client'));
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+}
+
+// Streaming writer for one download: set the headers, then write(rows) any number of times and end()
+function createWriter(res, format, { columns, filename: name }) {
+  res.set('Content-Type', FORMATS[format].contentType);
+  res.set('Content-Disposition', `attachment; filename="${name}"`);
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Results');
+    sheet.addRow(columns).commit();
+    return {
+      async write(rows) {
+        assertOpen(res);
+        rows.forEach(row => sheet.addRow(columns.map(column => xlsxCell(row[column]))).commit());
+      },
+      async end() {
+        sheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+
+  let first = true;
+  const line = {
+    csv: row => columns.map(column => csvField(row[column])).join(',') + '\n',
+    tsv: row => columns.map(column => tsvField(row[column])).join('\t') + '\n',
+    ndjson: row => JSON.stringify(serializeRow(row, columns)) + '\n',
+    json: row => `${first ? '' : ','}\n${JSON.stringify(serializeRow(row, columns))}`,
+    markdown: row => `| ${columns.map(column => markdownCell(toText(row[column]))).join(' | ')} |\n`,
+  }[format];
+
+  const header = {
+    csv: () => columns.map(csvField).join(',') + '\n',
+    tsv: () => columns.map(tsvField).join('\t') + '\n',
+    ndjson: () => '',
+    json: () => '[',
+    markdown: () => `| ${columns.map(column => markdownCell(column)).join(' | ')} |\n|${columns.map(() => ' --- |').join('')}\n`,
+  }[format];
+  res.write(header());
+
+  return {
+    async write(rows) {
+      for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+        const chunk = rows.slice(start, start + BATCH_SIZE).map(row => {
+          const text = line(row);
+          first = false;
+          return text;
+        }).join('');
+        assertOpen(res);
+        if (!res.write(chunk)) {
+          await drained(res);
+        }
+      }
+    },
+    async end() {
+      res.end(format === 'json' ? '\n]\n' : '');
+    },
+  };
+}
+
+function serializeRow(row, columns) {
+  return columns.reduce((result, column) => {
+    result[column] = serialize(row[column]);
+    return result;
+  }, {});
+}
+
+// Send a complete result as a download
+async function send(res, format, { prefix, connectionName, columns, rows }) {
+  const writer = createWriter(res, format, {
+    columns: columns || columnsOf(rows),
+    filename: filename(prefix, connectionName, format),
+  });
+  await writer.write(rows);
+  await writer.end();
+}
+
+module.exports = {
+  isFormat,
+  getFormats,
+  serialize,
+  filename,
+  createWriter,
+  send,
+};
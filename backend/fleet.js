@@ -0,0 +1,255 @@
+// Fleet overview: summary health of every registered connection, collected concurrently
+const dbManager = require('./db-manager');
+const alertManager = require('./alert-manager');
+const { toNumber } = require('./formatting');
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.FLEET_CONCURRENCY, 10) || 5;
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.FLEET_TIMEOUT, 10) || 10000;
+const MAX_CONCURRENCY = 20;
+const MAX_TIMEOUT_MS = 60000;
+
+// Sort keys accepted by getFleet and the summary field they order by
+const SORT_FIELDS = {
+  name: 'name',
+  status: 'statusRank',
+  version: 'versionNum',
+  uptime: 'uptimeSeconds',
+  size: 'sizeBytes',
+  connectionUsage: 'connectionUsagePercent',
+  longestTransaction: 'longestTransactionSeconds',
+  replicationLag: 'replicationLagSeconds',
+  firingAlerts: 'firingAlerts',
+};
+
+const SUMMARY_QUERY = `
+  SELECT current_setting('server_version') AS version,
+         current_setting('server_version_num')::int AS version_num,
+         pg_postmaster_start_time() AS started_at,
+         extract(epoch FROM now() - pg_postmaster_start_time()) AS uptime_seconds,
+         pg_database_size(current_database()) AS size_bytes,
+         (SELECT count(*) FROM pg_stat_activity) AS connections,
+         current_setting('max_connections')::int AS max_connections,
+         (SELECT max(extract(epoch FROM now() - xact_start)) FROM pg_stat_activity
+          WHERE xact_start IS NOT NULL AND pid <> pg_backend_pid()
+            AND application_name IS DISTINCT FROM $1
+            AND coalesce(application_name, '') NOT LIKE $1 || ':%') AS longest_xact_seconds,
+         pg_is_in_recovery() AS in_recovery
+`;
+
+// Worst lag of the standbys of a primary
+const PRIMARY_LAG_QUERY = `
+  SELECT count(*) AS standbys,
+         max(extract(epoch FROM replay_lag)) AS lag_seconds,
+         max(pg_wal_lsn_diff(pg_current_wal_lsn(), replay_lsn)) AS lag_bytes
+  FROM pg_stat_replication
+`;
+
+// PostgreSQL 9.6 names WAL positions "xlog"/"location" and has no replay_lag column
+const PRIMARY_LAG_QUERY_96 = `
+  SELECT count(*) AS standbys,
+         NULL::float8 AS lag_seconds,
+         max(pg_xlog_location_diff(pg_current_xlog_location(), replay_location)) AS lag_bytes
+  FROM pg_stat_replication
+`;
+
+// Replay delay of a standby; it also grows while the primary is idle
+const STANDBY_LAG_QUERY = `
+  SELECT extract(epoch FROM now() - pg_last_xact_replay_timestamp()) AS lag_seconds,
+         pg_wal_lsn_diff(pg_last_wal_receive_lsn(), pg_last_wal_replay_lsn()) AS lag_bytes
+`;
+
+const STANDBY_LAG_QUERY_96 = `
+  SELECT extract(epoch FROM now() - pg_last_xact_replay_timestamp()) AS lag_seconds,
+         pg_xlog_location_diff(pg_last_xlog_receive_location(), pg_last_xlog_replay_location()) AS lag_bytes
+`;
+
+function lagQuery(row) {
+  if (row.in_recovery) {
+    return row.version_num >= 100000 ? STANDBY_LAG_QUERY : STANDBY_LAG_QUERY_96;
+  }
+  return row.version_num >= 100000 ? PRIMARY_LAG_QUERY : PRIMARY_LAG_QUERY_96;
+}
+
+// Status order used when sorting by status, most urgent first
+const STATUS_RANK = { unreachable: 0, critical: 1, warning: 2, ok: 3 };
+
+// Reject with a timeout error unless `promise` settles within `ms`; `onTimeout` runs when it does not
+function withTimeout(promise, ms, onTimeout = () => {}) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      onTimeout();
+      reject(new Error(`Timed out after ${ms} ms`));
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Run `worker` over `items` with at most `limit` in flight
+async function mapLimit(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index]);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+// Collect the summary of a server. The server cancels the queries after `timeoutMs`; when the caller
+// gives up first it sets `state.timedOut` and the client is destroyed instead of going back to the pool.
+async function collectServer(id, timeoutMs, state) {
+  const client = await dbManager.getMonitorPool(id).connect();
+  let released = false;
+  state.release = () => {
+    if (!released) {
+      released = true;
+      client.release(true);
+    }
+  };
+  if (state.timedOut) {
+    state.release();
+    throw new Error('Timed out before connecting');
+  }
+
+  try {
+    await client.query(`SET statement_timeout = ${timeoutMs}`);
+    const row = (await client.query(SUMMARY_QUERY, [dbManager.applicationName])).rows[0];
+
+    // Lag is optional detail; a server that cannot report it is still reachable
+    let lag = {};
+    try {
+      lag = (await client.query(lagQuery(row))).rows[0];
+    } catch (error) {
+      console.warn(`Unable to read replication lag for database ${id}:`, error.message);
+    }
+
+    await client.query('RESET statement_timeout');
+    released = true;
+    client.release();
+
+    const connections = parseInt(row.connections, 10);
+    return {
+      version: row.version,
+      versionNum: row.version_num,
+      startedAt: row.started_at,
+      uptimeSeconds: toNumber(row.uptime_seconds),
+      sizeBytes: parseInt(row.size_bytes, 10),
+      connections,
+      maxConnections: row.max_connections,
+      connectionUsagePercent: Math.round((10000 * connections) / row.max_connections) / 100,
+      longestTransactionSeconds: toNumber(row.longest_xact_seconds),
+      role: row.in_recovery ? 'standby' : 'primary',
+      standbys: lag.standbys !== undefined ? parseInt(lag.standbys, 10) : null,
+      replicationLagSeconds: toNumber(lag.lag_seconds),
+      replicationLagBytes: toNumber(lag.lag_bytes),
+    };
+  } finally {
+    // Any failure leaves the session settings unknown, so the client is not reused
+    state.release();
+  }
+}
+
+// Summary of one connection; never throws, unreachable servers are reported as such
+async function summarize(id, timeoutMs) {
+  const config = dbManager.connections[id];
+  const alerts = alertManager.getAlerts({ status: 'firing', connectionId: id });
+  const base = {
+    id,
+    name: config.name,
+    tags: config.tags || {},
+    isDefault: config.isDefault || false,
+    firingAlerts: alerts.length,
+    criticalAlerts: alerts.filter(alert => alert.severity === 'critical').length,
+  };
+
+  const started = Date.now();
+  try {
+    const state = { timedOut: false, release: () => {} };
+    const summary = await withTimeout(collectServer(id, timeoutMs, state), timeoutMs, () => {
+      state.timedOut = true;
+      state.release();
+    });
+    const status = base.criticalAlerts > 0 || summary.connectionUsagePercent >= 90 ? 'critical'
+      : base.firingAlerts > 0 || summary.connectionUsagePercent >= 75 ? 'warning'
+        : 'ok';
+
+    return {
+      ...base,
+      reachable: true,
+      status,
+      statusRank: STATUS_RANK[status],
+      responseMs: Date.now() - started,
+      ...summary,
+    };
+  } catch (error) {
+    return {
+      ...base,
+      reachable: false,
+      status: 'unreachable',
+      statusRank: STATUS_RANK.unreachable,
+      responseMs: Date.now() - started,
+      error: error.message,
+    };
+  }
+}
+
+// Check the sort and order options; returns an error message or null
+function validateOptions({ sort, order }) {
+  if (sort !== undefined && !SORT_FIELDS[sort]) {
+    return `Invalid sort '${sort}', expected one of ${Object.keys(SORT_FIELDS).join(', ')}`;
+  }
+  if (order !== undefined && !['asc', 'desc'].includes(String(order).toLowerCase())) {
+    return `Invalid order '${order}', expected asc or desc`;
+  }
+  return null;
+}
+
+// Summaries of `ids`, sorted; missing values sort last
+async function getFleet(ids, { sort = 'status', order, concurrency, timeoutMs } = {}) {
+  const limit = Math.min(Math.max(parseInt(concurrency, 10) || DEFAULT_CONCURRENCY, 1), MAX_CONCURRENCY);
+  const timeout = Math.min(Math.max(parseInt(timeoutMs, 10) || DEFAULT_TIMEOUT_MS, 1000), MAX_TIMEOUT_MS);
+
+  const servers = await mapLimit(ids, limit, id => summarize(id, timeout));
+
+  const field = SORT_FIELDS[sort];
+  const direction = String(order || (sort === 'name' || sort === 'status' ? 'asc' : 'desc')).toLowerCase() === 'asc' ? 1 : -1;
+  servers.sort((a, b) => {
+    const x = a[field];
+    const y = b[field];
+    if (x === y) {
+      return a.name.localeCompare(b.name);
+    }
+    if (x === null || x === undefined) {
+      return 1;
+    }
+    if (y === null || y === undefined) {
+      return -1;
+    }
+    return direction * (typeof x === 'string' ? x.localeCompare(y) : x - y);
+  });
+
+  const count = status => servers.filter(server => server.status === status).length;
+
+  return {
+    timestamp: new Date().toISOString(),
+    total: servers.length,
+    summary: {
+      ok: count('ok'),
+      warning: count('warning'),
+      critical: count('critical'),
+      unreachable: count('unreachable'),
+    },
+    servers,
+  };
+}
+
+module.exports = {
+  getFleet,
+  validateOptions,
+};
@@ -0,0 +1,16 @@
+// Value formatting shared by the API responses and the reports built from query results
+
+// pg returns numeric and bigint columns as strings; null stays null
+function toNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+// Text for a Markdown table cell: pipes are escaped and line breaks kept as <br>
+function markdownCell(value) {
+  return value === null || value === undefined ? '' : String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+module.exports = {
+  toNumber,
+  markdownCell,
+};
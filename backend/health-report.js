@@ -0,0 +1,490 @@
+// Health report: a scored suite of checks against one database, exportable as JSON, Markdown or HTML
+const indexAdvisor = require('./index-advisor');
+const bloat = require('./bloat');
+const { WRAPAROUND_LIMIT } = require('./vacuum-monitor');
+const { markdownCell } = require('./formatting');
+
+// Evidence rows kept per check
+const MAX_EVIDENCE = 20;
+
+// Points per status; skipped checks do not count towards the score
+const STATUS_POINTS = { ok: 1, warn: 0.5, critical: 0 };
+
+// Largest value of the integer column types a sequence can feed
+const TYPE_LIMITS = {
+  smallint: 32767,
+  integer: 2147483647,
+  bigint: 9223372036854775807,
+};
+
+const SETTINGS_QUERY = `
+  SELECT name, setting, unit, boot_val, source,
+         CASE WHEN unit = '8kB' THEN setting::bigint * 8192
+              WHEN unit = 'kB' THEN setting::bigint * 1024
+              ELSE NULL END AS bytes
+  FROM pg_settings
+  WHERE name IN ('max_connections', 'superuser_reserved_connections', 'shared_buffers', 'work_mem',
+                 'maintenance_work_mem', 'effective_cache_size', 'autovacuum')
+`;
+
+const SEQUENCES_QUERY = `
+  SELECT s.schemaname, s.sequencename, s.last_value, s.max_value, s.increment_by,
+         c.relname AS table_name, a.attname AS column_name, format_type(a.atttypid, NULL) AS column_type
+  FROM pg_sequences s
+  JOIN pg_namespace sn ON sn.nspname = s.schemaname
+  JOIN pg_class sc ON sc.relnamespace = sn.oid AND sc.relname = s.sequencename
+  LEFT JOIN pg_depend d ON d.classid = 'pg_class'::regclass AND d.objid = sc.oid
+   AND d.refclassid = 'pg_class'::regclass AND d.deptype IN ('a', 'i')
+  LEFT JOIN pg_class c ON c.oid = d.refobjid
+  LEFT JOIN pg_attribute a ON a.attrelid = d.refobjid AND a.attnum = d.refobjsubid
+  WHERE s.last_value IS NOT NULL AND s.increment_by > 0
+`;
+
+function ratioStatus(value, warnAt, criticalAt) {
+  return value >= criticalAt ? 'critical' : value >= warnAt ? 'warn' : 'ok';
+}
+
+function percent(value) {
+  return `${(100 * value).toFixed(1)}%`;
+}
+
+function megabytes(bytes) {
+  return `${Math.round(bytes / 1024 / 1024)} MB`;
+}
+
+// Every check returns { status, summary, evidence }; explanation and remediation are static
+const CHECKS = [
+  {
+    id: 'connection_saturation',
+    title: 'Connection saturation',
+    weight: 3,
+    explanation: 'When every connection slot is taken, new clients are refused until one is released.',
+    remediation: 'Put a connection pooler such as PgBouncer in front of the server, close idle sessions, or raise max_connections together with memory settings.',
+    run: async (pool, context) => {
+      // From PostgreSQL 10 pg_stat_activity also lists background processes, which take no client slot
+      const sql = context.version >= 100000
+        ? "SELECT count(*) AS used FROM pg_stat_activity WHERE backend_type = 'client backend'"
+        : 'SELECT count(*) AS used FROM pg_stat_activity';
+      const used = parseInt((await pool.query(sql)).rows[0].used, 10);
+      const available = context.settings.max_connections.value - context.settings.superuser_reserved_connections.value;
+      const ratio = used / available;
+      return {
+        status: ratioStatus(ratio, 0.75, 0.9),
+        summary: `${used} of ${available} connections in use (${percent(ratio)})`,
+        evidence: [{ used, available, max_connections: context.settings.max_connections.value }],
+      };
+    },
+  },
+  {
+    id: 'cache_hit_ratio',
+    title: 'Cache hit ratio',
+    weight: 2,
+    explanation: 'Blocks not found in shared buffers are read from the OS cache or disk, which is much slower.',
+    remediation: 'Increase shared_buffers (about 25% of RAM is a common start) or reduce the working set with better indexes.',
+    run: async pool => {
+      const row = (await pool.query(`
+        SELECT blks_hit, blks_read FROM pg_stat_database WHERE datname = current_database()
+      `)).rows[0];
+      const hit = parseInt(row.blks_hit, 10);
+      const total = hit + parseInt(row.blks_read, 10);
+      if (total === 0) {
+        return { status: 'ok', summary: 'No block reads recorded yet', evidence: [row] };
+      }
+      const ratio = hit / total;
+      return {
+        status: ratio < 0.95 ? 'critical' : ratio < 0.99 ? 'warn' : 'ok',
+        summary: `${percent(ratio)} of block reads served from shared buffers`,
+        evidence: [row],
+      };
+    },
+  },
+  {
+    id: 'index_hit_rate',
+    title: 'Index usage on large tables',
+    weight: 2,
+    explanation: 'Large tables read mostly by sequential scans usually lack an index for their common filters.',
+    remediation: 'Check the queries on these tables with /api/explain and /api/index-advisor and add the missing indexes.',
+    run: async pool => {
+      const rows = (await pool.query(`
+        SELECT schemaname, relname, seq_scan, coalesce(idx_scan, 0) AS idx_scan, n_live_tup,
+               round(100.0 * coalesce(idx_scan, 0) / (seq_scan + coalesce(idx_scan, 0)), 1) AS index_use_percent
+        FROM pg_stat_user_tables
+        WHERE n_live_tup >= 10000 AND seq_scan + coalesce(idx_scan, 0) > 0
+          AND 100.0 * coalesce(idx_scan, 0) / (seq_scan + coalesce(idx_scan, 0)) < 95
+        ORDER BY seq_tup_read DESC
+      `)).rows;
+      return {
+        status: rows.length > 0 ? 'warn' : 'ok',
+        summary: rows.length > 0
+          ? `${rows.length} tables with 10k+ rows use an index for less than 95% of scans`
+          : 'Large tables are read through indexes',
+        evidence: rows,
+      };
+    },
+  },
+  {
+    id: 'wraparound',
+    title: 'Transaction ID wraparound',
+    weight: 3,
+    explanation: 'PostgreSQL stops accepting writes when the oldest unfrozen transaction ID gets close to wraparound.',
+    remediation: 'Find what blocks freezing (long transactions, stale replication slots, prepared transactions) and run VACUUM (FREEZE) on the oldest tables; see /api/vacuum.',
+    run: async pool => {
+      const rows = (await pool.query(`
+        SELECT datname, age(datfrozenxid) AS xid_age FROM pg_database ORDER BY age(datfrozenxid) DESC
+      `)).rows;
+      const ratio = rows.length > 0 ? parseInt(rows[0].xid_age, 10) / WRAPAROUND_LIMIT : 0;
+      return {
+        status: ratioStatus(ratio, 0.5, 0.75),
+        summary: rows.length > 0
+          ? `Oldest database ${rows[0].datname} is ${percent(ratio)} of the way to wraparound`
+          : 'No databases found',
+        evidence: rows,
+      };
+    },
+  },
+  {
+    id: 'idle_in_transaction',
+    title: 'Idle-in-transaction sessions',
+    weight: 2,
+    explanation: 'Sessions idle inside an open transaction hold locks and keep VACUUM from removing dead rows.',
+    remediation: 'Fix the application to commit or roll back promptly, set idle_in_transaction_session_timeout, or terminate them via /api/sessions/terminate-idle.',
+    run: async pool => {
+      const rows = (await pool.query(`
+        SELECT pid, usename, application_name, round(extract(epoch FROM now() - xact_start)) AS xact_seconds,
+               left(query, 200) AS last_query
+        FROM pg_stat_activity
+        WHERE state LIKE 'idle in transaction%' AND now() - xact_start > interval '5 minutes'
+        ORDER BY xact_start
+      `)).rows;
+      const oldest = rows.length > 0 ? parseFloat(rows[0].xact_seconds) : 0;
+      return {
+        status: oldest >= 3600 ? 'critical' : rows.length > 0 ? 'warn' : 'ok',
+        summary: rows.length > 0
+          ? `${rows.length} sessions idle in transaction for over 5 minutes (oldest ${Math.round(oldest / 60)} min)`
+          : 'No long idle-in-transaction sessions',
+        evidence: rows,
+      };
+    },
+  },
+  {
+    id: 'invalid_indexes',
+    title: 'Invalid indexes',
+    weight: 1,
+    explanation: 'An invalid index, left behind by a failed CREATE INDEX CONCURRENTLY, is maintained on writes but never used.',
+    remediation: 'Drop and recreate the index; the suggested commands are in /api/index-advisor.',
+    run: async (pool, context) => {
+      const { invalid } = await context.indexAdvice();
+      return {
+        status: invalid.length > 0 ? 'warn' : 'ok',
+        summary: invalid.length > 0 ? `${invalid.length} invalid indexes` : 'All indexes are valid',
+        evidence: invalid.map(({ schema, table, index, suggestion }) => ({ schema, table, index, suggestion })),
+      };
+    },
+  },
+  {
+    id: 'unused_indexes',
+    title: 'Unused indexes',
+    weight: 1,
+    explanation: 'Indexes that are never scanned slow down every write and take disk and cache space.',
+    remediation: 'Confirm they are unused on replicas too, then drop them with DROP INDEX CONCURRENTLY.',
+    run: async (pool, context) => {
+      const { unused } = await context.indexAdvice();
+      const bytes = unused.reduce((sum, index) => sum + index.sizeBytes, 0);
+      return {
+        status: bytes >= 1024 * 1024 * 1024 ? 'critical' : unused.length > 0 ? 'warn' : 'ok',
+        summary: unused.length > 0
+          ? `${unused.length} indexes never scanned since statistics were reset (${megabytes(bytes)})`
+          : 'Every index has been used',
+        evidence: unused.map(({ schema, table, index, sizeBytes, suggestion }) => ({ schema, table, index, sizeBytes, suggestion })),
+      };
+    },
+  },
+  {
+    id: 'missing_primary_keys',
+    title: 'Tables without a primary key',
+    weight: 1,
+    explanation: 'Without a primary key, rows cannot be identified reliably, and logical replication cannot replicate updates or deletes.',
+    remediation: 'Add a primary key, or at least a unique index used as REPLICA IDENTITY.',
+    run: async pool => {
+      const rows = (await pool.query(`
+        SELECT n.nspname AS schemaname, c.relname, c.reltuples::bigint AS estimated_rows
+        FROM pg_class c
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+        WHERE c.relkind IN ('r', 'p') AND NOT c.relispartition
+          AND n.nspname NOT IN ('pg_catalog', 'information_schema') AND n.nspname NOT LIKE 'pg_toast%'
+          AND NOT EXISTS (SELECT 1 FROM pg_constraint k WHERE k.conrelid = c.oid AND k.contype = 'p')
+        ORDER BY c.reltuples DESC
+      `)).rows;
+      return {
+        status: rows.length > 0 ? 'warn' : 'ok',
+        summary: rows.length > 0 ? `${rows.length} tables have no primary key` : 'Every table has a primary key',
+        evidence: rows,
+      };
+    },
+  },
+  {
+    id: 'sequence_exhaustion',
+    title: 'Sequence exhaustion',
+    weight: 3,
+    minVersion: 100000,
+    explanation: 'Inserts fail once a sequence, or the integer column it feeds, reaches its maximum value.',
+    remediation: 'Convert the column (and sequence) to bigint before the limit is reached; for large tables plan an online migration.',
+    run: async pool => {
+      const rows = (await pool.query(SEQUENCES_QUERY)).rows.map(row => {
+        const limit = Math.min(parseFloat(row.max_value), TYPE_LIMITS[row.column_type] || Infinity);
+        return {
+          sequence: `${row.schemaname}.${row.sequencename}`,
+          column: row.table_name ? `${row.table_name}.${row.column_name} (${row.column_type})` : null,
+          last_value: row.last_value,
+          limit,
+          used_percent: Math.round(10000 * parseFloat(row.last_value) / limit) / 100,
+        };
+      }).sort((a, b) => b.used_percent - a.used_percent);
+
+      const highest = rows.length > 0 ? rows[0].used_percent / 100 : 0;
+      return {
+        status: ratioStatus(highest, 0.75, 0.9),
+        summary: rows.length > 0
+          ? `Most used sequence ${rows[0].sequence} is at ${rows[0].used_percent}% of its limit`
+          : 'No sequences in use',
+        evidence: rows.filter(row => row.used_percent >= 50),
+      };
+    },
+  },
+  {
+    id: 'bloat',
+    title: 'Table and index bloat',
+    weight: 2,
+    explanation: 'Dead space in tables and indexes wastes disk and cache and slows down scans.',
+    remediation: 'Follow the suggested VACUUM, REINDEX CONCURRENTLY or pg_repack commands from /api/bloat.',
+    run: async pool => {
+      const report = await bloat.estimateBloat(pool);
+      const actionable = [...report.tables, ...report.indexes].filter(row => row.action !== 'none');
+      return {
+        status: actionable.some(row => row.bloatRatio >= 50) ? 'critical' : actionable.length > 0 ? 'warn' : 'ok',
+        summary: actionable.length > 0
+          ? `${actionable.length} relations need maintenance (${megabytes(report.summary.tableBloatBytes + report.summary.indexBloatBytes)} estimated bloat)`
+          : 'Bloat is within normal bounds',
+        evidence: actionable.map(row => ({
+          relation: row.index ? `${row.schema}.${row.index}` : `${row.schema}.${row.table}`,
+          bloatBytes: Math.round(row.bloatBytes),
+          bloatRatio: Math.round(row.bloatRatio),
+          command: row.command,
+        })),
+      };
+    },
+  },
+  {
+    id: 'memory_settings',
+    title: 'Memory configuration',
+    weight: 1,
+    explanation: 'shared_buffers left at its 128 MB default wastes RAM on most servers, while a large work_mem multiplied by many connections can exhaust memory.',
+    remediation: 'Size shared_buffers to about 25% of RAM and keep work_mem x max_connections well below available memory; see /api/settings.',
+    run: async (pool, context) => {
+      const { shared_buffers: sharedBuffers, work_mem: workMem, max_connections: maxConnections } = context.settings;
+      const findings = [];
+
+      if (sharedBuffers.bytes <= 128 * 1024 * 1024) {
+        findings.push({ setting: 'shared_buffers', value: megabytes(sharedBuffers.bytes), issue: 'At or below the 128 MB default' });
+      }
+      // One sort or hash per connection is a conservative lower bound of the real usage
+      const worstCase = workMem.bytes * maxConnections.value;
+      if (worstCase > 64 * 1024 * 1024 * 1024) {
+        findings.push({
+          setting: 'work_mem',
+          value: megabytes(workMem.bytes),
+          issue: `work_mem x max_connections allows ${megabytes(worstCase)}`,
+        });
+      }
+
+      return {
+        status: findings.length > 0 ? 'warn' : 'ok',
+        summary: findings.length > 0 ? findings.map(finding => finding.issue).join('; ') : 'Memory settings look sane',
+        evidence: findings,
+      };
+    },
+  },
+];
+
+// Load the settings used by several checks
+async function loadSettings(pool) {
+  const settings = {};
+  (await pool.query(SETTINGS_QUERY)).rows.forEach(row => {
+    settings[row.name] = {
+      value: parseFloat(row.setting),
+      setting: row.setting,
+      unit: row.unit,
+      bytes: row.bytes !== null ? parseInt(row.bytes, 10) : null,
+    };
+  });
+  return settings;
+}
+
+// Run every check against the database behind `pool`
+async function runHealthReport(pool) {
+  const version = parseInt((await pool.query('SHOW server_version_num')).rows[0].server_version_num, 10);
+
+  let advice = null;
+  const context = {
+    version,
+    settings: await loadSettings(pool),
+    // The index advisor backs two checks; run it once
+    indexAdvice: () => {
+      advice = advice || indexAdvisor.getRecommendations(pool);
+      return advice;
+    },
+  };
+
+  // Checks run one after another to keep the load on the server low
+  const checks = [];
+  for (const check of CHECKS) {
+    const base = {
+      id: check.id,
+      title: check.title,
+      weight: check.weight,
+      explanation: check.explanation,
+      remediation: check.remediation,
+    };
+
+    if (check.minVersion && version < check.minVersion) {
+      checks.push({ ...base, status: 'skipped', summary: `Needs server_version_num ${check.minVersion} or later`, evidence: [] });
+      continue;
+    }
+
+    try {
+      const result = await check.run(pool, context);
+      checks.push({
+        ...base,
+        status: result.status,
+        summary: result.summary,
+        evidence: result.evidence.slice(0, MAX_EVIDENCE),
+        evidenceCount: result.evidence.length,
+      });
+    } catch (error) {
+      checks.push({ ...base, status: 'skipped', summary: `Check failed: ${error.message}`, evidence: [] });
+    }
+  }
+
+  const scored = checks.filter(check => STATUS_POINTS[check.status] !== undefined);
+  const weights = scored.reduce((sum, check) => sum + check.weight, 0);
+  const points = scored.reduce((sum, check) => sum + check.weight * STATUS_POINTS[check.status], 0);
+  const count = status => checks.filter(check => check.status === status).length;
+
+  return {
+    timestamp: new Date().toISOString(),
+    serverVersionNum: version,
+    score: weights > 0 ? Math.round((100 * points) / weights) : null,
+    summary: {
+      ok: count('ok'),
+      warn: count('warn'),
+      critical: count('critical'),
+      skipped: count('skipped'),
+    },
+    checks,
+  };
+}
+
+const STATUS_LABELS = { ok: 'OK', warn: 'WARN', critical: 'CRITICAL', skipped: 'SKIPPED' };
+
+// Render a report as Markdown, e.g. for a ticket
+function toMarkdown(report) {
+  const lines = [
+    `# Health report: ${report.databaseName || report.databaseId || 'database'}`,
+    '',
+    `Generated ${report.timestamp}, score **${report.score !== null ? report.score : 'n/a'}/100** ` +
+      `(${report.summary.critical} critical, ${report.summary.warn} warn, ${report.summary.ok} ok, ${report.summary.skipped} skipped)`,
+    '',
+    '| Check | Status | Summary |',
+    '| --- | --- | --- |',
+    ...report.checks.map(check => `| ${check.title} | ${STATUS_LABELS[check.status]} | ${markdownCell(check.summary)} |`),
+  ];
+
+  report.checks.forEach(check => {
+    lines.push('', `## ${check.title}: ${STATUS_LABELS[check.status]}`, '', check.summary, '', `*Why it matters:* ${check.explanation}`);
+    if (check.status === 'warn' || check.status === 'critical') {
+      lines.push('', `*Remediation:* ${check.remediation}`);
+    }
+    if (check.evidence.length > 0) {
+      const columns = Object.keys(check.evidence[0]);
+      lines.push(
+        '',
+        `| ${columns.join(' | ')} |`,
+        `| ${columns.map(() => '---').join(' | ')} |`,
+        ...check.evidence.map(row => `| ${columns.map(column => markdownCell(row[column])).join(' | ')} |`),
+      );
+      if (check.evidenceCount > check.evidence.length) {
+        lines.push('', `_${check.evidenceCount - check.evidence.length} more rows not shown_`);
+      }
+    }
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+function escapeHtml(value) {
+  return value === null || value === undefined ? '' : String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Render a report as a standalone HTML page with inline styles
+function toHtml(report) {
+  const title = `Health report: ${report.databaseName || report.databaseId || 'database'}`;
+
+  const sections = report.checks.map(check => {
+    const columns = check.evidence.length > 0 ? Object.keys(check.evidence[0]) : [];
+    const evidence = columns.length > 0
+      ? `<table><tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>` +
+        check.evidence.map(row => `<tr>${columns.map(column => `<td>${escapeHtml(row[column])}</td>`).join('')}</tr>`).join('') +
+        '</table>' +
+        (check.evidenceCount > check.evidence.length ? `<p class="more">${check.evidenceCount - check.evidence.length} more rows not shown</p>` : '')
+      : '';
+    const remediation = check.status === 'warn' || check.status === 'critical'
+      ? `<p><strong>Remediation:</strong> ${escapeHtml(check.remediation)}</p>`
+      : '';
+
+    return `<section class="${check.status}">
+<h2><span class="badge">${STATUS_LABELS[check.status]}</span> ${escapeHtml(check.title)}</h2>
+<p>${escapeHtml(check.summary)}</p>
+<p><strong>Why it matters:</strong> ${escapeHtml(check.explanation)}</p>
+${remediation}
+${evidence}
+</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2em auto; max-width: 1000px; color: #222; }
+.score { font-size: 2em; font-weight: bold; }
+section { border-left: 6px solid #999; padding: 0.2em 1em; margin: 1.5em 0; }
+section.ok { border-color: #2e7d32; }
+section.warn { border-color: #f9a825; }
+section.critical { border-color: #c62828; }
+.badge { font-size: 0.7em; padding: 0.1em 0.5em; border-radius: 4px; background: #eee; }
+table { border-collapse: collapse; font-size: 0.85em; width: 100%; }
+th, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; vertical-align: top; }
+th { background: #f5f5f5; }
+.more { color: #666; font-style: italic; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="score">${report.score !== null ? report.score : 'n/a'}/100</p>
+<p>Generated ${escapeHtml(report.timestamp)}: ${report.summary.critical} critical, ${report.summary.warn} warn, ${report.summary.ok} ok, ${report.summary.skipped} skipped</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  runHealthReport,
+  toMarkdown,
+  toHtml,
+};
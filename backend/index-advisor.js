@@ -0,0 +1,250 @@
+// Index advisor: unused, duplicate, redundant, invalid and likely missing indexes
+const { quoteIdent } = require('./sql-quote');
+
+// Tables smaller than this are cheap to scan sequentially
+const MISSING_INDEX_MIN_ROWS = 10000;
+// Average rows read per sequential scan before a table is considered for an index
+const MISSING_INDEX_MIN_ROWS_PER_SCAN = 1000;
+
+const INDEXES_QUERY = `
+  SELECT n.nspname AS schemaname, t.relname AS table_name, ic.relname AS index_name,
+         i.indkey::text AS indkey, i.indclass::text AS indclass, i.indcollation::text AS indcollation,
+         pg_get_expr(i.indexprs, i.indrelid) AS expressions,
+         pg_get_expr(i.indpred, i.indrelid) AS predicate,
+         i.indisunique, i.indisprimary, i.indisvalid, am.amname,
+         EXISTS (SELECT 1 FROM pg_constraint c WHERE c.conindid = i.indexrelid) AS is_constraint,
+         coalesce(s.idx_scan, 0) AS idx_scan,
+         pg_relation_size(i.indexrelid) AS index_bytes,
+         pg_get_indexdef(i.indexrelid) AS definition
+  FROM pg_index i
+  JOIN pg_class ic ON ic.oid = i.indexrelid
+  JOIN pg_class t ON t.oid = i.indrelid
+  JOIN pg_namespace n ON n.oid = t.relnamespace
+  JOIN pg_am am ON am.oid = ic.relam
+  LEFT JOIN pg_stat_user_indexes s ON s.indexrelid = i.indexrelid
+  WHERE n.nspname NOT IN ('pg_catalog', 'information_schema')
+    AND n.nspname NOT LIKE 'pg_toast%'
+`;
+
+const MISSING_QUERY = `
+  SELECT schemaname, relname AS table_name, seq_scan, seq_tup_read,
+         coalesce(idx_scan, 0) AS idx_scan, n_live_tup,
+         pg_relation_size(relid) AS table_bytes
+  FROM pg_stat_user_tables
+  WHERE seq_scan > coalesce(idx_scan, 0)
+    AND n_live_tup >= $1
+    AND seq_tup_read / greatest(seq_scan, 1) >= $2
+  ORDER BY seq_tup_read DESC
+  LIMIT 20
+`;
+
+// Columns with enough distinct values to be worth indexing
+const CANDIDATE_COLUMNS_QUERY = `
+  SELECT schemaname, tablename, attname, n_distinct
+  FROM pg_stats
+  WHERE schemaname = ANY($1) AND tablename = ANY($2)
+    AND (n_distinct < -0.01 OR n_distinct > 100)
+  ORDER BY abs(n_distinct) DESC
+`;
+
+function qualified(schema, name) {
+  return `${quoteIdent(schema)}.${quoteIdent(name)}`;
+}
+
+function describeIndex(index) {
+  return {
+    schema: index.schemaname,
+    table: index.table_name,
+    index: index.index_name,
+    scans: parseInt(index.idx_scan, 10),
+    sizeBytes: parseInt(index.index_bytes, 10),
+    definition: index.definition,
+  };
+}
+
+function dropSuggestion(index) {
+  return `DROP INDEX CONCURRENTLY ${qualified(index.schemaname, index.index_name)};`;
+}
+
+// Indexes that enforce something must never be suggested for dropping
+function isProtected(index) {
+  return index.indisunique || index.indisprimary || index.is_constraint;
+}
+
+// Same access method, index expressions and partial-index predicate
+function sameShape(a, b) {
+  return a.amname === b.amname &&
+    a.expressions === b.expressions &&
+    a.predicate === b.predicate;
+}
+
+function isPrefix(shorter, longer) {
+  const short = shorter.split(' ');
+  const long = longer.split(' ');
+  return short.length < long.length && short.every((value, i) => value === long[i]);
+}
+
+// Find exact duplicates and btree indexes covered by a longer index on the same table
+function findOverlaps(indexes) {
+  const duplicates = [];
+  const redundant = [];
+  const byTable = {};
+
+  indexes.filter(index => index.indisvalid).forEach(index => {
+    const key = `${index.schemaname}.${index.table_name}`;
+    (byTable[key] = byTable[key] || []).push(index);
+  });
+
+  Object.values(byTable).forEach(tableIndexes => {
+    const reported = new Set();
+
+    tableIndexes.forEach((a, i) => {
+      tableIndexes.slice(i + 1).forEach(b => {
+        if (!sameShape(a, b)) {
+          return;
+        }
+
+        if (a.indkey === b.indkey && a.indclass === b.indclass && a.indcollation === b.indcollation) {
+          // Keep the one enforcing a constraint, otherwise the more used one
+          const [drop, keep] = isProtected(a) && !isProtected(b) ? [b, a]
+            : isProtected(b) && !isProtected(a) ? [a, b]
+              : parseInt(a.idx_scan, 10) >= parseInt(b.idx_scan, 10) ? [b, a] : [a, b];
+
+          if (!isProtected(drop) && !reported.has(drop.index_name)) {
+            reported.add(drop.index_name);
+            duplicates.push({
+              ...describeIndex(drop),
+              duplicateOf: keep.index_name,
+              reclaimableBytes: parseInt(drop.index_bytes, 10),
+              suggestion: dropSuggestion(drop),
+            });
+          }
+          return;
+        }
+
+        // Leading-column coverage only holds for btree
+        if (a.amname !== 'btree') {
+          return;
+        }
+        [[a, b], [b, a]].forEach(([shorter, longer]) => {
+          if (!isProtected(shorter) && !reported.has(shorter.index_name) &&
+              isPrefix(shorter.indkey, longer.indkey) && isPrefix(shorter.indclass, longer.indclass)) {
+            reported.add(shorter.index_name);
+            redundant.push({
+              ...describeIndex(shorter),
+              coveredBy: longer.index_name,
+              coveredByDefinition: longer.definition,
+              reclaimableBytes: parseInt(shorter.index_bytes, 10),
+              suggestion: dropSuggestion(shorter),
+            });
+          }
+        });
+      });
+    });
+  });
+
+  return { duplicates, redundant };
+}
+
+// Build the full advisor report for the database behind `pool`
+async function getRecommendations(pool) {
+  const statsReset = await pool.query(
+    'SELECT stats_reset FROM pg_stat_database WHERE datname = current_database()',
+  );
+  const indexes = (await pool.query(INDEXES_QUERY)).rows;
+
+  const unused = indexes
+    .filter(index => index.indisvalid && !isProtected(index) && parseInt(index.idx_scan, 10) === 0)
+    .sort((a, b) => b.index_bytes - a.index_bytes)
+    .map(index => ({
+      ...describeIndex(index),
+      reclaimableBytes: parseInt(index.index_bytes, 10),
+      suggestion: dropSuggestion(index),
+    }));
+
+  const invalid = indexes
+    .filter(index => !index.indisvalid)
+    .map(index => ({
+      ...describeIndex(index),
+      reclaimableBytes: parseInt(index.index_bytes, 10),
+      // An invalid index is left behind by a failed CREATE INDEX CONCURRENTLY
+      suggestion: `${dropSuggestion(index)}\n${index.definition.replace(/^CREATE (UNIQUE )?INDEX /, 'CREATE $1INDEX CONCURRENTLY ')};`,
+    }));
+
+  const { duplicates, redundant } = findOverlaps(indexes);
+
+  const missing = await findMissing(pool, indexes);
+
+  const reclaimable = [...unused, ...duplicates, ...redundant, ...invalid];
+  const uniqueReclaimable = new Map(reclaimable.map(item => [`${item.schema}.${item.index}`, item.reclaimableBytes]));
+
+  return {
+    timestamp: new Date().toISOString(),
+    statsReset: statsReset.rows.length > 0 ? statsReset.rows[0].stats_reset : null,
+    unused,
+    duplicates,
+    redundant,
+    invalid,
+    missing,
+    summary: {
+      unused: unused.length,
+      duplicates: duplicates.length,
+      redundant: redundant.length,
+      invalid: invalid.length,
+      missing: missing.length,
+      reclaimableBytes: Array.from(uniqueReclaimable.values()).reduce((sum, bytes) => sum + bytes, 0),
+    },
+  };
+}
+
+// Tables read mostly by large sequential scans, with candidate columns for a new index
+async function findMissing(pool, indexes) {
+  const tables = (await pool.query(MISSING_QUERY, [MISSING_INDEX_MIN_ROWS, MISSING_INDEX_MIN_ROWS_PER_SCAN])).rows;
+  if (tables.length === 0) {
+    return [];
+  }
+
+  const stats = await pool.query(CANDIDATE_COLUMNS_QUERY, [
+    tables.map(table => table.schemaname),
+    tables.map(table => table.table_name),
+  ]);
+
+  return tables.map(table => {
+    // Columns already leading an index are not candidates
+    const leading = new Set(indexes
+      .filter(index => index.schemaname === table.schemaname && index.table_name === table.table_name)
+      .map(index => {
+        const match = /\(([^,)]+)/.exec(index.definition);
+        return match ? match[1].trim().replace(/"/g, '') : null;
+      }));
+
+    const candidates = stats.rows
+      .filter(row => row.schemaname === table.schemaname && row.tablename === table.table_name)
+      .filter(row => !leading.has(row.attname))
+      .slice(0, 3)
+      .map(row => row.attname);
+
+    const seqScan = parseInt(table.seq_scan, 10);
+    const seqTupRead = parseInt(table.seq_tup_read, 10);
+
+    return {
+      schema: table.schemaname,
+      table: table.table_name,
+      seqScan,
+      seqTupRead,
+      idxScan: parseInt(table.idx_scan, 10),
+      liveRows: parseInt(table.n_live_tup, 10),
+      avgRowsPerScan: Math.round(seqTupRead / Math.max(seqScan, 1)),
+      tableBytes: parseInt(table.table_bytes, 10),
+      candidateColumns: candidates,
+      suggestion: candidates.length > 0
+        ? `CREATE INDEX CONCURRENTLY ON ${qualified(table.schemaname, table.table_name)} (${quoteIdent(candidates[0])});`
+        : `-- Check the filters of queries on ${qualified(table.schemaname, table.table_name)} in pg_stat_statements`,
+    };
+  });
+}
+
+module.exports = {
+  getRecommendations,
+  findOverlaps,
+};
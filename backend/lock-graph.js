@@ -0,0 +1,192 @@
+// Lock graph: who is blocking whom, built from pg_blocking_pids()
+
+const ACTIVITY_QUERY = `
+  SELECT pid, usename, application_name, datname, state, wait_event_type, wait_event,
+         query, query_start, xact_start,
+         extract(epoch FROM now() - query_start) AS query_seconds,
+         extract(epoch FROM now() - xact_start) AS xact_seconds,
+         pg_blocking_pids(pid) AS blocked_by
+  FROM pg_stat_activity
+  WHERE pid <> pg_backend_pid()
+`;
+
+// l.* keeps waitstart on PostgreSQL 14+ without breaking older servers
+const LOCKS_QUERY = `
+  SELECT l.*, l.relation::regclass::text AS relation_name, now() AS observed_at
+  FROM pg_locks l
+  WHERE l.pid = ANY($1)
+`;
+
+// Fields identifying the object a lock is taken on
+const LOCK_TARGET_FIELDS = [
+  'locktype', 'database', 'relation', 'page', 'tuple', 'virtualxid',
+  'transactionid', 'classid', 'objid', 'objsubid',
+];
+
+function sameTarget(a, b) {
+  return LOCK_TARGET_FIELDS.every(field => String(a[field]) === String(b[field]));
+}
+
+// Build the blocker -> waiter graph of the database behind `pool`
+async function buildLockGraph(pool) {
+  const activity = await pool.query(ACTIVITY_QUERY);
+
+  // Keep only backends that wait on, or are waited on by, another backend
+  const involved = new Set();
+  activity.rows.forEach(row => {
+    if (row.blocked_by.length > 0) {
+      involved.add(row.pid);
+      row.blocked_by.forEach(pid => involved.add(pid));
+    }
+  });
+
+  const sessions = activity.rows.filter(row => involved.has(row.pid));
+  const locks = involved.size > 0
+    ? (await pool.query(LOCKS_QUERY, [Array.from(involved)])).rows
+    : [];
+
+  const nodes = {};
+  sessions.forEach(row => {
+    const waiting = locks.find(lock => lock.pid === row.pid && !lock.granted);
+
+    nodes[row.pid] = {
+      pid: row.pid,
+      user: row.usename,
+      application: row.application_name,
+      database: row.datname,
+      state: row.state,
+      waitEventType: row.wait_event_type,
+      waitEvent: row.wait_event,
+      query: row.query,
+      queryStart: row.query_start,
+      xactStart: row.xact_start,
+      querySeconds: row.query_seconds !== null ? parseFloat(row.query_seconds) : null,
+      xactSeconds: row.xact_seconds !== null ? parseFloat(row.xact_seconds) : null,
+      waitingFor: waiting
+        ? { lockType: waiting.locktype, mode: waiting.mode, relation: waiting.relation_name }
+        : null,
+      waitSeconds: waiting && waiting.waitstart
+        ? (new Date(waiting.observed_at) - new Date(waiting.waitstart)) / 1000
+        : null,
+      blockedBy: row.blocked_by,
+      blocking: [],
+      isRootBlocker: false,
+      totalBlocked: 0,
+    };
+  });
+
+  const edges = [];
+  Object.values(nodes).forEach(waiter => {
+    const requested = locks.find(lock => lock.pid === waiter.pid && !lock.granted);
+
+    waiter.blockedBy.forEach(blockerPid => {
+      const blocker = nodes[blockerPid];
+      if (!blocker) {
+        // Blocker ended between the two queries
+        return;
+      }
+      blocker.blocking.push(waiter.pid);
+
+      const blockerLocks = requested
+        ? locks.filter(lock => lock.pid === blockerPid && sameTarget(lock, requested))
+        : [];
+
+      edges.push({
+        from: blockerPid,
+        to: waiter.pid,
+        lockType: requested ? requested.locktype : null,
+        relation: requested ? requested.relation_name : null,
+        requestedMode: requested ? requested.mode : null,
+        heldModes: blockerLocks.filter(lock => lock.granted).map(lock => lock.mode),
+        // The blocker is itself waiting for a conflicting lock earlier in the queue
+        queuedAhead: blockerLocks.some(lock => !lock.granted),
+      });
+    });
+  });
+
+  // Root blockers hold others up without waiting themselves
+  const roots = Object.values(nodes).filter(node => node.blocking.length > 0 && node.blockedBy.length === 0);
+  roots.forEach(node => {
+    node.isRootBlocker = true;
+  });
+
+  // Count every backend transitively held up by each node (cycles counted once)
+  Object.values(nodes).forEach(node => {
+    const seen = new Set();
+    const stack = [...node.blocking];
+    while (stack.length > 0) {
+      const pid = stack.pop();
+      if (pid !== node.pid && !seen.has(pid)) {
+        seen.add(pid);
+        stack.push(...((nodes[pid] && nodes[pid].blocking) || []));
+      }
+    }
+    node.totalBlocked = seen.size;
+  });
+
+  return {
+    timestamp: new Date().toISOString(),
+    nodes: Object.values(nodes),
+    edges,
+    roots: roots
+      .sort((a, b) => b.totalBlocked - a.totalBlocked)
+      .map(node => node.pid),
+    tree: roots.map(node => buildTree(nodes, node.pid, new Set())),
+  };
+}
+
+// Nested blocker tree below a root, guarding against lock cycles
+function buildTree(nodes, pid, visited) {
+  visited.add(pid);
+  const node = nodes[pid];
+
+  return {
+    pid,
+    user: node.user,
+    state: node.state,
+    waitingFor: node.waitingFor,
+    waitSeconds: node.waitSeconds,
+    query: node.query,
+    blocking: node.blocking
+      .filter(child => !visited.has(child))
+      .map(child => buildTree(nodes, child, visited)),
+  };
+}
+
+function dotEscape(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\s+/g, ' ');
+}
+
+// Render the graph in Graphviz DOT format
+function toDot(graph) {
+  const lines = ['digraph locks {', '  rankdir=LR;', '  node [shape=box, fontname="Helvetica"];'];
+
+  graph.nodes.forEach(node => {
+    const query = node.query && node.query.length > 60 ? `${node.query.substring(0, 57)}...` : node.query;
+    const label = [
+      `pid ${node.pid} (${node.user || 'unknown'})`,
+      node.state,
+      node.waitSeconds !== null ? `waiting ${node.waitSeconds.toFixed(1)}s` : null,
+      query,
+    ].filter(Boolean).map(dotEscape).join('\\n');
+    const style = node.isRootBlocker ? ', style=filled, fillcolor="#f8d7da"' : '';
+
+    lines.push(`  ${node.pid} [label="${label}"${style}];`);
+  });
+
+  graph.edges.forEach(edge => {
+    const label = [edge.requestedMode, edge.relation].filter(Boolean).map(dotEscape).join(' on ');
+    lines.push(`  ${edge.from} -> ${edge.to} [label="${label}"];`);
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  buildLockGraph,
+  toDot,
+};
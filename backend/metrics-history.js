@@ -0,0 +1,273 @@
+// Metrics history: background sampler and JSON-lines store for time-range queries
+const fs = require('fs');
+const path = require('path');
+const dbManager = require('./db-manager');
+
+const HISTORY_DIR = path.join(__dirname, 'data', 'history');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Upper bound on points returned when no explicit step is requested
+const MAX_POINTS = 500;
+
+// Sampled metrics; every query returns a single row with a numeric `value` column
+const METRICS = {
+  active_queries: "SELECT count(*) AS value FROM pg_stat_activity WHERE state = 'active' AND pid <> pg_backend_pid()",
+  connections: "SELECT count(*) AS value FROM pg_stat_activity",
+  idle_in_transaction: "SELECT count(*) AS value FROM pg_stat_activity WHERE state = 'idle in transaction'",
+  waiting_on_locks: "SELECT count(*) AS value FROM pg_stat_activity WHERE wait_event_type = 'Lock'",
+  database_size: "SELECT pg_database_size(current_database()) AS value",
+  cluster_size: "SELECT sum(pg_database_size(datname)) AS value FROM pg_database",
+  table_count: "SELECT count(*) AS value FROM information_schema.tables WHERE table_schema = 'public'",
+  cache_hit_ratio: "SELECT CASE WHEN blks_hit + blks_read = 0 THEN 0 ELSE blks_hit::float / (blks_hit + blks_read) END AS value FROM pg_stat_database WHERE datname = current_database()",
+  xact_commit: "SELECT xact_commit AS value FROM pg_stat_database WHERE datname = current_database()",
+  xact_rollback: "SELECT xact_rollback AS value FROM pg_stat_database WHERE datname = current_database()",
+  // Next transaction id; txid_current_snapshot() does not assign an xid of its own
+  xid_next: "SELECT txid_snapshot_xmax(txid_current_snapshot()) AS value",
+  // WAL position in bytes: written on a primary, replayed on a standby
+  wal_bytes: "SELECT (CASE WHEN pg_is_in_recovery() THEN pg_last_wal_replay_lsn() ELSE pg_current_wal_lsn() END - '0/0'::pg_lsn) AS value",
+};
+
+// Day files are named after their UTC date
+function dayKey(timestamp) {
+  return new Date(timestamp).toISOString().substring(0, 10);
+}
+
+class MetricsHistory {
+  constructor() {
+    this.intervalSeconds = parseInt(process.env.HISTORY_SAMPLE_INTERVAL, 10) || 60;
+    this.retentionDays = parseInt(process.env.HISTORY_RETENTION_DAYS, 10) || 7;
+    this.timer = null;
+    this.sampling = false;
+    this.lastPrune = 0;
+  }
+
+  // Names of all sampled metrics
+  getMetrics() {
+    return Object.keys(METRICS);
+  }
+
+  hasMetric(metric) {
+    return Object.prototype.hasOwnProperty.call(METRICS, metric);
+  }
+
+  // SQL used to sample a metric, returning a single `value` column
+  getMetricQuery(metric) {
+    return this.hasMetric(metric) ? METRICS[metric] : null;
+  }
+
+  // Parse a query-string timestamp given as epoch milliseconds or an ISO date
+  parseTimestamp(value, fallback) {
+    if (value === undefined || value === '') {
+      return fallback;
+    }
+
+    const timestamp = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+    if (isNaN(timestamp)) {
+      throw new Error(`Invalid timestamp '${value}'`);
+    }
+
+    return timestamp;
+  }
+
+  // Start the background sampler
+  start() {
+    if (this.timer || process.env.HISTORY_ENABLED === 'false') {
+      return;
+    }
+
+    console.log(`Sampling metrics history every ${this.intervalSeconds}s (retention ${this.retentionDays} days)`);
+    this.timer = setInterval(() => this.sampleAll(), this.intervalSeconds * 1000);
+    this.sampleAll();
+  }
+
+  // Stop the background sampler
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Take one sample of every registered (non-temporary) connection
+  async sampleAll() {
+    // Skip the tick if the previous one is still waiting on a slow server
+    if (this.sampling) {
+      return;
+    }
+
+    this.sampling = true;
+    try {
+      const ids = Object.keys(dbManager.connections)
+        .filter(id => !dbManager.connections[id].temporary);
+
+      await Promise.all(ids.map(id => this.sampleConnection(id)));
+
+      if (Date.now() - this.lastPrune > PRUNE_INTERVAL_MS) {
+        await this.prune();
+      }
+    } catch (error) {
+      console.error('Error sampling metrics history:', error);
+    } finally {
+      this.sampling = false;
+    }
+  }
+
+  // Collect all metrics for one connection and append them to its history
+  async sampleConnection(id) {
+    let client;
+    try {
+      client = await dbManager.getMonitorPool(id).connect();
+    } catch (error) {
+      console.warn(`Unable to sample metrics for database ${id}:`, error.message);
+      return;
+    }
+
+    const values = {};
+    try {
+      for (const [metric, sql] of Object.entries(METRICS)) {
+        try {
+          const result = await client.query(sql);
+          const value = result.rows.length > 0 ? parseFloat(result.rows[0].value) : NaN;
+          if (!isNaN(value)) {
+            values[metric] = value;
+          }
+        } catch (error) {
+          // A single failing metric (e.g. missing privilege) should not drop the whole sample
+          console.warn(`Unable to sample ${metric} for database ${id}:`, error.message);
+        }
+      }
+    } finally {
+      client.release();
+    }
+
+    if (Object.keys(values).length > 0) {
+      await this.append(id, { t: Date.now(), m: values });
+    }
+  }
+
+  connectionDir(id) {
+    return path.join(HISTORY_DIR, String(id).replace(/[^\w-]/g, '_'));
+  }
+
+  // Append a sample to the day file of a connection
+  async append(id, sample) {
+    const dir = this.connectionDir(id);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.appendFile(path.join(dir, `${dayKey(sample.t)}.jsonl`), JSON.stringify(sample) + '\n');
+  }
+
+  // Read raw samples of a connection within [from, to]
+  async readSamples(id, from, to) {
+    const dir = this.connectionDir(id);
+    const samples = [];
+
+    // Only day files inside the retention period can exist, so an open-ended range walks no further
+    const first = Math.max(from, Date.now() - (this.retentionDays + 1) * DAY_MS);
+    const last = Math.min(to, Date.now());
+
+    for (let day = first - (first % DAY_MS); day <= last; day += DAY_MS) {
+      let content;
+      try {
+        content = await fs.promises.readFile(path.join(dir, `${dayKey(day)}.jsonl`), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        throw error;
+      }
+
+      content.split('\n').forEach(line => {
+        if (!line) {
+          return;
+        }
+        try {
+          const sample = JSON.parse(line);
+          if (sample.t >= from && sample.t <= to) {
+            samples.push(sample);
+          }
+        } catch (error) {
+          // Ignore a torn trailing line left by an interrupted write
+        }
+      });
+    }
+
+    return samples;
+  }
+
+  // Query a metric for a connection, downsampled into buckets of `step` seconds
+  async query(id, metric, from, to, step) {
+    const stepMs = step
+      ? step * 1000
+      : Math.max(this.intervalSeconds * 1000, Math.ceil((to - from) / MAX_POINTS));
+
+    const buckets = new Map();
+    const samples = await this.readSamples(id, from, to);
+
+    samples.forEach(sample => {
+      const value = sample.m[metric];
+      if (value === undefined) {
+        return;
+      }
+
+      const start = from + Math.floor((sample.t - from) / stepMs) * stepMs;
+      const bucket = buckets.get(start);
+      if (bucket) {
+        bucket.sum += value;
+        bucket.count += 1;
+        bucket.min = Math.min(bucket.min, value);
+        bucket.max = Math.max(bucket.max, value);
+        bucket.last = value;
+      } else {
+        buckets.set(start, { sum: value, count: 1, min: value, max: value, last: value });
+      }
+    });
+
+    const points = Array.from(buckets.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([start, bucket]) => ({
+        timestamp: new Date(start).toISOString(),
+        avg: bucket.sum / bucket.count,
+        min: bucket.min,
+        max: bucket.max,
+        last: bucket.last,
+        count: bucket.count,
+      }));
+
+    return {
+      metric,
+      databaseId: id,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      step: stepMs / 1000,
+      points,
+    };
+  }
+
+  // Delete day files older than the retention period
+  async prune() {
+    this.lastPrune = Date.now();
+    const cutoff = dayKey(Date.now() - this.retentionDays * DAY_MS);
+
+    let dirs;
+    try {
+      dirs = await fs.promises.readdir(HISTORY_DIR);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    for (const dir of dirs) {
+      const files = await fs.promises.readdir(path.join(HISTORY_DIR, dir));
+      for (const file of files) {
+        if (file.endsWith('.jsonl') && file.substring(0, 10) < cutoff) {
+          await fs.promises.unlink(path.join(HISTORY_DIR, dir, file));
+        }
+      }
+    }
+  }
+}
+
+module.exports = new MetricsHistory();
@@ -0,0 +1,110 @@
+// Alert notifiers: deliver firing/resolved alerts to external channels
+
+const NOTIFIER_TYPES = ['webhook', 'slack', 'smtp'];
+
+// One-line summary used as message title and e-mail subject
+function alertTitle(alert) {
+  const status = alert.status === 'resolved' ? 'RESOLVED' : 'FIRING';
+  return `[${status}] [${alert.severity.toUpperCase()}] ${alert.ruleName} on ${alert.connectionName}`;
+}
+
+function alertText(alert) {
+  const lines = [
+    alertTitle(alert),
+    `Condition: ${alert.condition}`,
+    `Value: ${alert.value}`,
+    `Started: ${alert.startsAt}`,
+  ];
+  if (alert.resolvedAt) {
+    lines.push(`Resolved: ${alert.resolvedAt}`);
+  }
+  return lines.join('\n');
+}
+
+async function postJson(url, payload, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(10000),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook responded with HTTP ${response.status}`);
+  }
+}
+
+// Generic webhook: the full alert object as JSON
+async function sendWebhook(config, alert) {
+  await postJson(config.url, { alert }, config.headers);
+}
+
+// Slack-compatible incoming webhook payload
+async function sendSlack(config, alert) {
+  const colors = { info: '#439FE0', warning: 'warning', critical: 'danger' };
+
+  await postJson(config.url, {
+    text: alertTitle(alert),
+    attachments: [{
+      color: alert.status === 'resolved' ? 'good' : colors[alert.severity],
+      fields: [
+        { title: 'Condition', value: alert.condition, short: true },
+        { title: 'Value', value: String(alert.value), short: true },
+        { title: 'Database', value: alert.connectionName, short: true },
+        { title: 'Started', value: alert.startsAt, short: true },
+      ],
+    }],
+  });
+}
+
+// Plain-text e-mail through an SMTP relay
+async function sendSmtp(config, alert) {
+  // Loaded lazily so installations without e-mail notifiers don't need the transport
+  const nodemailer = require('nodemailer');
+
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: parseInt(config.port, 10) || 587,
+    secure: config.secure || false,
+    auth: config.username ? { user: config.username, pass: config.password } : undefined,
+  });
+
+  await transport.sendMail({
+    from: config.from,
+    to: config.to,
+    subject: alertTitle(alert),
+    text: alertText(alert),
+  });
+}
+
+const senders = {
+  webhook: sendWebhook,
+  slack: sendSlack,
+  smtp: sendSmtp,
+};
+
+// Validate a notifier definition, returning an error message or null
+function validateNotifier(notifier) {
+  if (!notifier || !NOTIFIER_TYPES.includes(notifier.type)) {
+    return `Notifier type must be one of: ${NOTIFIER_TYPES.join(', ')}`;
+  }
+  if (notifier.type === 'smtp') {
+    if (!notifier.host || !notifier.from || !notifier.to) {
+      return 'SMTP notifiers require host, from and to';
+    }
+  } else if (!notifier.url) {
+    return 'Webhook notifiers require a url';
+  }
+  return null;
+}
+
+// Deliver an alert through a notifier
+async function send(notifier, alert) {
+  await senders[notifier.type](notifier, alert);
+}
+
+module.exports = {
+  NOTIFIER_TYPES,
+  validateNotifier,
+  send,
+};
@@ -0,0 +1,165 @@
+// Prometheus exporter: text exposition format for all registered connections
+const dbManager = require('./db-manager');
+
+// Scrapes within this window are served from the previous collection
+const CACHE_TTL_MS = (parseInt(process.env.METRICS_CACHE_TTL, 10) || 15) * 1000;
+
+const METRIC_DEFINITIONS = {
+  pgpatrol_up: ['gauge', 'Whether the monitored database could be reached (1) or not (0)'],
+  pgpatrol_scrape_duration_seconds: ['gauge', 'Time spent collecting metrics from the database'],
+  pg_database_size_bytes: ['gauge', 'Size of the current database in bytes'],
+  pg_connections: ['gauge', 'Number of backends by state'],
+  pg_max_connections: ['gauge', 'Configured max_connections'],
+  pg_lock_waits: ['gauge', 'Number of lock requests that have not been granted'],
+  pg_cache_hit_ratio: ['gauge', 'Buffer cache hit ratio of the current database'],
+  pg_table_dead_tuples: ['gauge', 'Estimated dead tuples per table'],
+  pg_table_live_tuples: ['gauge', 'Estimated live tuples per table'],
+  pg_stat_statements_calls_total: ['counter', 'Total calls recorded by pg_stat_statements'],
+  pg_stat_statements_exec_time_seconds_total: ['counter', 'Total execution time recorded by pg_stat_statements'],
+  pg_stat_statements_rows_total: ['counter', 'Total rows returned or affected recorded by pg_stat_statements'],
+};
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class PrometheusExporter {
+  constructor() {
+    this.cache = null;
+    this.cachedAt = 0;
+    this.pending = null;
+  }
+
+  // Render the exposition text, reusing a recent collection when possible
+  async getMetrics() {
+    if (this.cache && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    // Concurrent scrapers share a single in-flight collection
+    if (!this.pending) {
+      this.pending = this.collect()
+        .then(text => {
+          this.cache = text;
+          this.cachedAt = Date.now();
+          return text;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+
+    return this.pending;
+  }
+
+  async collect() {
+    const samples = [];
+    const connections = dbManager.getConnections().filter(conn => !dbManager.connections[conn.id].temporary);
+
+    await Promise.all(connections.map(conn => this.collectConnection(conn, samples)));
+
+    return this.render(samples);
+  }
+
+  // Append the samples of one connection as [metric, labels, value]
+  async collectConnection(conn, samples) {
+    const base = { connection_id: conn.id, connection_name: conn.name };
+    const started = Date.now();
+
+    let client;
+    try {
+      client = await dbManager.getMonitorPool(conn.id).connect();
+    } catch (error) {
+      console.warn(`Unable to collect Prometheus metrics for database ${conn.id}:`, error.message);
+      samples.push(['pgpatrol_up', base, 0]);
+      return;
+    }
+
+    try {
+      samples.push(['pgpatrol_up', base, 1]);
+
+      const size = await client.query('SELECT pg_database_size(current_database()) AS size');
+      samples.push(['pg_database_size_bytes', base, size.rows[0].size]);
+
+      const states = await client.query(`
+        SELECT coalesce(state, 'unknown') AS state, count(*) AS count
+        FROM pg_stat_activity
+        WHERE backend_type = 'client backend'
+        GROUP BY 1
+      `);
+      states.rows.forEach(row => samples.push(['pg_connections', { ...base, state: row.state }, row.count]));
+
+      const maxConnections = await client.query("SELECT setting FROM pg_settings WHERE name = 'max_connections'");
+      samples.push(['pg_max_connections', base, maxConnections.rows[0].setting]);
+
+      const locks = await client.query('SELECT count(*) AS count FROM pg_locks WHERE NOT granted');
+      samples.push(['pg_lock_waits', base, locks.rows[0].count]);
+
+      const cache = await client.query(`
+        SELECT CASE WHEN blks_hit + blks_read = 0 THEN 0 ELSE blks_hit::float / (blks_hit + blks_read) END AS ratio
+        FROM pg_stat_database
+        WHERE datname = current_database()
+      `);
+      samples.push(['pg_cache_hit_ratio', base, cache.rows[0].ratio]);
+
+      const tables = await client.query('SELECT schemaname, relname, n_dead_tup, n_live_tup FROM pg_stat_user_tables');
+      tables.rows.forEach(row => {
+        const labels = { ...base, schema: row.schemaname, table: row.relname };
+        samples.push(['pg_table_dead_tuples', labels, row.n_dead_tup]);
+        samples.push(['pg_table_live_tuples', labels, row.n_live_tup]);
+      });
+
+      await this.collectStatements(client, base, samples);
+    } catch (error) {
+      console.warn(`Error collecting Prometheus metrics for database ${conn.id}:`, error.message);
+    } finally {
+      client.release();
+      samples.push(['pgpatrol_scrape_duration_seconds', base, (Date.now() - started) / 1000]);
+    }
+  }
+
+  // pg_stat_statements totals; the timing column was renamed in PostgreSQL 13
+  async collectStatements(client, base, samples) {
+    for (const timeColumn of ['total_exec_time', 'total_time']) {
+      try {
+        const result = await client.query(`
+          SELECT sum(calls) AS calls, sum(${timeColumn}) / 1000 AS seconds, sum(rows) AS rows
+          FROM pg_stat_statements
+        `);
+        const totals = result.rows[0];
+        samples.push(['pg_stat_statements_calls_total', base, totals.calls || 0]);
+        samples.push(['pg_stat_statements_exec_time_seconds_total', base, totals.seconds || 0]);
+        samples.push(['pg_stat_statements_rows_total', base, totals.rows || 0]);
+        return;
+      } catch (error) {
+        // Extension missing, or the other column name applies to this server version
+      }
+    }
+  }
+
+  render(samples) {
+    const lines = [];
+
+    Object.entries(METRIC_DEFINITIONS).forEach(([metric, [type, help]]) => {
+      const metricSamples = samples.filter(([name]) => name === metric);
+      if (metricSamples.length === 0) {
+        return;
+      }
+
+      lines.push(`# HELP ${metric} ${help}`);
+      lines.push(`# TYPE ${metric} ${type}`);
+      metricSamples.forEach(([, labels, value]) => {
+        lines.push(`${metric}${formatLabels(labels)} ${Number(value)}`);
+      });
+    });
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = new PrometheusExporter();
@@ -0,0 +1,189 @@
+// Analysis catalog exposed through /api/analyze, keyed by analysis name.
+// Each analysis lists SQL variants, newest first, and the capabilities it requires.
+
+// Roles that can read statistics of every backend and statement
+const STATS_ROLES = ['pg_monitor', 'pg_read_all_stats'];
+
+const analyses = {
+  'deadlock': {
+    description: 'Backends waiting on a heavyweight lock',
+    variants: [{ sql: "SELECT * FROM pg_stat_activity WHERE wait_event_type = 'Lock';" }],
+  },
+  'total_tables': {
+    description: 'Number of tables in the public schema',
+    variants: [{ sql: "SELECT count(*) FROM information_schema.tables WHERE table_schema = 'public'" }],
+  },
+  'idle': {
+    description: 'Sessions idle in transaction',
+    variants: [{ sql: "SELECT pid, usename, query_start, state FROM pg_stat_activity WHERE state = 'idle in transaction';" }],
+  },
+  'long_tables': {
+    description: 'Tables with the most live rows',
+    variants: [{ sql: "SELECT schemaname, relname, n_live_tup FROM pg_stat_user_tables ORDER BY n_live_tup DESC LIMIT 10;" }],
+  },
+  'index_usage': {
+    description: 'Most scanned indexes',
+    variants: [{ sql: "SELECT relname, idx_scan, idx_tup_read, idx_tup_fetch FROM pg_stat_user_indexes ORDER BY idx_scan DESC LIMIT 10;" }],
+  },
+  'large_tables': {
+    description: 'Largest tables including indexes and TOAST',
+    variants: [{ sql: "SELECT relname, pg_size_pretty(pg_total_relation_size(relid)) AS total_size FROM pg_catalog.pg_statio_user_tables ORDER BY pg_total_relation_size(relid) DESC LIMIT 10;" }],
+  },
+  'large_indices': {
+    description: 'Largest indexes',
+    variants: [{ sql: "SELECT indexrelname, relname, pg_size_pretty(pg_relation_size(indexrelid)) AS total_size FROM pg_catalog.pg_stat_user_indexes ORDER BY pg_relation_size(indexrelid) DESC LIMIT 10;" }],
+  },
+  'blocked_queries': {
+    description: 'Backends waiting on any event',
+    variants: [{ sql: "SELECT pid, usename, query_start, state, wait_event, query FROM pg_stat_activity WHERE wait_event IS NOT NULL;" }],
+    requires: { minVersion: 90600 },
+  },
+  'max_connections': {
+    description: 'Configured max_connections',
+    variants: [{ sql: "SHOW max_connections;" }],
+  },
+  'high_dead_tuple': {
+    description: 'Tables with many dead tuples',
+    variants: [{ sql: "SELECT relname, n_dead_tup, last_autovacuum FROM pg_stat_user_tables WHERE n_dead_tup > 1000 ORDER BY n_dead_tup DESC;" }],
+  },
+  'vacuum_progress': {
+    description: 'Running VACUUM operations',
+    variants: [{ sql: "SELECT * FROM pg_stat_progress_vacuum;" }],
+    requires: { minVersion: 90600 },
+  },
+  'frequent_queries': {
+    description: 'Most called statements',
+    variants: [{ sql: "SELECT query, calls FROM pg_stat_statements ORDER BY calls DESC LIMIT 10;" }],
+    requires: { extensions: ['pg_stat_statements'], roles: STATS_ROLES },
+  },
+  'index_bloat': {
+    description: 'Index buffer reads and hits',
+    variants: [{ sql: "SELECT schemaname, relname, indexrelname, idx_blks_read, idx_blks_hit, idx_blks_read + idx_blks_hit as total_reads, CASE WHEN (idx_blks_read + idx_blks_hit) = 0 THEN 0 ELSE idx_blks_read / (idx_blks_read + idx_blks_hit) END as read_pct FROM pg_statio_user_indexes ORDER BY total_reads DESC LIMIT 10;" }],
+  },
+  'slow_queries': {
+    description: 'Statements with the highest mean execution time',
+    variants: [
+      // pg_stat_statements 1.8 split total_time into planning and execution time; a server upgraded to
+      // PostgreSQL 13 keeps the old columns until ALTER EXTENSION ... UPDATE
+      { minExtensionVersion: { pg_stat_statements: '1.8' }, sql: "SELECT query, total_exec_time, calls, mean_exec_time FROM pg_stat_statements ORDER BY mean_exec_time DESC LIMIT 10;" },
+      { sql: "SELECT query, total_time AS total_exec_time, calls, mean_time AS mean_exec_time FROM pg_stat_statements ORDER BY mean_time DESC LIMIT 10;" },
+    ],
+    requires: { extensions: ['pg_stat_statements'], roles: STATS_ROLES },
+  },
+  'index_hit_rate': {
+    description: 'Share of table scans using an index',
+    variants: [{ sql: "SELECT CASE WHEN sum(seq_scan + idx_scan) = 0 THEN 0 ELSE sum(idx_scan) / sum(seq_scan + idx_scan) END AS index_hit_rate FROM pg_stat_user_tables;" }],
+  },
+  'background_worker': {
+    description: 'Backends that are not client sessions',
+    variants: [{ sql: "SELECT * FROM pg_stat_activity WHERE backend_type != 'client backend';" }],
+    // backend_type was added to pg_stat_activity in PostgreSQL 10
+    requires: { minVersion: 100000 },
+  },
+  'active_locks': {
+    description: 'Lock requests that are not granted',
+    variants: [{ sql: "SELECT pid, locktype, relation::regclass, mode, granted FROM pg_locks WHERE NOT granted;" }],
+  },
+};
+
+function has(key) {
+  return Object.prototype.hasOwnProperty.call(analyses, key);
+}
+
+function getKeys() {
+  return Object.keys(analyses);
+}
+
+// Catalog entries without SQL, for clients listing the available analyses
+function describe() {
+  return getKeys().map(key => ({
+    key,
+    description: analyses[key].description,
+    requires: analyses[key].requires || {},
+  }));
+}
+
+// Check the hard requirements of an analysis; returns null or { reason, message, missing }
+function checkRequirements(key, capabilities) {
+  const requires = analyses[key].requires || {};
+
+  if (requires.minVersion && capabilities.serverVersionNum < requires.minVersion) {
+    return {
+      reason: 'unsupported',
+      message: `Needs PostgreSQL server_version_num ${requires.minVersion} or later (server has ${capabilities.serverVersionNum})`,
+      missing: { minVersion: requires.minVersion },
+    };
+  }
+
+  const extensions = (requires.extensions || []).filter(name => !capabilities.extensions[name]);
+  if (extensions.length > 0) {
+    return {
+      reason: 'unsupported',
+      message: `Needs the ${extensions.join(', ')} extension${extensions.length > 1 ? 's' : ''}`,
+      missing: { extensions },
+    };
+  }
+
+  return null;
+}
+
+// Roles that would give the analysis a complete view; without them other users' rows are hidden
+function missingRoles(key, capabilities) {
+  const roles = (analyses[key].requires || {}).roles || [];
+  if (roles.length === 0 || capabilities.superuser || roles.some(role => capabilities.roles.includes(role))) {
+    return [];
+  }
+  return roles;
+}
+
+// Whether an installed extension is at `version` or later, comparing e.g. '1.10' > '1.8' numerically
+function extensionAtLeast(capabilities, name, version) {
+  const installed = capabilities.extensions[name];
+  if (!installed) {
+    return false;
+  }
+
+  const have = installed.split('.').map(Number);
+  const want = version.split('.').map(Number);
+  for (let i = 0; i < want.length; i++) {
+    if ((have[i] || 0) !== want[i]) {
+      return (have[i] || 0) > want[i];
+    }
+  }
+  return true;
+}
+
+// SQL of the newest variant the server supports
+function resolve(key, capabilities) {
+  const variant = analyses[key].variants.find(candidate => !capabilities || (
+    (!candidate.minVersion || capabilities.serverVersionNum >= candidate.minVersion) &&
+    Object.entries(candidate.minExtensionVersion || {})
+      .every(([name, version]) => extensionAtLeast(capabilities, name, version))));
+  return variant ? variant.sql : null;
+}
+
+// Turn a server error into a structured { reason, message } when it means missing capabilities
+function classifyError(error) {
+  switch (error.code) {
+    case '42501': // insufficient_privilege
+      return { reason: 'insufficient_privilege', message: error.message };
+    case '42P01': // undefined_table
+    case '42703': // undefined_column
+    case '42883': // undefined_function
+    case '55000': // object_not_in_prerequisite_state, e.g. pg_stat_statements not in shared_preload_libraries
+      return { reason: 'unsupported', message: error.message };
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  has,
+  getKeys,
+  describe,
+  checkRequirements,
+  missingRoles,
+  resolve,
+  extensionAtLeast,
+  classifyError,
+};
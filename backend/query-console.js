@@ -0,0 +1,387 @@
+// Read-only SQL console: guarded execution, cursor pagination, cancellation and per-user history
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const dbManager = require('./db-manager');
+
+const HISTORY_DIR = path.join(__dirname, 'data', 'query-history');
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.QUERY_TIMEOUT, 10) || 30000;
+const MAX_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_LOCK_TIMEOUT_MS = parseInt(process.env.QUERY_LOCK_TIMEOUT, 10) || 5000;
+const MAX_LOCK_TIMEOUT_MS = 60 * 1000;
+const DEFAULT_ROW_LIMIT = parseInt(process.env.QUERY_ROW_LIMIT, 10) || 500;
+const MAX_ROW_LIMIT = 10000;
+
+// Open cursors hold a pooled client, so they are closed when idle and capped per user
+const CURSOR_IDLE_MS = (parseInt(process.env.QUERY_CURSOR_IDLE_TIMEOUT, 10) || 120) * 1000;
+const MAX_CURSORS_PER_USER = 3;
+
+const HISTORY_LIMIT = parseInt(process.env.QUERY_HISTORY_LIMIT, 10) || 500;
+const MAX_HISTORY_SQL_LENGTH = 10000;
+
+// Queries run through a cursor; EXPLAIN and SHOW cannot be declared as one and run directly
+const CURSOR_STATEMENT = /^(\(|(select|with|values|table)\b)/i;
+const DIRECT_STATEMENT = /^(explain|show)\b/i;
+
+const ID_PATTERN = /^[\w-]{1,64}$/;
+
+// Bound a numeric option to (0, max], falling back to `fallback`
+function bounded(value, fallback, max) {
+  const number = parseInt(value, 10);
+  return number > 0 ? Math.min(number, max) : fallback;
+}
+
+// Exports page through the whole result up to this many rows
+const EXPORT_ROW_LIMIT = parseInt(process.env.QUERY_EXPORT_ROW_LIMIT, 10) || 100000;
+const EXPORT_BATCH_SIZE = 1000;
+
+class QueryConsole {
+  constructor() {
+    // id -> { id, username, connectionId, pid, sql, startedAt, cancelled }
+    this.running = {};
+    // id -> { id, username, connectionId, client, fields, rowsFetched, lastUsed }
+    this.cursors = {};
+    this.sweeper = null;
+  }
+
+  // Check a request body; returns an error message or null
+  validate({ sql, params, queryId }) {
+    if (!sql || typeof sql !== 'string' || !sql.trim()) {
+      return 'SQL is required';
+    }
+    const statement = sql.trim();
+    if (!CURSOR_STATEMENT.test(statement) && !DIRECT_STATEMENT.test(statement)) {
+      return 'Only queries (SELECT, WITH, VALUES, TABLE), EXPLAIN and SHOW can be run';
+    }
+    if (params !== undefined && !Array.isArray(params)) {
+      return 'params must be a list';
+    }
+    if (queryId !== undefined && !ID_PATTERN.test(String(queryId))) {
+      return 'queryId may only contain letters, digits, dashes and underscores';
+    }
+    if (queryId !== undefined && (this.running[queryId] || this.cursors[queryId])) {
+      return `Query '${queryId}' is already running`;
+    }
+    return null;
+  }
+
+  // Run a statement in a read-only transaction and return its first page of rows.
+  // When rows remain, the transaction stays open with a cursor that fetch() pages through.
+  async execute(pool, { sql, params = [], queryId, timeoutMs, lockTimeoutMs, rowLimit, username, connectionId }) {
+    const id = queryId || uuidv4();
+    const statement = sql.trim().replace(/;\s*$/, '');
+    const limit = bounded(rowLimit, DEFAULT_ROW_LIMIT, MAX_ROW_LIMIT);
+    const started = Date.now();
+    const entry = { id, username, connectionId, pid: null, sql: statement, startedAt: new Date(started).toISOString(), cancelled: false };
+    this.running[id] = entry;
+
+    let client;
+    let keepOpen = false;
+    try {
+      client = await pool.connect();
+      entry.pid = client.processID;
+
+      await client.query('BEGIN');
+      await client.query('SET TRANSACTION READ ONLY');
+      await client.query(`SET LOCAL statement_timeout = ${bounded(timeoutMs, DEFAULT_TIMEOUT_MS, MAX_TIMEOUT_MS)}`);
+      await client.query(`SET LOCAL lock_timeout = ${bounded(lockTimeoutMs, DEFAULT_LOCK_TIMEOUT_MS, MAX_LOCK_TIMEOUT_MS)}`);
+
+      // Extended protocol rejects a second statement that could end the read-only transaction
+      let result;
+      if (CURSOR_STATEMENT.test(statement)) {
+        await client.query({ text: `DECLARE console_cursor NO SCROLL CURSOR FOR ${statement}`, values: params, queryMode: 'extended' });
+        result = await client.query(`FETCH ${limit} FROM console_cursor`);
+        keepOpen = result.rows.length === limit;
+      } else {
+        result = await client.query({ text: statement, values: params, queryMode: 'extended' });
+      }
+
+      const fields = await this.describeFields(client, result.fields);
+      const response = {
+        id,
+        columns: fields.map(field => field.name),
+        fields,
+        rows: result.rows,
+        rowCount: result.rows.length,
+        hasMore: keepOpen,
+        durationMs: Date.now() - started,
+      };
+
+      if (keepOpen) {
+        this.openCursor({ id, username, connectionId, client, fields, rowsFetched: result.rows.length });
+      }
+
+      await this.recordHistory(username, {
+        id, connectionId, sql: statement, status: 'success', rowCount: result.rows.length, durationMs: response.durationMs,
+      });
+      return response;
+    } catch (error) {
+      await this.recordHistory(username, {
+        id,
+        connectionId,
+        sql: statement,
+        status: entry.cancelled ? 'cancelled' : 'error',
+        error: error.message,
+        durationMs: Date.now() - started,
+      });
+      if (entry.cancelled) {
+        error.cancelled = true;
+      }
+      throw error;
+    } finally {
+      delete this.running[id];
+      if (client && !keepOpen) {
+        await client.query('ROLLBACK').catch(() => {});
+        client.release();
+      }
+    }
+  }
+
+  // Error raised by the server for the statement itself (as opposed to connection problems)
+  isQueryError(error) {
+    return typeof error.code === 'string' && /^[0-9A-Z]{5}$/.test(error.code);
+  }
+
+  // Run a statement and hand every page to `onPage` until the result or EXPORT_ROW_LIMIT is exhausted;
+  // returns the exported row count and whether the limit cut the result
+  async exportRows(pool, options, onPage) {
+    let page = await this.execute(pool, { ...options, rowLimit: EXPORT_BATCH_SIZE });
+    let exported = page.rowCount;
+    // Between pages the export waits on the download, not on the server; keep the cursor from being evicted
+    if (this.cursors[page.id]) {
+      this.cursors[page.id].pinned = true;
+    }
+
+    try {
+      await onPage(page);
+      while (page.hasMore && exported < EXPORT_ROW_LIMIT) {
+        page = await this.fetch(page.id, Math.min(EXPORT_BATCH_SIZE, EXPORT_ROW_LIMIT - exported));
+        exported += page.rowCount;
+        await onPage(page);
+      }
+      return { rowCount: exported, truncated: page.hasMore };
+    } finally {
+      await this.close(page.id);
+    }
+  }
+
+  // Column names with type names resolved from their OIDs
+  async describeFields(client, fields) {
+    const oids = Array.from(new Set(fields.map(field => field.dataTypeID)));
+    const types = {};
+    if (oids.length > 0) {
+      const result = await client.query('SELECT oid, format_type(oid, NULL) AS name FROM pg_type WHERE oid = ANY($1)', [oids]);
+      result.rows.forEach(row => {
+        types[row.oid] = row.name;
+      });
+    }
+
+    return fields.map(field => ({
+      name: field.name,
+      type: types[field.dataTypeID] || null,
+      typeOid: field.dataTypeID,
+      tableOid: field.tableID || null,
+      columnNumber: field.columnID || null,
+    }));
+  }
+
+  // Whether a cursor is fetching or feeding an export, and must not be closed from under it.
+  // An export whose download stalls for CURSOR_IDLE_MS loses its cursor like any idle page.
+  isBusy(cursor) {
+    return Boolean(this.running[cursor.id] || (cursor.pinned && cursor.lastUsed >= Date.now() - CURSOR_IDLE_MS));
+  }
+
+  openCursor(cursor) {
+    // Close the caller's oldest idle cursors so abandoned pages cannot exhaust the pool
+    const own = Object.values(this.cursors).filter(other => other.username === cursor.username);
+    const excess = own.length - MAX_CURSORS_PER_USER + 1;
+    own
+      .filter(other => !this.isBusy(other))
+      .sort((a, b) => a.lastUsed - b.lastUsed)
+      .slice(0, Math.max(0, excess))
+      .forEach(other => this.close(other.id));
+
+    this.cursors[cursor.id] = { ...cursor, lastUsed: Date.now() };
+
+    if (!this.sweeper) {
+      this.sweeper = setInterval(() => this.closeIdle(), Math.min(CURSOR_IDLE_MS, 30000));
+      this.sweeper.unref();
+    }
+  }
+
+  getCursor(id) {
+    return this.cursors[id] || null;
+  }
+
+  isRunning(id) {
+    return Boolean(this.running[id]);
+  }
+
+  // Next page of an open cursor; the cursor is closed after the last page
+  async fetch(id, rowLimit) {
+    const cursor = this.cursors[id];
+    if (!cursor) {
+      const error = new Error(`No open cursor for query '${id}'`);
+      error.cursorClosed = true;
+      throw error;
+    }
+    const limit = bounded(rowLimit, DEFAULT_ROW_LIMIT, MAX_ROW_LIMIT);
+    cursor.lastUsed = Date.now();
+
+    const entry = { id, username: cursor.username, connectionId: cursor.connectionId, pid: cursor.client.processID, sql: null, startedAt: new Date().toISOString(), cancelled: false };
+    this.running[id] = entry;
+    try {
+      const result = await cursor.client.query(`FETCH ${limit} FROM console_cursor`);
+      cursor.rowsFetched += result.rows.length;
+      const hasMore = result.rows.length === limit;
+      if (!hasMore) {
+        await this.close(id);
+      }
+      return {
+        id,
+        columns: cursor.fields.map(field => field.name),
+        fields: cursor.fields,
+        rows: result.rows,
+        rowCount: result.rows.length,
+        offset: cursor.rowsFetched - result.rows.length,
+        hasMore,
+      };
+    } catch (error) {
+      if (entry.cancelled) {
+        error.cancelled = true;
+      }
+      await this.close(id);
+      throw error;
+    } finally {
+      delete this.running[id];
+    }
+  }
+
+  // Roll back the transaction of an open cursor and return its client to the pool
+  async close(id) {
+    const cursor = this.cursors[id];
+    if (!cursor) {
+      return false;
+    }
+    delete this.cursors[id];
+    await cursor.client.query('ROLLBACK').catch(() => {});
+    cursor.client.release();
+    return true;
+  }
+
+  closeIdle() {
+    const cutoff = Date.now() - CURSOR_IDLE_MS;
+    Object.values(this.cursors)
+      .filter(cursor => cursor.lastUsed < cutoff && !this.isBusy(cursor))
+      .forEach(cursor => this.close(cursor.id));
+  }
+
+  // Running statements and open cursors, optionally of one user
+  list(username) {
+    const mine = item => !username || item.username === username;
+    return {
+      running: Object.values(this.running).filter(mine).map(({ id, connectionId, pid, sql, startedAt, username: owner }) => (
+        { id, username: owner, connectionId, pid, sql, startedAt })),
+      cursors: Object.values(this.cursors).filter(mine).map(cursor => ({
+        id: cursor.id,
+        username: cursor.username,
+        connectionId: cursor.connectionId,
+        rowsFetched: cursor.rowsFetched,
+        lastUsed: new Date(cursor.lastUsed).toISOString(),
+      })),
+    };
+  }
+
+  // Owner of a running statement or open cursor; null when the id is unknown
+  getOwner(id) {
+    const item = this.running[id] || this.cursors[id];
+    return item ? item.username : null;
+  }
+
+  // Cancel a running statement through pg_cancel_backend, or close an idle cursor
+  async cancel(id) {
+    const entry = this.running[id];
+    if (entry) {
+      if (!entry.pid) {
+        return { cancelled: false, reason: 'The statement has not reached the server yet' };
+      }
+      entry.cancelled = true;
+      const result = await dbManager.getMonitorPool(entry.connectionId).query('SELECT pg_cancel_backend($1) AS cancelled', [entry.pid]);
+      return { cancelled: result.rows[0].cancelled };
+    }
+    return { cancelled: await this.close(id), closedCursor: true };
+  }
+
+  historyFile(username) {
+    return path.join(HISTORY_DIR, `${String(username).replace(/[^\w-]/g, '_')}.jsonl`);
+  }
+
+  // Append a statement to the user's history, keeping the last HISTORY_LIMIT entries
+  async recordHistory(username, entry) {
+    const line = JSON.stringify({
+      timestamp: new Date().toISOString(),
+      ...entry,
+      sql: entry.sql.substring(0, MAX_HISTORY_SQL_LENGTH),
+      connectionName: dbManager.connections[entry.connectionId] ? dbManager.connections[entry.connectionId].name : null,
+    });
+
+    try {
+      await fs.promises.mkdir(HISTORY_DIR, { recursive: true });
+      await fs.promises.appendFile(this.historyFile(username), line + '\n');
+
+      // Trim in batches so the file is not rewritten on every statement
+      const lines = (await fs.promises.readFile(this.historyFile(username), 'utf8')).split('\n').filter(Boolean);
+      if (lines.length > HISTORY_LIMIT * 1.5) {
+        await fs.promises.writeFile(this.historyFile(username), lines.slice(-HISTORY_LIMIT).join('\n') + '\n');
+      }
+    } catch (error) {
+      console.error('Error writing query history:', error);
+    }
+  }
+
+  // History of a user, newest first
+  async getHistory(username, { connectionId, limit } = {}) {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.historyFile(username), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    content.split('\n').forEach(line => {
+      if (!line) {
+        return;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Ignore a torn trailing line left by an interrupted write
+      }
+    });
+
+    return entries
+      .filter(entry => !connectionId || entry.connectionId === connectionId)
+      .reverse()
+      .slice(0, Math.min(limit || HISTORY_LIMIT, HISTORY_LIMIT));
+  }
+
+  async clearHistory(username) {
+    await fs.promises.rm(this.historyFile(username), { force: true });
+  }
+
+  // Close every open cursor
+  stop() {
+    if (this.sweeper) {
+      clearInterval(this.sweeper);
+      this.sweeper = null;
+    }
+    return Promise.all(Object.keys(this.cursors).map(id => this.close(id)));
+  }
+}
+
+module.exports = new QueryConsole();
@@ -0,0 +1,221 @@
+// Replication and WAL monitoring for primaries and standbys (PostgreSQL 10+ function names)
+const metricsHistory = require('./metrics-history');
+const { toNumber } = require('./formatting');
+
+// Inactive slots retaining more WAL than this are reported
+const SLOT_RETAINED_WARN_BYTES = 1024 * 1024 * 1024;
+// Standbys replaying further behind than this are reported
+const REPLAY_DELAY_WARN_SECONDS = 300;
+
+// Window of sampled wal_bytes values used for the generation rate
+const WAL_RATE_WINDOW_MS = 60 * 60 * 1000;
+
+const STANDBYS_QUERY = `
+  SELECT pid, usename, application_name, client_addr, client_hostname, state,
+         sync_state, sync_priority, backend_start,
+         sent_lsn::text, write_lsn::text, flush_lsn::text, replay_lsn::text,
+         pg_wal_lsn_diff(pg_current_wal_lsn(), sent_lsn) AS sent_lag_bytes,
+         pg_wal_lsn_diff(pg_current_wal_lsn(), write_lsn) AS write_lag_bytes,
+         pg_wal_lsn_diff(pg_current_wal_lsn(), flush_lsn) AS flush_lag_bytes,
+         pg_wal_lsn_diff(pg_current_wal_lsn(), replay_lsn) AS replay_lag_bytes,
+         extract(epoch FROM write_lag) AS write_lag_seconds,
+         extract(epoch FROM flush_lag) AS flush_lag_seconds,
+         extract(epoch FROM replay_lag) AS replay_lag_seconds
+  FROM pg_stat_replication
+  ORDER BY application_name
+`;
+
+// s.* keeps wal_status/safe_wal_size on versions that have them
+const SLOTS_QUERY = `
+  SELECT s.*, s.restart_lsn::text AS restart_lsn, s.confirmed_flush_lsn::text AS confirmed_flush_lsn,
+         pg_wal_lsn_diff(pg_current_wal_lsn(), s.restart_lsn) AS retained_bytes
+  FROM pg_replication_slots s
+  ORDER BY s.slot_name
+`;
+
+const RECEIVER_QUERY = 'SELECT * FROM pg_stat_wal_receiver';
+
+const REPLAY_QUERY = `
+  SELECT pg_last_wal_receive_lsn()::text AS receive_lsn,
+         pg_last_wal_replay_lsn()::text AS replay_lsn,
+         pg_wal_lsn_diff(pg_last_wal_receive_lsn(), pg_last_wal_replay_lsn()) AS replay_lag_bytes,
+         pg_last_xact_replay_timestamp() AS last_replay_timestamp,
+         extract(epoch FROM now() - pg_last_xact_replay_timestamp()) AS replay_delay_seconds,
+         pg_is_wal_replay_paused() AS replay_paused
+`;
+
+const ARCHIVER_QUERY = `
+  SELECT a.*, current_setting('archive_mode') AS archive_mode
+  FROM pg_stat_archiver a
+`;
+
+// WAL bytes generated (or replayed) per second from the sampled wal_bytes history
+async function walRate(connectionId) {
+  if (!connectionId) {
+    return null;
+  }
+
+  const to = Date.now();
+  const samples = (await metricsHistory.readSamples(connectionId, to - WAL_RATE_WINDOW_MS, to))
+    .filter(sample => sample.m.wal_bytes !== undefined);
+  if (samples.length < 2) {
+    return null;
+  }
+
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const seconds = (last.t - first.t) / 1000;
+  if (seconds <= 0) {
+    return null;
+  }
+
+  return {
+    bytesPerSecond: Math.max(last.m.wal_bytes - first.m.wal_bytes, 0) / seconds,
+    windowSeconds: seconds,
+    samples: samples.length,
+  };
+}
+
+async function primaryStatus(pool, warnings) {
+  const standbys = (await pool.query(STANDBYS_QUERY)).rows.map(row => ({
+    pid: row.pid,
+    user: row.usename,
+    applicationName: row.application_name,
+    clientAddr: row.client_addr,
+    clientHostname: row.client_hostname,
+    state: row.state,
+    syncState: row.sync_state,
+    syncPriority: row.sync_priority,
+    backendStart: row.backend_start,
+    sentLsn: row.sent_lsn,
+    writeLsn: row.write_lsn,
+    flushLsn: row.flush_lsn,
+    replayLsn: row.replay_lsn,
+    sentLagBytes: toNumber(row.sent_lag_bytes),
+    writeLagBytes: toNumber(row.write_lag_bytes),
+    flushLagBytes: toNumber(row.flush_lag_bytes),
+    replayLagBytes: toNumber(row.replay_lag_bytes),
+    writeLagSeconds: toNumber(row.write_lag_seconds),
+    flushLagSeconds: toNumber(row.flush_lag_seconds),
+    replayLagSeconds: toNumber(row.replay_lag_seconds),
+  }));
+
+  standbys
+    .filter(standby => standby.replayLagSeconds > REPLAY_DELAY_WARN_SECONDS)
+    .forEach(standby => warnings.push({
+      level: 'warning',
+      message: `Standby ${standby.applicationName} is ${Math.round(standby.replayLagSeconds)}s behind on replay`,
+    }));
+
+  const slots = (await pool.query(SLOTS_QUERY)).rows.map(row => ({
+    slotName: row.slot_name,
+    plugin: row.plugin,
+    slotType: row.slot_type,
+    database: row.database,
+    active: row.active,
+    activePid: row.active_pid,
+    temporary: row.temporary || false,
+    restartLsn: row.restart_lsn,
+    confirmedFlushLsn: row.confirmed_flush_lsn,
+    retainedBytes: toNumber(row.retained_bytes),
+    walStatus: row.wal_status || null,
+    safeWalSize: toNumber(row.safe_wal_size),
+  }));
+
+  slots.forEach(slot => {
+    if (!slot.active && slot.retainedBytes >= SLOT_RETAINED_WARN_BYTES) {
+      warnings.push({
+        level: 'critical',
+        message: `Inactive slot ${slot.slotName} retains ${Math.round(slot.retainedBytes / 1024 / 1024)} MB of WAL`,
+      });
+    } else if (!slot.active) {
+      warnings.push({ level: 'warning', message: `Replication slot ${slot.slotName} is inactive` });
+    }
+    if (slot.walStatus === 'lost' || slot.walStatus === 'unreserved') {
+      warnings.push({ level: 'critical', message: `Replication slot ${slot.slotName} has WAL status '${slot.walStatus}'` });
+    }
+  });
+
+  return { standbys, slots };
+}
+
+async function standbyStatus(pool, warnings) {
+  const receiverResult = await pool.query(RECEIVER_QUERY);
+  let receiver = null;
+  if (receiverResult.rows.length > 0) {
+    // conninfo may contain the upstream user and host; it is not needed by clients
+    const { conninfo, ...row } = receiverResult.rows[0];
+    receiver = row;
+  } else {
+    warnings.push({ level: 'critical', message: 'Standby has no running WAL receiver' });
+  }
+
+  const replayRow = (await pool.query(REPLAY_QUERY)).rows[0];
+  const replay = {
+    receiveLsn: replayRow.receive_lsn,
+    replayLsn: replayRow.replay_lsn,
+    replayLagBytes: toNumber(replayRow.replay_lag_bytes),
+    lastReplayTimestamp: replayRow.last_replay_timestamp,
+    // Grows on an idle primary too, since nothing new is replayed
+    replayDelaySeconds: toNumber(replayRow.replay_delay_seconds),
+    replayPaused: replayRow.replay_paused,
+  };
+
+  if (replay.replayPaused) {
+    warnings.push({ level: 'warning', message: 'WAL replay is paused' });
+  }
+  if (replay.replayDelaySeconds > REPLAY_DELAY_WARN_SECONDS) {
+    warnings.push({
+      level: 'warning',
+      message: `Last replayed transaction is ${Math.round(replay.replayDelaySeconds)}s old`,
+    });
+  }
+
+  return { receiver, replay };
+}
+
+async function archiverStatus(pool, warnings) {
+  const row = (await pool.query(ARCHIVER_QUERY)).rows[0];
+  const failing = row.last_failed_time !== null &&
+    (row.last_archived_time === null || new Date(row.last_failed_time) > new Date(row.last_archived_time));
+
+  if (row.archive_mode !== 'off' && failing) {
+    warnings.push({ level: 'critical', message: `WAL archiving is failing (last failed WAL ${row.last_failed_wal})` });
+  }
+
+  return {
+    archiveMode: row.archive_mode,
+    archivedCount: parseInt(row.archived_count, 10),
+    lastArchivedWal: row.last_archived_wal,
+    lastArchivedTime: row.last_archived_time,
+    failedCount: parseInt(row.failed_count, 10),
+    lastFailedWal: row.last_failed_wal,
+    lastFailedTime: row.last_failed_time,
+    statsReset: row.stats_reset,
+    failing,
+  };
+}
+
+// Replication report; the role is detected with pg_is_in_recovery()
+async function getReplicationStatus(pool, connectionId) {
+  const recovery = await pool.query('SELECT pg_is_in_recovery() AS in_recovery');
+  const isStandby = recovery.rows[0].in_recovery;
+  const warnings = [];
+
+  const status = isStandby
+    ? await standbyStatus(pool, warnings)
+    : await primaryStatus(pool, warnings);
+
+  return {
+    timestamp: new Date().toISOString(),
+    role: isStandby ? 'standby' : 'primary',
+    ...status,
+    walRate: await walRate(connectionId),
+    archiver: await archiverStatus(pool, warnings),
+    warnings,
+  };
+}
+
+module.exports = {
+  getReplicationStatus,
+};
@@ -0,0 +1,563 @@
+// Schema introspection: schemas, the objects they contain and the full definition of a relation
+const { quoteLiteral } = require('./sql-quote');
+
+const SYSTEM_SCHEMAS = ['pg_catalog', 'information_schema', 'pg_toast'];
+
+const RELATION_TYPES = {
+  r: 'table',
+  p: 'partitioned table',
+  v: 'view',
+  m: 'materialized view',
+  f: 'foreign table',
+  S: 'sequence',
+};
+
+const CONSTRAINT_TYPES = {
+  p: 'primary key',
+  u: 'unique',
+  f: 'foreign key',
+  c: 'check',
+  x: 'exclusion',
+  t: 'trigger',
+  n: 'not null',
+};
+
+// prokind replaced proisagg/proiswindow in PostgreSQL 11
+function functionKind(versionNum) {
+  return versionNum >= 110000
+    ? 'p.prokind'
+    : "CASE WHEN p.proisagg THEN 'a' WHEN p.proiswindow THEN 'w' ELSE 'f' END";
+}
+
+const FUNCTION_KINDS = { f: 'function', p: 'procedure', a: 'aggregate', w: 'window' };
+
+// reltuples is -1 for tables that were never vacuumed or analyzed (PostgreSQL 14+)
+function rowEstimate(reltuples) {
+  const value = parseFloat(reltuples);
+  return value < 0 ? null : Math.round(value);
+}
+
+function toBytes(value) {
+  return value === null || value === undefined ? null : parseInt(value, 10);
+}
+
+// Schemas with object counts and total size; system schemas only when asked for
+async function listSchemas(pool, { includeSystem = false } = {}) {
+  const result = await pool.query(`
+    SELECT n.nspname AS name,
+           pg_get_userbyid(n.nspowner) AS owner,
+           obj_description(n.oid, 'pg_namespace') AS comment,
+           count(c.oid) FILTER (WHERE c.relkind IN ('r', 'p')) AS tables,
+           count(c.oid) FILTER (WHERE c.relkind IN ('v', 'm')) AS views,
+           count(c.oid) FILTER (WHERE c.relkind = 'S') AS sequences,
+           (SELECT count(*) FROM pg_proc p WHERE p.pronamespace = n.oid) AS functions,
+           coalesce(sum(pg_total_relation_size(c.oid)) FILTER (WHERE c.relkind IN ('r', 'p', 'm')), 0) AS total_bytes
+    FROM pg_namespace n
+    LEFT JOIN pg_class c ON c.relnamespace = n.oid
+    WHERE $1 OR (n.nspname <> ALL($2) AND n.nspname NOT LIKE 'pg_temp_%' AND n.nspname NOT LIKE 'pg_toast_temp_%')
+    GROUP BY n.oid
+    ORDER BY n.nspname
+  `, [includeSystem, SYSTEM_SCHEMAS]);
+
+  return result.rows.map(row => ({
+    name: row.name,
+    owner: row.owner,
+    comment: row.comment,
+    tables: parseInt(row.tables, 10),
+    views: parseInt(row.views, 10),
+    sequences: parseInt(row.sequences, 10),
+    functions: parseInt(row.functions, 10),
+    totalBytes: toBytes(row.total_bytes),
+  }));
+}
+
+// Relations and functions of a schema, grouped by kind; null when the schema does not exist
+async function listObjects(pool, schema, { versionNum }) {
+  const exists = await pool.query('SELECT 1 FROM pg_namespace WHERE nspname = $1', [schema]);
+  if (exists.rows.length === 0) {
+    return null;
+  }
+
+  const relations = await pool.query(`
+    SELECT c.relname AS name,
+           c.relkind,
+           c.reltuples,
+           ${versionNum >= 100000 ? 'c.relispartition' : 'false'} AS is_partition,
+           pg_total_relation_size(c.oid) AS total_bytes,
+           obj_description(c.oid, 'pg_class') AS comment
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = $1 AND c.relkind = ANY($2)
+    ORDER BY c.relname
+  `, [schema, Object.keys(RELATION_TYPES)]);
+
+  const functions = await pool.query(`
+    SELECT p.proname AS name,
+           pg_get_function_identity_arguments(p.oid) AS arguments,
+           pg_get_function_result(p.oid) AS result,
+           l.lanname AS language,
+           ${functionKind(versionNum)} AS kind,
+           obj_description(p.oid, 'pg_proc') AS comment
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    JOIN pg_language l ON l.oid = p.prolang
+    WHERE n.nspname = $1
+    ORDER BY p.proname, arguments
+  `, [schema]);
+
+  const objects = relations.rows.map(row => ({
+    name: row.name,
+    type: RELATION_TYPES[row.relkind],
+    isPartition: row.is_partition,
+    rowEstimate: ['r', 'p', 'm', 'f'].includes(row.relkind) ? rowEstimate(row.reltuples) : null,
+    totalBytes: toBytes(row.total_bytes),
+    comment: row.comment,
+  }));
+  const ofType = (...types) => objects.filter(object => types.includes(object.type));
+
+  return {
+    schema,
+    tables: ofType('table', 'partitioned table'),
+    views: ofType('view'),
+    materializedViews: ofType('materialized view'),
+    foreignTables: ofType('foreign table'),
+    sequences: ofType('sequence'),
+    functions: functions.rows.map(row => ({ ...row, kind: FUNCTION_KINDS[row.kind] || row.kind })),
+  };
+}
+
+async function getColumns(pool, oid, versionNum) {
+  // Identity columns arrived in PostgreSQL 10 and generated columns in 12
+  const result = await pool.query(`
+    SELECT a.attnum AS position,
+           a.attname AS name,
+           quote_ident(a.attname) AS quoted_name,
+           format_type(a.atttypid, a.atttypmod) AS type,
+           NOT a.attnotnull AS nullable,
+           pg_get_expr(d.adbin, d.adrelid) AS default,
+           ${versionNum >= 100000 ? 'a.attidentity' : "''"} AS identity,
+           ${versionNum >= 120000 ? 'a.attgenerated' : "''"} AS generated,
+           CASE WHEN a.attcollation <> t.typcollation THEN quote_ident(co.collname) END AS collation,
+           col_description(a.attrelid, a.attnum) AS comment
+    FROM pg_attribute a
+    JOIN pg_type t ON t.oid = a.atttypid
+    LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+    LEFT JOIN pg_collation co ON co.oid = a.attcollation
+    WHERE a.attrelid = $1 AND a.attnum > 0 AND NOT a.attisdropped
+    ORDER BY a.attnum
+  `, [oid]);
+
+  return result.rows.map(row => ({
+    position: row.position,
+    name: row.name,
+    quotedName: row.quoted_name,
+    type: row.type,
+    nullable: row.nullable,
+    // A generated column's expression is stored as its default
+    default: row.generated ? null : row.default,
+    identity: { a: 'always', d: 'by default' }[row.identity] || null,
+    generated: row.generated ? row.default : null,
+    collation: row.collation,
+    comment: row.comment,
+  }));
+}
+
+async function getConstraints(pool, oid) {
+  const result = await pool.query(`
+    SELECT conname AS name,
+           quote_ident(conname) AS quoted_name,
+           contype,
+           pg_get_constraintdef(oid, true) AS definition,
+           conislocal AS is_local,
+           convalidated AS validated
+    FROM pg_constraint
+    WHERE conrelid = $1
+    ORDER BY CASE contype WHEN 'p' THEN 0 WHEN 'u' THEN 1 WHEN 'f' THEN 3 ELSE 2 END, conname
+  `, [oid]);
+
+  return result.rows.map(row => ({
+    name: row.name,
+    quotedName: row.quoted_name,
+    type: CONSTRAINT_TYPES[row.contype] || row.contype,
+    definition: row.definition,
+    isLocal: row.is_local,
+    validated: row.validated,
+  }));
+}
+
+async function getIndexes(pool, oid) {
+  const result = await pool.query(`
+    SELECT i.relname AS name,
+           pg_get_indexdef(x.indexrelid) AS definition,
+           x.indisprimary AS is_primary,
+           x.indisunique AS is_unique,
+           x.indisvalid AS is_valid,
+           pg_relation_size(x.indexrelid) AS size_bytes,
+           s.idx_scan,
+           (SELECT conname FROM pg_constraint c
+            WHERE c.conindid = x.indexrelid AND c.conrelid = x.indrelid AND c.contype IN ('p', 'u', 'x')) AS constraint_name
+    FROM pg_index x
+    JOIN pg_class i ON i.oid = x.indexrelid
+    LEFT JOIN pg_stat_all_indexes s ON s.indexrelid = x.indexrelid
+    WHERE x.indrelid = $1
+    ORDER BY x.indisprimary DESC, i.relname
+  `, [oid]);
+
+  return result.rows.map(row => ({
+    name: row.name,
+    definition: row.definition,
+    isPrimary: row.is_primary,
+    isUnique: row.is_unique,
+    isValid: row.is_valid,
+    sizeBytes: toBytes(row.size_bytes),
+    scans: toBytes(row.idx_scan),
+    // Indexes backing a constraint are created by the constraint itself
+    constraint: row.constraint_name,
+  }));
+}
+
+async function getTriggers(pool, oid) {
+  const result = await pool.query(`
+    SELECT tgname AS name,
+           pg_get_triggerdef(oid, true) AS definition,
+           tgenabled <> 'D' AS enabled
+    FROM pg_trigger
+    WHERE tgrelid = $1 AND NOT tgisinternal
+    ORDER BY tgname
+  `, [oid]);
+  return result.rows;
+}
+
+// Partition key, parent and children of a partitioned table or partition (PostgreSQL 10+)
+async function getPartitioning(pool, relation) {
+  const children = await pool.query(`
+    SELECT format('%I.%I', n.nspname, c.relname) AS name,
+           pg_get_expr(c.relpartbound, c.oid) AS bound,
+           c.reltuples,
+           pg_total_relation_size(c.oid) AS total_bytes
+    FROM pg_inherits i
+    JOIN pg_class c ON c.oid = i.inhrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE i.inhparent = $1
+    ORDER BY c.relname
+  `, [relation.oid]);
+
+  return {
+    key: relation.partition_key,
+    parent: relation.partition_parent,
+    bound: relation.partition_bound,
+    partitions: children.rows.map(row => ({
+      name: row.name,
+      bound: row.bound,
+      rowEstimate: rowEstimate(row.reltuples),
+      totalBytes: toBytes(row.total_bytes),
+    })),
+  };
+}
+
+async function getStats(pool, oid) {
+  const activity = await pool.query('SELECT * FROM pg_stat_all_tables WHERE relid = $1', [oid]);
+  const io = await pool.query('SELECT * FROM pg_statio_all_tables WHERE relid = $1', [oid]);
+  const strip = row => {
+    if (!row) {
+      return null;
+    }
+    const { relid, schemaname, relname, ...counters } = row;
+    return counters;
+  };
+  return { activity: strip(activity.rows[0]), io: strip(io.rows[0]) };
+}
+
+// Server and options of a foreign table and the options of its columns, rendered as `OPTIONS (...)` lists
+async function getForeignTable(pool, oid) {
+  const options = column => `(SELECT string_agg(format('%I %L', split_part(o, '=', 1), substr(o, strpos(o, '=') + 1)), ', ')
+            FROM unnest(${column}) o)`;
+
+  const table = await pool.query(`
+    SELECT quote_ident(s.srvname) AS server, ${options('ft.ftoptions')} AS options
+    FROM pg_foreign_table ft
+    JOIN pg_foreign_server s ON s.oid = ft.ftserver
+    WHERE ft.ftrelid = $1
+  `, [oid]);
+  const columns = await pool.query(`
+    SELECT attname AS name, ${options('attfdwoptions')} AS options
+    FROM pg_attribute
+    WHERE attrelid = $1 AND attnum > 0 AND NOT attisdropped AND attfdwoptions IS NOT NULL
+  `, [oid]);
+
+  if (table.rows.length === 0) {
+    return null;
+  }
+  return {
+    server: table.rows[0].server,
+    options: table.rows[0].options,
+    columnOptions: columns.rows.reduce((result, row) => {
+      result[row.name] = row.options;
+      return result;
+    }, {}),
+  };
+}
+
+// CREATE statement for a table with its constraints, indexes, triggers and comments
+function tableDdl(detail) {
+  const statements = [];
+  const foreign = detail.foreignTable;
+  const kind = foreign ? 'FOREIGN TABLE' : 'TABLE';
+  const server = foreign
+    ? `\nSERVER ${foreign.server}${foreign.options ? `\nOPTIONS (${foreign.options})` : ''}`
+    : '';
+
+  if (detail.partitioning && detail.partitioning.parent) {
+    statements.push(`CREATE ${kind} ${detail.qualifiedName} PARTITION OF ${detail.partitioning.parent}\n    ${detail.partitioning.bound}${server};`);
+  } else {
+    const lines = detail.columns.map(column => {
+      let line = `    ${column.quotedName} ${column.type}`;
+      if (foreign && foreign.columnOptions[column.name]) {
+        line += ` OPTIONS (${foreign.columnOptions[column.name]})`;
+      }
+      if (column.collation) {
+        line += ` COLLATE ${column.collation}`;
+      }
+      if (column.identity) {
+        line += ` GENERATED ${column.identity.toUpperCase()} AS IDENTITY`;
+      }
+      if (column.generated) {
+        line += ` GENERATED ALWAYS AS (${column.generated}) STORED`;
+      }
+      if (column.default !== null) {
+        line += ` DEFAULT ${column.default}`;
+      }
+      if (!column.nullable) {
+        line += ' NOT NULL';
+      }
+      return line;
+    });
+
+    // NOT NULL is part of the column definitions and constraint triggers are listed with the triggers
+    detail.constraints
+      .filter(constraint => constraint.isLocal && !['not null', 'trigger'].includes(constraint.type))
+      .forEach(constraint => lines.push(`    CONSTRAINT ${constraint.quotedName} ${constraint.definition}`));
+
+    let create = `CREATE ${kind} ${detail.qualifiedName} (\n${lines.join(',\n')}\n)`;
+    if (detail.partitioning && detail.partitioning.key) {
+      create += ` PARTITION BY ${detail.partitioning.key}`;
+    }
+    statements.push(`${create}${server};`);
+  }
+
+  return statements.concat(dependentDdl(detail));
+}
+
+// Indexes, triggers and comments shared by tables and materialized views
+function dependentDdl(detail) {
+  const statements = [];
+
+  (detail.indexes || [])
+    .filter(index => !index.constraint)
+    .forEach(index => statements.push(`${index.definition};`));
+  (detail.triggers || []).forEach(trigger => statements.push(`${trigger.definition};`));
+
+  const keyword = { 'view': 'VIEW', 'materialized view': 'MATERIALIZED VIEW', 'foreign table': 'FOREIGN TABLE' }[detail.type] || 'TABLE';
+  if (detail.comment) {
+    statements.push(`COMMENT ON ${keyword} ${detail.qualifiedName} IS ${quoteLiteral(detail.comment)};`);
+  }
+  (detail.columns || [])
+    .filter(column => column.comment)
+    .forEach(column => statements.push(
+      `COMMENT ON COLUMN ${detail.qualifiedName}.${column.quotedName} IS ${quoteLiteral(column.comment)};`,
+    ));
+
+  return statements;
+}
+
+async function getSequence(pool, relation) {
+  const result = await pool.query(`
+    SELECT data_type, start_value, min_value, max_value, increment_by, cycle, cache_size, last_value
+    FROM pg_sequences
+    WHERE schemaname = $1 AND sequencename = $2
+  `, [relation.schema, relation.name]);
+
+  const owner = await pool.query(`
+    SELECT format('%s.%I', d.refobjid::regclass, a.attname) AS owned_by
+    FROM pg_depend d
+    JOIN pg_attribute a ON a.attrelid = d.refobjid AND a.attnum = d.refobjsubid
+    WHERE d.objid = $1 AND d.classid = 'pg_class'::regclass
+      AND d.refclassid = 'pg_class'::regclass AND d.deptype IN ('a', 'i')
+  `, [relation.oid]);
+
+  // pg_sequences leaves out the temporary sequences of other sessions
+  const sequence = result.rows[0];
+  if (!sequence) {
+    return null;
+  }
+  return {
+    dataType: sequence.data_type,
+    startValue: sequence.start_value,
+    minValue: sequence.min_value,
+    maxValue: sequence.max_value,
+    incrementBy: sequence.increment_by,
+    cycle: sequence.cycle,
+    cacheSize: sequence.cache_size,
+    lastValue: sequence.last_value,
+    ownedBy: owner.rows.length > 0 ? owner.rows[0].owned_by : null,
+  };
+}
+
+function sequenceDdl(detail) {
+  const sequence = detail.sequence;
+  const statements = [
+    `CREATE SEQUENCE ${detail.qualifiedName}\n    AS ${sequence.dataType}\n    INCREMENT BY ${sequence.incrementBy}\n`
+    + `    MINVALUE ${sequence.minValue}\n    MAXVALUE ${sequence.maxValue}\n    START WITH ${sequence.startValue}\n`
+    + `    CACHE ${sequence.cacheSize}\n    ${sequence.cycle ? '' : 'NO '}CYCLE;`,
+  ];
+  if (sequence.ownedBy) {
+    statements.push(`ALTER SEQUENCE ${detail.qualifiedName} OWNED BY ${sequence.ownedBy};`);
+  }
+  return statements;
+}
+
+// Full definition of a table, view, materialized view, foreign table or sequence; null when missing
+async function getRelation(pool, schema, name, { versionNum }) {
+  const partitionColumns = versionNum >= 100000
+    ? `c.relispartition AS is_partition,
+       CASE WHEN c.relkind = 'p' THEN pg_get_partkeydef(c.oid) END AS partition_key,
+       CASE WHEN c.relispartition THEN pg_get_expr(c.relpartbound, c.oid) END AS partition_bound,
+       (SELECT format('%I.%I', pn.nspname, pc.relname) FROM pg_inherits i
+        JOIN pg_class pc ON pc.oid = i.inhparent JOIN pg_namespace pn ON pn.oid = pc.relnamespace
+        WHERE c.relispartition AND i.inhrelid = c.oid) AS partition_parent`
+    : 'false AS is_partition, NULL AS partition_key, NULL AS partition_bound, NULL AS partition_parent';
+
+  const result = await pool.query(`
+    SELECT c.oid,
+           n.nspname AS schema,
+           c.relname AS name,
+           format('%I.%I', n.nspname, c.relname) AS qualified_name,
+           c.relkind,
+           pg_get_userbyid(c.relowner) AS owner,
+           c.reltuples,
+           obj_description(c.oid, 'pg_class') AS comment,
+           pg_relation_size(c.oid) AS heap_bytes,
+           CASE WHEN c.reltoastrelid <> 0 THEN pg_total_relation_size(c.reltoastrelid) ELSE 0 END AS toast_bytes,
+           pg_indexes_size(c.oid) AS index_bytes,
+           pg_total_relation_size(c.oid) AS total_bytes,
+           CASE WHEN c.relkind IN ('v', 'm') THEN pg_get_viewdef(c.oid, true) END AS view_definition,
+           ${partitionColumns}
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = $1 AND c.relname = $2 AND c.relkind = ANY($3)
+  `, [schema, name, Object.keys(RELATION_TYPES)]);
+
+  const relation = result.rows[0];
+  if (!relation) {
+    return null;
+  }
+
+  const detail = {
+    schema: relation.schema,
+    name: relation.name,
+    qualifiedName: relation.qualified_name,
+    type: RELATION_TYPES[relation.relkind],
+    owner: relation.owner,
+    comment: relation.comment,
+  };
+
+  // pg_sequences exists since PostgreSQL 10
+  if (relation.relkind === 'S') {
+    if (versionNum < 100000) {
+      return detail;
+    }
+    detail.sequence = await getSequence(pool, relation);
+    detail.ddl = detail.sequence ? sequenceDdl(detail).join('\n\n') : null;
+    return detail;
+  }
+
+  detail.columns = await getColumns(pool, relation.oid, versionNum);
+
+  if (relation.relkind === 'v') {
+    detail.definition = relation.view_definition;
+    detail.triggers = await getTriggers(pool, relation.oid);
+    detail.ddl = [`CREATE VIEW ${detail.qualifiedName} AS\n${relation.view_definition}`.replace(/;?\s*$/, ';')]
+      .concat(dependentDdl(detail))
+      .join('\n\n');
+    return detail;
+  }
+
+  detail.rowEstimate = rowEstimate(relation.reltuples);
+  detail.sizes = {
+    heapBytes: toBytes(relation.heap_bytes),
+    toastBytes: toBytes(relation.toast_bytes),
+    indexBytes: toBytes(relation.index_bytes),
+    totalBytes: toBytes(relation.total_bytes),
+  };
+  detail.indexes = await getIndexes(pool, relation.oid);
+  detail.stats = await getStats(pool, relation.oid);
+
+  if (relation.relkind === 'm') {
+    detail.definition = relation.view_definition;
+    detail.ddl = [`CREATE MATERIALIZED VIEW ${detail.qualifiedName} AS\n${relation.view_definition}`.replace(/;?\s*$/, '')
+      + '\nWITH DATA;']
+      .concat(dependentDdl(detail))
+      .join('\n\n');
+    return detail;
+  }
+
+  detail.constraints = await getConstraints(pool, relation.oid);
+  detail.triggers = await getTriggers(pool, relation.oid);
+  detail.partitioning = relation.relkind === 'p' || relation.is_partition
+    ? await getPartitioning(pool, relation)
+    : null;
+  if (relation.relkind === 'f') {
+    detail.foreignTable = await getForeignTable(pool, relation.oid);
+    if (!detail.foreignTable) {
+      detail.ddl = null;
+      return detail;
+    }
+  }
+  detail.ddl = tableDdl(detail).join('\n\n');
+  return detail;
+}
+
+// Every overload of a function or procedure with its definition; empty when none exist
+async function getFunction(pool, schema, name, { versionNum }) {
+  const kind = functionKind(versionNum);
+  const result = await pool.query(`
+    SELECT p.proname AS name,
+           pg_get_function_identity_arguments(p.oid) AS arguments,
+           pg_get_function_result(p.oid) AS result,
+           l.lanname AS language,
+           ${kind} AS kind,
+           p.provolatile AS volatility,
+           p.prosecdef AS security_definer,
+           pg_get_userbyid(p.proowner) AS owner,
+           obj_description(p.oid, 'pg_proc') AS comment,
+           -- pg_get_functiondef rejects aggregates
+           CASE WHEN ${kind} <> 'a' THEN pg_get_functiondef(p.oid) END AS definition
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    JOIN pg_language l ON l.oid = p.prolang
+    WHERE n.nspname = $1 AND p.proname = $2
+    ORDER BY arguments
+  `, [schema, name]);
+
+  return result.rows.map(row => ({
+    name: row.name,
+    arguments: row.arguments,
+    result: row.result,
+    language: row.language,
+    kind: FUNCTION_KINDS[row.kind] || row.kind,
+    volatility: { i: 'immutable', s: 'stable', v: 'volatile' }[row.volatility],
+    securityDefiner: row.security_definer,
+    owner: row.owner,
+    comment: row.comment,
+    ddl: row.definition ? `${row.definition.trim()};` : null,
+  }));
+}
+
+module.exports = {
+  SYSTEM_SCHEMAS,
+  functionKind,
+  listSchemas,
+  listObjects,
+  getRelation,
+  getFunction,
+};
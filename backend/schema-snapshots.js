@@ -0,0 +1,553 @@
+// Schema snapshots of registered connections, diffs between them and scheduled drift detection
+const fs = require('fs');
+const path = require('path');
+const dbManager = require('./db-manager');
+const { SYSTEM_SCHEMAS, functionKind } = require('./schema-browser');
+const { quoteIdent, quoteLiteral } = require('./sql-quote');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'data', 'schema');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Objects in system schemas and objects owned by extensions are not part of the user schema
+const USER_SCHEMA_FILTER = `
+  n.nspname <> ALL($1) AND n.nspname NOT LIKE 'pg_temp_%' AND n.nspname NOT LIKE 'pg_toast_temp_%'
+`;
+
+function notExtensionMember(column, catalog) {
+  return `NOT EXISTS (SELECT 1 FROM pg_depend e
+    WHERE e.objid = ${column} AND e.classid = '${catalog}'::regclass AND e.deptype = 'e')`;
+}
+
+// Partitions (PostgreSQL 10+) are left out: they are created and dropped as data arrives
+function tablesQuery(versionNum) {
+  return `
+    SELECT c.oid,
+           format('%I.%I', n.nspname, c.relname) AS name,
+           c.relkind,
+           ${versionNum >= 100000 ? "CASE WHEN c.relkind = 'p' THEN pg_get_partkeydef(c.oid) END" : 'NULL'} AS partition_key
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE c.relkind IN ('r', 'p') AND ${USER_SCHEMA_FILTER}
+      ${versionNum >= 100000 ? 'AND NOT c.relispartition' : ''}
+      AND ${notExtensionMember('c.oid', 'pg_class')}
+  `;
+}
+
+const COLUMNS_QUERY = `
+  SELECT a.attrelid AS table_oid,
+         quote_ident(a.attname) AS name,
+         format_type(a.atttypid, a.atttypmod) AS type,
+         a.attnotnull AS not_null,
+         pg_get_expr(d.adbin, d.adrelid) AS default
+  FROM pg_attribute a
+  LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+  WHERE a.attrelid = ANY($1) AND a.attnum > 0 AND NOT a.attisdropped
+  ORDER BY a.attrelid, a.attnum
+`;
+
+// NOT NULL constraints (PostgreSQL 18) are covered by the columns
+const CONSTRAINTS_QUERY = `
+  SELECT conrelid AS table_oid,
+         quote_ident(conname) AS name,
+         contype,
+         pg_get_constraintdef(oid, true) AS definition
+  FROM pg_constraint
+  WHERE conrelid = ANY($1) AND contype <> 'n'
+`;
+
+// Indexes backing a constraint come and go with the constraint
+const INDEXES_QUERY = `
+  SELECT x.indrelid AS table_oid,
+         format('%I.%I', n.nspname, i.relname) AS name,
+         pg_get_indexdef(x.indexrelid) AS definition
+  FROM pg_index x
+  JOIN pg_class i ON i.oid = x.indexrelid
+  JOIN pg_namespace n ON n.oid = i.relnamespace
+  WHERE x.indrelid = ANY($1)
+    AND NOT EXISTS (SELECT 1 FROM pg_constraint c
+      WHERE c.conindid = x.indexrelid AND c.conrelid = x.indrelid AND c.contype IN ('p', 'u', 'x'))
+`;
+
+// pg_get_functiondef rejects aggregates, so they are left out
+function functionsQuery(versionNum) {
+  return `
+    SELECT format('%I.%I(%s)', n.nspname, p.proname, pg_get_function_identity_arguments(p.oid)) AS signature,
+           pg_get_function_result(p.oid) AS result,
+           l.lanname AS language,
+           pg_get_functiondef(p.oid) AS definition
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    JOIN pg_language l ON l.oid = p.prolang
+    WHERE ${functionKind(versionNum)} <> 'a' AND ${USER_SCHEMA_FILTER}
+      AND ${notExtensionMember('p.oid', 'pg_proc')}
+  `;
+}
+
+const EXTENSIONS_QUERY = `
+  SELECT e.extname AS name, e.extversion AS version, n.nspname AS schema
+  FROM pg_extension e
+  JOIN pg_namespace n ON n.oid = e.extnamespace
+`;
+
+// Sort keys of a plain object so snapshots and diffs are stable
+function sorted(object) {
+  return Object.keys(object).sort().reduce((result, key) => {
+    result[key] = object[key];
+    return result;
+  }, {});
+}
+
+// Read the user schema (tables, columns, constraints, indexes, functions, extensions) through `pool`
+async function capture(pool, versionNum) {
+  const tableRows = (await pool.query(tablesQuery(versionNum), [SYSTEM_SCHEMAS])).rows;
+  const oids = tableRows.map(row => row.oid);
+  const byOid = {};
+  const tables = {};
+  tableRows.forEach(row => {
+    tables[row.name] = {
+      partitionKey: row.partition_key || null,
+      columns: [],
+      constraints: {},
+      indexes: {},
+    };
+    byOid[row.oid] = tables[row.name];
+  });
+
+  (await pool.query(COLUMNS_QUERY, [oids])).rows.forEach(row => {
+    byOid[row.table_oid].columns.push({ name: row.name, type: row.type, notNull: row.not_null, default: row.default });
+  });
+  (await pool.query(CONSTRAINTS_QUERY, [oids])).rows.forEach(row => {
+    byOid[row.table_oid].constraints[row.name] = { type: row.contype, definition: row.definition };
+  });
+  (await pool.query(INDEXES_QUERY, [oids])).rows.forEach(row => {
+    byOid[row.table_oid].indexes[row.name] = row.definition;
+  });
+  Object.values(tables).forEach(table => {
+    table.constraints = sorted(table.constraints);
+    table.indexes = sorted(table.indexes);
+  });
+
+  const functions = {};
+  (await pool.query(functionsQuery(versionNum), [SYSTEM_SCHEMAS])).rows.forEach(row => {
+    functions[row.signature] = { result: row.result, language: row.language, definition: row.definition };
+  });
+
+  const extensions = {};
+  (await pool.query(EXTENSIONS_QUERY)).rows.forEach(row => {
+    extensions[row.name] = { version: row.version, schema: row.schema };
+  });
+
+  return { tables: sorted(tables), functions: sorted(functions), extensions: sorted(extensions) };
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Added, removed and changed keys of two maps, passing each pair to `onChange`
+function compareMaps(before, after, { onAdded, onRemoved, onChange }) {
+  Object.keys(after).filter(key => !(key in before)).forEach(key => onAdded(key, after[key]));
+  Object.keys(before).filter(key => !(key in after)).forEach(key => onRemoved(key, before[key]));
+  Object.keys(after).filter(key => key in before).forEach(key => onChange(key, before[key], after[key]));
+}
+
+// Changes that turn schema `source` into schema `target`
+function diff(source, target) {
+  const changes = [];
+  const add = (objectType, change, name, details = {}) => changes.push({ objectType, change, name, ...details });
+
+  compareMaps(source.extensions, target.extensions, {
+    onAdded: (name, after) => add('extension', 'added', name, { after }),
+    onRemoved: (name, before) => add('extension', 'removed', name, { before }),
+    onChange: (name, before, after) => {
+      if (!same(before, after)) {
+        add('extension', 'changed', name, { before, after });
+      }
+    },
+  });
+
+  const tableObjects = (table, before, after) => {
+    compareMaps(before ? before.constraints : {}, after ? after.constraints : {}, {
+      onAdded: (constraint, value) => add('constraint', 'added', constraint, { table, after: value }),
+      onRemoved: (constraint, value) => add('constraint', 'removed', constraint, { table, before: value }),
+      onChange: (constraint, old, value) => {
+        if (!same(old, value)) {
+          add('constraint', 'changed', constraint, { table, before: old, after: value });
+        }
+      },
+    });
+    compareMaps(before ? before.indexes : {}, after ? after.indexes : {}, {
+      onAdded: (index, value) => add('index', 'added', index, { table, after: value }),
+      onRemoved: (index, value) => add('index', 'removed', index, { table, before: value }),
+      onChange: (index, old, value) => {
+        if (old !== value) {
+          add('index', 'changed', index, { table, before: old, after: value });
+        }
+      },
+    });
+  };
+
+  compareMaps(source.tables, target.tables, {
+    onAdded: (name, after) => {
+      add('table', 'added', name, { after: { partitionKey: after.partitionKey, columns: after.columns } });
+      tableObjects(name, null, after);
+    },
+    onRemoved: name => add('table', 'removed', name),
+    onChange: (name, before, after) => {
+      if (before.partitionKey !== after.partitionKey) {
+        add('table', 'changed', name, { before: { partitionKey: before.partitionKey }, after: { partitionKey: after.partitionKey } });
+      }
+
+      const oldColumns = new Map(before.columns.map(column => [column.name, column]));
+      const newColumns = new Map(after.columns.map(column => [column.name, column]));
+      after.columns.filter(column => !oldColumns.has(column.name))
+        .forEach(column => add('column', 'added', column.name, { table: name, after: column }));
+      before.columns.filter(column => !newColumns.has(column.name))
+        .forEach(column => add('column', 'removed', column.name, { table: name, before: column }));
+      after.columns.filter(column => oldColumns.has(column.name) && !same(oldColumns.get(column.name), column))
+        .forEach(column => add('column', 'changed', column.name, { table: name, before: oldColumns.get(column.name), after: column }));
+
+      tableObjects(name, before, after);
+    },
+  });
+
+  compareMaps(source.functions, target.functions, {
+    onAdded: (name, after) => add('function', 'added', name, { after }),
+    onRemoved: (name, before) => add('function', 'removed', name, { before }),
+    onChange: (name, before, after) => {
+      if (!same(before, after)) {
+        add('function', 'changed', name, { before, after });
+      }
+    },
+  });
+
+  const count = change => changes.filter(item => item.change === change).length;
+  return {
+    summary: { added: count('added'), removed: count('removed'), changed: count('changed') },
+    changes,
+  };
+}
+
+function columnDefinition(column) {
+  return `${column.name} ${column.type}${column.default !== null ? ` DEFAULT ${column.default}` : ''}${column.notNull ? ' NOT NULL' : ''}`;
+}
+
+// Best-effort SQL applying `changes` to the source schema; destructive statements come last.
+// Renames show up as a drop plus an add and data migrations are not covered.
+function migrationSql(changes) {
+  const steps = { create: [], alter: [], dropDependent: [], addDependent: [], foreignKeys: [], functions: [], destructive: [] };
+  const of = (objectType, change) => changes.filter(item => item.objectType === objectType && item.change === change);
+
+  // Extension names are captured raw from pg_extension; everything else was quoted by %I/quote_ident
+  of('extension', 'added').forEach(item => steps.create.push(
+    `CREATE EXTENSION IF NOT EXISTS ${quoteIdent(item.name)} WITH SCHEMA ${quoteIdent(item.after.schema)} VERSION ${quoteLiteral(item.after.version)};`,
+  ));
+  of('extension', 'changed').forEach(item => steps.create.push(
+    `ALTER EXTENSION ${quoteIdent(item.name)} UPDATE TO ${quoteLiteral(item.after.version)};`,
+  ));
+
+  of('table', 'added').forEach(item => steps.create.push(
+    `CREATE TABLE ${item.name} (\n${item.after.columns.map(column => `    ${columnDefinition(column)}`).join(',\n')}\n)`
+    + `${item.after.partitionKey ? ` PARTITION BY ${item.after.partitionKey}` : ''};`,
+  ));
+  of('table', 'changed').forEach(item => steps.alter.push(
+    `-- ${item.name}: partition key changed to ${item.after.partitionKey || 'none'}; the table has to be recreated`,
+  ));
+
+  of('column', 'added').forEach(item => steps.alter.push(`ALTER TABLE ${item.table} ADD COLUMN ${columnDefinition(item.after)};`));
+  of('column', 'changed').forEach(item => {
+    const { before, after } = item;
+    const alter = `ALTER TABLE ${item.table} ALTER COLUMN ${item.name}`;
+    if (before.type !== after.type) {
+      steps.alter.push(`${alter} TYPE ${after.type} USING ${item.name}::${after.type};`);
+    }
+    if (before.default !== after.default) {
+      steps.alter.push(after.default !== null ? `${alter} SET DEFAULT ${after.default};` : `${alter} DROP DEFAULT;`);
+    }
+    if (before.notNull !== after.notNull) {
+      steps.alter.push(`${alter} ${after.notNull ? 'SET' : 'DROP'} NOT NULL;`);
+    }
+  });
+
+  of('constraint', 'removed').concat(of('constraint', 'changed')).forEach(item => steps.dropDependent.push(
+    `ALTER TABLE ${item.table} DROP CONSTRAINT ${item.name};`,
+  ));
+  of('index', 'removed').concat(of('index', 'changed')).forEach(item => steps.dropDependent.push(`DROP INDEX ${item.name};`));
+
+  // Foreign keys last, once the keys they reference exist
+  of('constraint', 'added').concat(of('constraint', 'changed')).forEach(item => {
+    (item.after.type === 'f' ? steps.foreignKeys : steps.addDependent)
+      .push(`ALTER TABLE ${item.table} ADD CONSTRAINT ${item.name} ${item.after.definition};`);
+  });
+  of('index', 'added').concat(of('index', 'changed')).forEach(item => steps.addDependent.push(`${item.after};`));
+
+  of('function', 'added').concat(of('function', 'changed')).forEach(item => {
+    if (item.change === 'changed' && item.before.result !== item.after.result) {
+      steps.functions.push(`DROP FUNCTION ${item.name};`);
+    }
+    steps.functions.push(`${item.after.definition.trim()};`);
+  });
+
+  of('function', 'removed').forEach(item => steps.destructive.push(`DROP FUNCTION ${item.name};`));
+  of('column', 'removed').forEach(item => steps.destructive.push(`ALTER TABLE ${item.table} DROP COLUMN ${item.name};`));
+  of('table', 'removed').forEach(item => steps.destructive.push(`DROP TABLE ${item.name};`));
+  of('extension', 'removed').forEach(item => steps.destructive.push(`DROP EXTENSION ${quoteIdent(item.name)};`));
+
+  const sections = [
+    steps.create, steps.alter, steps.dropDependent, steps.addDependent, steps.foreignKeys, steps.functions,
+  ].filter(section => section.length > 0).map(section => section.join('\n'));
+  if (steps.destructive.length > 0) {
+    sections.push(`-- Destructive changes: review before running\n${steps.destructive.join('\n')}`);
+  }
+
+  return sections.length > 0 ? `BEGIN;\n\n${sections.join('\n\n')}\n\nCOMMIT;\n` : '';
+}
+
+class SchemaSnapshots {
+  constructor() {
+    this.intervalSeconds = parseInt(process.env.SCHEMA_SNAPSHOT_INTERVAL, 10) || 3600;
+    this.retentionDays = parseInt(process.env.SCHEMA_SNAPSHOT_RETENTION_DAYS, 10) || 30;
+    this.timer = null;
+    this.snapshotting = false;
+    // Tail of the pending snapshot and prune work per connection directory
+    this.queues = {};
+  }
+
+  // Run `task` once earlier work on the same connection has settled, so index updates never interleave
+  serialize(id, task) {
+    const key = this.connectionDir(id);
+    const run = (this.queues[key] || Promise.resolve()).catch(() => {}).then(task);
+    this.queues[key] = run;
+    run.catch(() => {}).then(() => {
+      if (this.queues[key] === run) {
+        delete this.queues[key];
+      }
+    });
+    return run;
+  }
+
+  // Start the scheduled snapshots
+  start() {
+    if (this.timer || process.env.SCHEMA_SNAPSHOTS_ENABLED === 'false') {
+      return;
+    }
+
+    console.log(`Snapshotting schemas every ${this.intervalSeconds}s (retention ${this.retentionDays} days)`);
+    this.timer = setInterval(() => this.snapshotAll(), this.intervalSeconds * 1000);
+    this.snapshotAll();
+  }
+
+  // Stop the scheduled snapshots
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Snapshot every registered (non-temporary) connection, recording drift from the previous snapshot
+  async snapshotAll() {
+    if (this.snapshotting) {
+      return;
+    }
+
+    this.snapshotting = true;
+    try {
+      const ids = Object.keys(dbManager.connections)
+        .filter(id => !dbManager.connections[id].temporary);
+
+      // One connection at a time: capturing a large schema is not cheap
+      for (const id of ids) {
+        try {
+          await this.snapshot(dbManager.getMonitorPool(id), id, { scheduled: true });
+        } catch (error) {
+          console.warn(`Unable to snapshot the schema of database ${id}:`, error.message);
+        }
+      }
+
+      await this.prune();
+    } catch (error) {
+      console.error('Error snapshotting schemas:', error);
+    } finally {
+      this.snapshotting = false;
+    }
+  }
+
+  // Capture the schema of connection `id` through `pool` and store it; drift is relative to the previous snapshot.
+  // A scheduled snapshot that finds no drift is not stored and null is returned.
+  snapshot(pool, id, options) {
+    return this.serialize(id, () => this.takeSnapshot(pool, id, options));
+  }
+
+  async takeSnapshot(pool, id, { scheduled = false, createdBy = null } = {}) {
+    const schema = await this.capture(pool, id);
+
+    const timestamps = await this.listSnapshots(id);
+    const index = await this.readIndex(id);
+    let drift = null;
+    if (timestamps.length > 0) {
+      const previous = await this.readSnapshot(id, timestamps[timestamps.length - 1]);
+      const { summary, changes } = diff(previous.schema, schema);
+      if (changes.length > 0) {
+        drift = {
+          since: previous.t,
+          summary,
+          objects: changes.map(change => `${change.change} ${change.objectType} ${change.table ? `${change.table}.` : ''}${change.name}`),
+        };
+        if (scheduled) {
+          console.warn(`Schema drift on database ${id}: ${drift.objects.length} changes since ${new Date(previous.t).toISOString()}`);
+        }
+      }
+    }
+
+    if (scheduled && timestamps.length > 0 && !drift) {
+      return null;
+    }
+
+    const snapshot = { t: Date.now(), connectionId: id, scheduled, createdBy, drift, schema };
+    const dir = this.connectionDir(id);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, `${snapshot.t}.json`), JSON.stringify(snapshot));
+
+    const description = this.describe(snapshot);
+    await this.writeIndex(id, index.concat(description));
+    return description;
+  }
+
+  // Live schema of a connection, for diffs against snapshots or other connections
+  async capture(pool, id) {
+    const capabilities = await dbManager.getCapabilities(id);
+    return capture(pool, capabilities.serverVersionNum);
+  }
+
+  // Structured changes from `source` to `target` with a best-effort migration script
+  compare(source, target) {
+    const result = diff(source, target);
+    return { ...result, migration: migrationSql(result.changes) };
+  }
+
+  // Snapshot metadata without the schema
+  describe(snapshot) {
+    return {
+      id: `${snapshot.connectionId}@${snapshot.t}`,
+      connectionId: snapshot.connectionId,
+      timestamp: new Date(snapshot.t).toISOString(),
+      scheduled: snapshot.scheduled,
+      createdBy: snapshot.createdBy,
+      tables: Object.keys(snapshot.schema.tables).length,
+      functions: Object.keys(snapshot.schema.functions).length,
+      extensions: Object.keys(snapshot.schema.extensions).length,
+      drift: snapshot.drift,
+    };
+  }
+
+  connectionDir(id) {
+    return path.join(SNAPSHOT_DIR, String(id).replace(/[^\w-]/g, '_'));
+  }
+
+  // Timestamps of the stored snapshots of a connection, oldest first
+  async listSnapshots(id) {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.connectionDir(id));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return files
+      .filter(file => /^\d+\.json$/.test(file))
+      .map(file => parseInt(file, 10))
+      .sort((a, b) => a - b);
+  }
+
+  // Metadata of the stored snapshots, oldest first, kept in index.json so listing them reads no schema.
+  // Built from the snapshot files when missing.
+  async readIndex(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(this.connectionDir(id), 'index.json'), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const timestamps = await this.listSnapshots(id);
+    if (timestamps.length === 0) {
+      return [];
+    }
+    const index = [];
+    for (const timestamp of timestamps) {
+      index.push(this.describe(await this.readSnapshot(id, timestamp)));
+    }
+    await this.writeIndex(id, index);
+    return index;
+  }
+
+  async writeIndex(id, index) {
+    await fs.promises.writeFile(path.join(this.connectionDir(id), 'index.json'), JSON.stringify(index));
+  }
+
+  async readSnapshot(id, timestamp) {
+    const content = await fs.promises.readFile(path.join(this.connectionDir(id), `${timestamp}.json`), 'utf8');
+    return JSON.parse(content);
+  }
+
+  // Snapshot by reference '<connectionId>@<timestamp>' or '<connectionId>@latest'; null when missing
+  async getSnapshot(reference) {
+    const at = reference.lastIndexOf('@');
+    if (at <= 0) {
+      return null;
+    }
+
+    const id = reference.substring(0, at);
+    const timestamps = await this.listSnapshots(id);
+    const wanted = reference.substring(at + 1);
+    const timestamp = wanted === 'latest' ? timestamps[timestamps.length - 1] : timestamps.find(t => String(t) === wanted);
+    return timestamp === undefined ? null : this.readSnapshot(id, timestamp);
+  }
+
+  // Snapshots of a connection with their drift, newest first
+  async getHistory(id, { driftOnly = false } = {}) {
+    return (await this.readIndex(id))
+      .filter(snapshot => !driftOnly || snapshot.drift)
+      .reverse();
+  }
+
+  // Delete snapshots older than the retention period, always keeping the latest one per connection
+  async prune() {
+    const cutoff = Date.now() - this.retentionDays * DAY_MS;
+
+    let dirs;
+    try {
+      dirs = await fs.promises.readdir(SNAPSHOT_DIR);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    for (const dir of dirs) {
+      await this.serialize(dir, async () => {
+        const timestamps = (await fs.promises.readdir(path.join(SNAPSHOT_DIR, dir)))
+          .filter(file => /^\d+\.json$/.test(file))
+          .map(file => parseInt(file, 10))
+          .sort((a, b) => a - b);
+        const expired = timestamps.slice(0, -1).filter(t => t < cutoff);
+        for (const timestamp of expired) {
+          await fs.promises.unlink(path.join(SNAPSHOT_DIR, dir, `${timestamp}.json`));
+        }
+
+        if (expired.length > 0) {
+          const index = await this.readIndex(dir);
+          await this.writeIndex(dir, index.filter(snapshot => !expired.includes(Date.parse(snapshot.timestamp))));
+        }
+      });
+    }
+  }
+}
+
+module.exports = new SchemaSnapshots();
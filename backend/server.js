@@ -2,6 +2,30 @@
 const express = require("express");
 const cors = require("cors");
 const dbManager = require("./db-manager");
+const metricsHistory = require("./metrics-history");
+const queries = require("./queries");
+const alertManager = require("./alert-manager");
+const prometheusExporter = require("./prometheus-exporter");
+const authManager = require("./auth-manager");
+const auditLog = require("./audit-log");
+const sessionControl = require("./session-control");
+const lockGraph = require("./lock-graph");
+const planExplainer = require("./explain");
+const indexAdvisor = require("./index-advisor");
+const bloat = require("./bloat");
+const vacuumMonitor = require("./vacuum-monitor");
+const replication = require("./replication");
+const streamHub = require("./stream-hub");
+const activity = require("./activity");
+const statementSnapshots = require("./statement-snapshots");
+const customChecks = require("./custom-checks");
+const healthReport = require("./health-report");
+const fleet = require("./fleet");
+const settingsInspector = require("./settings-inspector");
+const schemaBrowser = require("./schema-browser");
+const schemaSnapshots = require("./schema-snapshots");
+const queryConsole = require("./query-console");
+const exporter = require("./exporter");
 const { v4: uuidv4 } = require("uuid");
 
 // Create Express app
@@ -10,28 +34,145 @@ const app = express();
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(authenticate);
+app.use("/api", authorizeConnection);
 
 // Session management
 const activeSessions = {};
 
-// Generate or validate session
-function getSessionId(req) {
-  const sessionId = req.headers["x-session-id"] || req.query.sessionId;
+// Session id per API token id; token sessions are only reachable by presenting the token
+const tokenSessions = {};
 
-  if (sessionId && activeSessions[sessionId]) {
-    // Update last activity time
-    activeSessions[sessionId].lastActivity = Date.now();
-    return sessionId;
-  }
+// Routes reachable without credentials
+const PUBLIC_ROUTES = ["POST /api/auth/login"];
 
-  // Create new session
-  const newSessionId = uuidv4();
-  activeSessions[newSessionId] = {
+// Create a session bound to an authenticated user, or to one of their API tokens
+function createSession(username, tokenId = null) {
+  const sessionId = uuidv4();
+  activeSessions[sessionId] = {
+    username,
+    tokenId,
     createdAt: Date.now(),
     lastActivity: Date.now(),
   };
 
-  return newSessionId;
+  return sessionId;
+}
+
+// Resolve the caller from a session id or an API token
+function authenticate(req, res, next) {
+  if (PUBLIC_ROUTES.includes(`${req.method} ${req.path}`) || req.method === "OPTIONS") {
+    return next();
+  }
+
+  const authorization = req.headers.authorization || "";
+  const bearer = authorization.startsWith("Bearer ")
+    ? authorization.substring(7).trim()
+    : null;
+
+  let sessionId;
+  let user;
+
+  if (authManager.isApiToken(bearer)) {
+    const match = authManager.verifyToken(bearer);
+    if (!match) {
+      return res.status(401).json({ error: "Invalid API token" });
+    }
+
+    // Each API token gets its own long-lived session for pool tracking
+    user = match.user;
+    sessionId = tokenSessions[match.tokenId];
+    if (!activeSessions[sessionId]) {
+      sessionId = createSession(user.username, match.tokenId);
+      tokenSessions[match.tokenId] = sessionId;
+    }
+  } else {
+    sessionId = bearer || req.headers["x-session-id"] || req.query.sessionId;
+    const session = sessionId && activeSessions[sessionId];
+    user = session && !session.tokenId && authManager.describeUser(session.username);
+    if (!user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+  }
+
+  // Update last activity time
+  activeSessions[sessionId].lastActivity = Date.now();
+  req.sessionId = sessionId;
+  req.user = user;
+  next();
+}
+
+// Reject callers whose role is below `role`
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!authManager.hasRole(req.user.role, role)) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
+
+// Reject requests for connections outside the caller's allowed list
+function authorizeConnection(req, res, next) {
+  if (!req.user) {
+    return next();
+  }
+
+  const dbId = req.query.connectionId || dbManager.getCurrentDatabase(req.sessionId);
+  if (!canAccessConnection(req, dbId)) {
+    return res.status(403).json({ error: `Access to database connection '${dbId}' is not allowed` });
+  }
+  next();
+}
+
+// Temporary connections are usable by the session that created them, and otherwise only by admins
+function canAccessConnection(req, dbId) {
+  const config = dbManager.connections[dbId];
+  if (config && config.temporary) {
+    return config.sessionId === req.sessionId || authManager.hasRole(req.user.role, "admin");
+  }
+  return authManager.canAccessConnection(req.user, dbId);
+}
+
+// Get the session of the authenticated caller
+function getSessionId(req) {
+  return req.sessionId;
+}
+
+// Check ?format= on endpoints that offer downloads; returns an error message or null
+function validateExportFormat(req) {
+  const format = req.query.format;
+  if (format === undefined || format === "json" || exporter.isFormat(format)) {
+    return null;
+  }
+  return `format must be one of ${exporter.getFormats().join(", ")}`;
+}
+
+// Send rows as a download when ?format= asks for one; returns false when the regular JSON response is wanted
+async function sendExport(req, res, { prefix, dbId, columns, rows }) {
+  const format = req.query.format;
+  if (!format || format === "json") {
+    return false;
+  }
+
+  try {
+    await exporter.send(res, format, { prefix, connectionName: dbManager.connections[dbId].name, columns, rows });
+  } catch (error) {
+    // The headers are gone with the first rows, so a failure can only cut the download short
+    console.error(`Error exporting ${prefix}:`, error);
+    res.end();
+  }
+  return true;
+}
+
+// End a session and tear down its pools and temporary connections
+function endSession(sessionId) {
+  const session = activeSessions[sessionId];
+  if (session && session.tokenId) {
+    delete tokenSessions[session.tokenId];
+  }
+  delete activeSessions[sessionId];
+  dbManager.releaseSession(sessionId);
 }
 
 // Clean up inactive sessions (runs every 30 minutes)
@@ -42,7 +183,7 @@ setInterval(
 
     Object.keys(activeSessions).forEach((sessionId) => {
       if (now - activeSessions[sessionId].lastActivity > SESSION_TIMEOUT) {
-        delete activeSessions[sessionId];
+        endSession(sessionId);
       }
     });
   },
@@ -51,16 +192,140 @@ setInterval(
 
 // API Routes
 
+// Log in with a local account and start a session
+app.post("/api/auth/login", (req, res) => {
+  const { username, password } = req.body || {};
+  if (typeof username !== "string" || typeof password !== "string") {
+    return res.status(400).json({ error: "username and password must be strings" });
+  }
+
+  const user = authManager.authenticate(username, password);
+  if (!user) {
+    return res.status(401).json({ error: "Invalid username or password" });
+  }
+
+  const sessionId = createSession(user.username);
+
+  // Start restricted users on a connection they are allowed to use
+  const allowed = dbManager.getConnections()
+    .filter((conn) => !conn.temporary && authManager.canAccessConnection(user, conn.id));
+  if (allowed.length > 0 && !authManager.canAccessConnection(user, dbManager.defaultConnection)) {
+    dbManager.setActiveDatabase(allowed[0].id, sessionId);
+  }
+
+  res.json({ sessionId, user });
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  endSession(req.sessionId);
+  res.json({ success: true });
+});
+
+app.get("/api/auth/me", (req, res) => {
+  res.json(req.user);
+});
+
+// API tokens of the current user
+app.get("/api/auth/tokens", (req, res) => {
+  res.json(authManager.getTokens(req.user.username));
+});
+
+app.post("/api/auth/tokens", (req, res) => {
+  try {
+    res.json(authManager.createToken(req.user.username, req.body.name));
+  } catch (error) {
+    console.error("Error creating API token:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api/auth/tokens/:id", (req, res) => {
+  try {
+    const result = authManager.deleteToken(req.user.username, req.params.id);
+
+    // A revoked token must not keep its session alive
+    if (tokenSessions[req.params.id]) {
+      endSession(tokenSessions[req.params.id]);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error deleting API token:", error);
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// User management
+app.get("/api/users", requireRole("admin"), (req, res) => {
+  res.json(authManager.getUsers());
+});
+
+app.post("/api/users", requireRole("admin"), (req, res) => {
+  try {
+    const result = authManager.createUser(req.body);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error creating user:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch("/api/users/:username", requireRole("admin"), (req, res) => {
+  try {
+    if (!authManager.describeUser(req.params.username)) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    const result = authManager.updateUser(req.params.username, req.body);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error updating user:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api/users/:username", requireRole("admin"), (req, res) => {
+  try {
+    const result = authManager.deleteUser(req.params.username);
+
+    // End the sessions of the deleted user
+    Object.keys(activeSessions).forEach((sessionId) => {
+      if (activeSessions[sessionId].username === req.params.username) {
+        endSession(sessionId);
+      }
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error deleting user:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Session management
 app.get("/api/session", (req, res) => {
   const sessionId = getSessionId(req);
-  res.json({ sessionId });
+  res.json({ sessionId, user: req.user });
 });
 
 // Get list of available database connections
 app.get("/api/connections", (req, res) => {
   try {
-    const connections = dbManager.getConnections();
+    let tags;
+    try {
+      tags = dbManager.parseTagFilter(req.query.tags);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const connections = dbManager.getConnections()
+      .filter((conn) => canAccessConnection(req, conn.id))
+      .filter((conn) => dbManager.matchesTags(conn.id, tags));
     res.json(connections);
   } catch (error) {
     console.error("Error fetching connections:", error);
@@ -69,7 +334,7 @@ app.get("/api/connections", (req, res) => {
 });
 
 // Test a database connection using connection string
-app.post("/api/test-connection", async (req, res) => {
+app.post("/api/test-connection", requireRole("operator"), async (req, res) => {
   try {
     const { connectionString } = req.body;
 
@@ -89,12 +354,10 @@ app.post("/api/test-connection", async (req, res) => {
 });
 
 // Test a database connection using individual parameters
-app.post("/api/test-connection-params", async (req, res) => {
+app.post("/api/test-connection-params", requireRole("operator"), async (req, res) => {
   try {
     const { host, port, database, username, password, ssl = false } = req.body;
 
-    console.log(host, port, database, username, password, ssl);
-
     // Validate required parameters
     if (!host) {
       return res.status(400).json({ error: "Host is required" });
@@ -129,13 +392,17 @@ app.post("/api/test-connection-params", async (req, res) => {
 });
 
 // Connect using a connection string
-app.post("/api/connect-string", async (req, res) => {
+app.post("/api/connect-string", requireRole("operator"), async (req, res) => {
   try {
-    const { connectionString, name } = req.body;
+    const { connectionString, name, tags, pool } = req.body;
 
     if (!connectionString) {
       return res.status(400).json({ error: "Connection string is required" });
     }
+    const tagError = dbManager.validateTags(tags) || dbManager.validatePoolSettings(pool);
+    if (tagError) {
+      return res.status(400).json({ error: tagError });
+    }
 
     // First test the connection
     const testResult = await dbManager.testConnection(connectionString);
@@ -156,7 +423,10 @@ app.post("/api/connect-string", async (req, res) => {
       connectionString,
       name: name || `Connection ${connectionId}`,
       isDefault: false,
+      tags: tags || {},
+      pool: pool || {},
       temporary: true, // Mark as temporary
+      sessionId,
     };
 
     // Set as active for this session
@@ -178,7 +448,7 @@ app.post("/api/connect-string", async (req, res) => {
 });
 
 // Connect to a database using parameters and get a session ID
-app.post("/api/connect", async (req, res) => {
+app.post("/api/connect", requireRole("operator"), async (req, res) => {
   try {
     const {
       host,
@@ -188,18 +458,11 @@ app.post("/api/connect", async (req, res) => {
       password,
       name,
       ssl = false,
+      tags,
+      pool,
     } = req.body;
 
-    console.log(
-      "Connect: ",
-      host,
-      port,
-      database,
-      username,
-      password,
-      name,
-      ssl,
-    );
+    console.log("Connect: ", host, port, database, username, name, ssl);
 
     // Validate required parameters
     if (!host) {
@@ -215,6 +478,13 @@ app.post("/api/connect", async (req, res) => {
       return res.status(400).json({ error: "Username is required" });
     }
     // Password can be optional for some configurations
+    if (password !== undefined && password !== null && typeof password !== "string") {
+      return res.status(400).json({ error: "Password must be a string" });
+    }
+    const tagError = dbManager.validateTags(tags) || dbManager.validatePoolSettings(pool);
+    if (tagError) {
+      return res.status(400).json({ error: tagError });
+    }
 
     // First test the connection
     const testResult = await dbManager.testConnectionParams(
@@ -240,17 +510,16 @@ app.post("/api/connect", async (req, res) => {
 
     console.log("Session ID:", sessionId);
 
-    // Build connection string from parameters with SSL option if needed
-    const connectionString = ssl
-      ? `postgresql://${username}:${password}@${host}:${port}/${database}?sslmode=require`
-      : `postgresql://${username}:${password}@${host}:${port}/${database}`;
-
-    // Add to connections list with a name (temporary)
+    // Add to connections list with a name (temporary, kept in memory only)
     dbManager.connections[connectionId] = {
-      connectionString,
+      connectionString: dbManager.buildConnectionString(host, port, database, username, ssl),
+      password,
       name: name || `${database}@${host}`,
       isDefault: false,
+      tags: tags || {},
+      pool: pool || {},
       temporary: true, // Mark as temporary
+      sessionId,
     };
 
     // Set as active for this session
@@ -271,11 +540,107 @@ app.post("/api/connect", async (req, res) => {
   }
 });
 
+// Replace the tags (e.g. env, team, region) of a connection
+app.put("/api/connections/:id/tags", requireRole("admin"), (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!dbManager.connections[id]) {
+      return res.status(404).json({ error: `Database connection '${id}' not found` });
+    }
+    const result = dbManager.setTags(id, req.body.tags || {});
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error updating connection tags:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fields accepted by PATCH /api/connections/:id
+const CONNECTION_UPDATE_FIELDS = [
+  "name",
+  "connectionString",
+  "host",
+  "port",
+  "database",
+  "username",
+  "password",
+  "ssl",
+  "tags",
+  "isDefault",
+  "pool",
+];
+
+// Rename a connection, change its credentials, tags or pool settings, or make it the default.
+// Saved connections need the admin role; operators may edit the temporary ones they created.
+app.patch("/api/connections/:id", requireRole("operator"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const config = dbManager.connections[id];
+    if (!config || !canAccessConnection(req, id)) {
+      return res.status(404).json({ error: `Database connection '${id}' not found` });
+    }
+    const ownsTemporary = config.temporary && config.sessionId === req.sessionId;
+    if (!ownsTemporary && !authManager.hasRole(req.user.role, "admin")) {
+      return res.status(403).json({ error: "Requires admin role" });
+    }
+
+    const changes = req.body || {};
+    const unknown = Object.keys(changes).filter((field) => !CONNECTION_UPDATE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown field '${unknown[0]}', expected ${CONNECTION_UPDATE_FIELDS.join(", ")}`,
+      });
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: "Nothing to update" });
+    }
+
+    const result = await dbManager.updateConnection(id, changes);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await auditLog.record({
+      username: req.user.username,
+      action: "connection_update",
+      connectionId: id,
+      connectionName: result.connection.name,
+      fields: Object.keys(changes),
+      result: "success",
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error updating connection:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Make a connection the active one for the caller's session
+app.post("/api/connections/:id/activate", (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!dbManager.connections[id] || !canAccessConnection(req, id)) {
+      return res.status(404).json({ error: `Database connection '${id}' not found` });
+    }
+
+    const active = dbManager.setActiveDatabase(id, req.sessionId);
+    res.json({ success: true, sessionId: req.sessionId, databaseId: active.id, databaseName: active.name });
+  } catch (error) {
+    console.error("Error activating connection:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Remove a database connection
-app.delete("/api/connections/:id", (req, res) => {
+app.delete("/api/connections/:id", requireRole("admin"), (req, res) => {
   try {
     const { id } = req.params;
     const result = dbManager.removeConnection(id);
+    alertManager.resolveConnection(id);
     res.json(result);
   } catch (error) {
     console.error("Error removing connection:", error);
@@ -308,6 +673,11 @@ app.get("/api/connection", async (req, res) => {
 
 // Get database stats
 app.get("/api/stats", async (req, res) => {
+  const invalidFormat = validateExportFormat(req);
+  if (invalidFormat) {
+    return res.status(400).json({ error: invalidFormat });
+  }
+
   try {
     const sessionId = getSessionId(req);
     const dbId = dbManager.getCurrentDatabase(sessionId);
@@ -329,13 +699,18 @@ app.get("/api/stats", async (req, res) => {
       SELECT count(*) as connections FROM pg_stat_activity
     `);
 
-    res.json({
+    const stats = {
       size: dbSizeQuery.rows[0].size,
       tableCount: parseInt(tableCountQuery.rows[0].table_count),
       connections: parseInt(connectionsQuery.rows[0].connections),
       databaseId: dbId,
       databaseName: dbManager.connections[dbId].name,
-    });
+    };
+    if (await sendExport(req, res, { prefix: "stats", dbId, rows: [stats] })) {
+      return;
+    }
+
+    res.json(stats);
   } catch (err) {
     console.error("Error fetching database stats:", err);
     res.status(500).json({ error: "Failed to fetch database stats" });
@@ -344,31 +719,54 @@ app.get("/api/stats", async (req, res) => {
 
 // Get query logs
 app.get("/api/query-logs", async (req, res) => {
+  const invalidFormat = validateExportFormat(req);
+  if (invalidFormat) {
+    return res.status(400).json({ error: invalidFormat });
+  }
+
   try {
     const sessionId = getSessionId(req);
     const dbId = dbManager.getCurrentDatabase(sessionId);
     const pool = dbManager.getPool(dbId, sessionId);
 
+    const capabilities = await dbManager.getCapabilities(dbId, sessionId);
+
     try {
       // First try with pg_stat_statements
+      if (!capabilities.extensions.pg_stat_statements) {
+        throw new Error("pg_stat_statements is not installed");
+      }
+
+      // pg_stat_statements 1.8 renamed the *_time columns to *_exec_time; keep the old names in the response
+      const timeColumns = queries.extensionAtLeast(capabilities, "pg_stat_statements", "1.8")
+        ? "total_exec_time AS total_time, min_exec_time AS min_time, max_exec_time AS max_time, mean_exec_time AS mean_time"
+        : "total_time, min_time, max_time, mean_time";
+
       const queryLogsResult = await pool.query(`
         SELECT 
           query,
           calls,
-          total_time,
-          min_time,
-          max_time,
-          mean_time,
+          ${timeColumns},
           rows
         FROM pg_stat_statements
         ORDER BY total_time DESC
         LIMIT 50
       `);
 
+      if (await sendExport(req, res, {
+        prefix: "query-logs",
+        dbId,
+        columns: queryLogsResult.fields.map((f) => f.name),
+        rows: queryLogsResult.rows,
+      })) {
+        return;
+      }
+
       res.json(queryLogsResult.rows);
     } catch (statsErr) {
       console.warn(
-        "pg_stat_statements not available, falling back to pg_stat_activity",
+        "pg_stat_statements not available, falling back to pg_stat_activity:",
+        statsErr.message,
       );
 
       // Fallback to pg_stat_activity for basic query info
@@ -399,6 +797,10 @@ app.get("/api/query-logs", async (req, res) => {
         wait_event: row.wait_event,
       }));
 
+      if (await sendExport(req, res, { prefix: "query-logs", dbId, rows: transformedResults })) {
+        return;
+      }
+
       res.json(transformedResults);
     }
   } catch (err) {
@@ -479,6 +881,11 @@ app.get("/api/resource-stats", async (req, res) => {
 
 // Get Table
 app.get("/api/table-stats", async (req, res) => {
+  const invalidFormat = validateExportFormat(req);
+  if (invalidFormat) {
+    return res.status(400).json({ error: invalidFormat });
+  }
+
   try {
     const sessionId = getSessionId(req);
     const dbId = dbManager.getCurrentDatabase(sessionId);
@@ -505,6 +912,15 @@ app.get("/api/table-stats", async (req, res) => {
       console.warn("Error fetching table sizes:", error.message);
     }
 
+    if (await sendExport(req, res, {
+      prefix: "table-stats",
+      dbId,
+      columns: ["table_name", "total_size"],
+      rows: resourceStats.tableSizes || [],
+    })) {
+      return;
+    }
+
     res.json(resourceStats);
   } catch (error) {
     console.error("Error fetching resource stats:", error);
@@ -512,67 +928,1447 @@ app.get("/api/table-stats", async (req, res) => {
   }
 });
 
-// Analysis
-const queries = {
-  'deadlock': "SELECT * FROM pg_stat_activity WHERE wait_event_type = 'Lock'",
-  'total_tables': "SELECT count(*) FROM information_schema.tables WHERE table_schema = 'public'",
-  'idle': "SELECT pid, usename, query_start, state FROM pg_stat_activity WHERE state = 'idle in transaction';",
-  'long_tables': "SELECT schemaname, relname, n_live_tup FROM pg_stat_user_tables ORDER BY n_live_tup DESC LIMIT 10;",
-  'index_usage': "SELECT relname, idx_scan, idx_tup_read, idx_tup_fetch FROM pg_stat_user_indexes ORDER BY idx_scan DESC LIMIT 10;",
-  'large_tables':"SELECT relname, pg_size_pretty(pg_total_relation_size(relid)) AS total_size FROM pg_catalog.pg_statio_user_tables ORDER BY pg_total_relation_size(relid) DESC LIMIT 10;",
-  'large_indices': "SELECT relname, pg_size_pretty(pg_total_relation_size(relid)) AS total_size FROM pg_catalog.pg_statio_user_tables ORDER BY pg_total_relation_size(relid) DESC LIMIT 10;",
-  'blocked_queries': "SELECT pid, usename, query_start, state, wait_event, query FROM pg_stat_activity WHERE wait_event IS NOT NULL;",
-  'deadlock': "SELECT * FROM pg_stat_activity WHERE wait_event_type = 'Lock';",
-  'max_connections': "SHOW max_connections;",
-  'high_dead_tuple': "SELECT relname, n_dead_tup, last_autovacuum FROM pg_stat_user_tables WHERE n_dead_tup > 1000 ORDER BY n_dead_tup DESC;",
-  'vacuum_progress': "SELECT * FROM pg_stat_progress_vacuum;",
-  'frequent_queries': "SELECT query, calls FROM pg_stat_statements ORDER BY calls DESC LIMIT 10;",
-  'index_bloat': "SELECT schemaname, relname, indexrelname, idx_blks_read, idx_blks_hit, idx_blks_read + idx_blks_hit as total_reads, CASE WHEN (idx_blks_read + idx_blks_hit) = 0 THEN 0 ELSE idx_blks_read / (idx_blks_read + idx_blks_hit) END as read_pct FROM pg_statio_user_indexes ORDER BY total_reads DESC LIMIT 10;",  
-  'slow_queries': "SELECT query, total_exec_time, calls, mean_exec_time FROM pg_stat_statements ORDER BY mean_exec_time DESC LIMIT 10;",
-  'index_hit_rate': "SELECT CASE WHEN sum(seq_scan + idx_scan) = 0 THEN 0 ELSE sum(idx_scan) / sum(seq_scan + idx_scan) END AS index_hit_rate FROM pg_stat_user_tables;",
-  'background_worker': "SELECT * FROM pg_stat_activity WHERE backend_type != 'client backend';",
-  'active_locks': "SELECT pid, locktype, relation::regclass, mode, granted FROM pg_locks WHERE NOT granted;",
-};
 
-app.get("/api/analyze", async (req, res) => {
+// Analyses available through /api/analyze and what they require
+app.get("/api/analyze/catalog", (req, res) => {
+  const dbId = dbManager.getCurrentDatabase(getSessionId(req));
+  const custom = customChecks
+    .getChecks()
+    .filter((check) => customChecks.appliesTo(check, dbId))
+    .map((check) => ({
+      key: check.key,
+      description: check.description || check.name,
+      category: check.category,
+      parameters: check.parameters || [],
+      custom: true,
+    }));
+  res.json([...queries.describe(), ...custom]);
+});
+
+// Probed version, extensions, privileges and recovery status of the active database
+app.get("/api/capabilities", async (req, res) => {
   try {
     const sessionId = getSessionId(req);
     const dbId = dbManager.getCurrentDatabase(sessionId);
-    const pool = dbManager.getPool(dbId, sessionId);
 
-    const key = req.query.key;
-    if (!queries[key]) {
-      return res.status(404).json({ error: "Key not found" });
+    if (req.query.refresh === "true") {
+      dbManager.invalidateCapabilities(dbId);
     }
-    const sql = queries[key];
-    console.log(sql);
-    const ret = await pool.query(sql);
+    const capabilities = await dbManager.getCapabilities(dbId, sessionId);
 
-    let result = {
-      timestamp: new Date().toISOString(),
-      key: key,
-      count: ret.rows.length,
-      data: ret.rows,
-      columns: ret.fields.map(f => f.name),
-    };
+    res.json({
+      ...capabilities,
+      analyses: queries.getKeys().map((key) => {
+        const unmet = queries.checkRequirements(key, capabilities);
+        return {
+          key,
+          supported: !unmet,
+          reason: unmet ? unmet.message : null,
+          missingRoles: queries.missingRoles(key, capabilities),
+        };
+      }),
+      databaseId: dbId,
+      databaseName: dbManager.connections[dbId].name,
+    });
+  } catch (error) {
+    console.error("Error probing capabilities:", error);
+    res.status(500).json({ error: "Failed to probe capabilities" });
+  }
+});
+
+// Run a custom check for /api/analyze; values for its parameters come from ?params[name]=
+async function runCustomCheck(req, res, pool, check, dbId) {
+  let params;
+  try {
+    params = customChecks.bindParameters(check, req.query.params);
+  } catch (error) {
+    return res.status(400).json({ error: error.message, key: check.key });
+  }
+
+  let ret;
+  try {
+    ret = await customChecks.run(pool, check, params);
+  } catch (error) {
+    const classified = queries.classifyError(error);
+    if (classified) {
+      return res
+        .status(classified.reason === "insufficient_privilege" ? 403 : 422)
+        .json({ error: classified.message, key: check.key, ...classified });
+    }
+    console.error(`Error running custom check ${check.key}:`, error);
+    return res.status(500).json({ error: "Failed to run custom check", details: error.message });
+  }
+
+  const columns = ret.fields.map((f) => f.name);
+  if (await sendExport(req, res, { prefix: `analyze-${check.key}`, dbId, columns, rows: ret.rows })) {
+    return;
+  }
+
+  res.json({
+    timestamp: new Date().toISOString(),
+    key: check.key,
+    name: check.name,
+    category: check.category,
+    custom: true,
+    count: ret.rows.length,
+    data: ret.rows,
+    columns,
+    truncated: ret.truncated,
+    rowLimit: ret.rowLimit,
+    warnings: ret.truncated ? [`Only the first ${ret.rowLimit} rows are returned`] : [],
+  });
+}
+
+// A custom check as the caller may see it: hidden unless it applies to a connection they can access,
+// with its connection scope narrowed to those connections. Admins manage checks and see them whole.
+function visibleCustomCheck(req, check) {
+  if (authManager.hasRole(req.user.role, "admin")) {
+    return check;
+  }
+
+  const accessible = dbManager.getConnections()
+    .map((conn) => conn.id)
+    .filter((id) => canAccessConnection(req, id) && customChecks.appliesTo(check, id));
+  if (accessible.length === 0) {
+    return null;
+  }
+
+  return check.connections && check.connections.length > 0
+    ? { ...check, connections: accessible }
+    : check;
+}
+
+// Custom checks
+app.get("/api/analyze/custom", (req, res) => {
+  res.json(customChecks.getChecks().map((check) => visibleCustomCheck(req, check)).filter(Boolean));
+});
 
+app.post("/api/analyze/custom", requireRole("admin"), (req, res) => {
+  try {
+    const result = customChecks.createCheck(req.body, req.user.username);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
     res.json(result);
+  } catch (error) {
+    console.error("Error creating custom check:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/api/analyze/custom/:key", (req, res) => {
+  const check = customChecks.getCheck(req.params.key);
+  const visible = check && visibleCustomCheck(req, check);
+  if (!visible) {
+    return res.status(404).json({ error: "Custom check not found" });
+  }
+  res.json(visible);
+});
 
+app.put("/api/analyze/custom/:key", requireRole("admin"), (req, res) => {
+  try {
+    if (!customChecks.getCheck(req.params.key)) {
+      return res.status(404).json({ error: "Custom check not found" });
+    }
+    const result = customChecks.updateCheck(req.params.key, req.body, req.user.username);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
   } catch (error) {
-    console.error("Error running analyze:", error);
-    res.status(500).json({ error: "Failed to run analyze" });
+    console.error("Error updating custom check:", error);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Start the server
-const PORT = process.env.PORT || 3001;
-const server = app.listen(PORT, "0.0.0.0", () => {
-  console.log(`API server listening on port ${PORT}`);
+app.delete("/api/analyze/custom/:key", requireRole("admin"), (req, res) => {
+  try {
+    if (!customChecks.getCheck(req.params.key)) {
+      return res.status(404).json({ error: "Custom check not found" });
+    }
+    res.json(customChecks.deleteCheck(req.params.key));
+  } catch (error) {
+    console.error("Error deleting custom check:", error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
+app.get("/api/analyze", async (req, res) => {
+  const invalidFormat = validateExportFormat(req);
+  if (invalidFormat) {
+    return res.status(400).json({ error: invalidFormat });
+  }
+
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = dbManager.getCurrentDatabase(sessionId);
+    const pool = dbManager.getPool(dbId, sessionId);
+
+    const key = req.query.key;
+    if (!queries.has(key)) {
+      const check = customChecks.getCheck(key);
+      if (!check || !customChecks.appliesTo(check, dbId)) {
+        return res.status(404).json({ error: "Key not found" });
+      }
+      return runCustomCheck(req, res, pool, check, dbId);
+    }
+
+    const capabilities = await dbManager.getCapabilities(dbId, sessionId);
+    const unmet = queries.checkRequirements(key, capabilities);
+    if (unmet) {
+      return res.status(422).json({ error: unmet.message, key, ...unmet });
+    }
+
+    const sql = queries.resolve(key, capabilities);
+    console.log(sql);
+    let ret;
+    try {
+      ret = await pool.query(sql);
+    } catch (error) {
+      const classified = queries.classifyError(error);
+      if (!classified) {
+        throw error;
+      }
+      return res
+        .status(classified.reason === "insufficient_privilege" ? 403 : 422)
+        .json({ error: classified.message, key, ...classified });
+    }
+
+    const missingRoles = queries.missingRoles(key, capabilities);
+
+    let result = {
+      timestamp: new Date().toISOString(),
+      key: key,
+      count: ret.rows.length,
+      data: ret.rows,
+      columns: ret.fields.map(f => f.name),
+      warnings: missingRoles.length > 0
+        ? [`Rows of other users are hidden without superuser or one of: ${missingRoles.join(", ")}`]
+        : [],
+    };
+
+    if (await sendExport(req, res, { prefix: `analyze-${key}`, dbId, columns: result.columns, rows: ret.rows })) {
+      return;
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error("Error running analyze:", error);
+    res.status(500).json({ error: "Failed to run analyze" });
+  }
+});
+
+// Blocker -> waiter lock graph of the active database
+app.get("/api/locks/graph", async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = dbManager.getCurrentDatabase(sessionId);
+    const pool = dbManager.getPool(dbId, sessionId);
+
+    const graph = await lockGraph.buildLockGraph(pool);
+
+    if (req.query.format === "dot") {
+      res.set("Content-Type", "text/vnd.graphviz; charset=utf-8");
+      return res.send(lockGraph.toDot(graph));
+    }
+
+    res.json({
+      ...graph,
+      databaseId: dbId,
+      databaseName: dbManager.connections[dbId].name,
+    });
+  } catch (error) {
+    console.error("Error building lock graph:", error);
+    res.status(500).json({ error: "Failed to build lock graph" });
+  }
+});
+
+// Explain a statement, optionally executing it with EXPLAIN ANALYZE
+app.post("/api/explain", async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = dbManager.getCurrentDatabase(sessionId);
+    const pool = dbManager.getPool(dbId, sessionId);
+
+    const { query, analyze = false, buffers = false, generic, timeoutMs } = req.body;
+    if (!query || typeof query !== "string") {
+      return res.status(400).json({ error: "Query is required" });
+    }
+    if (analyze && generic) {
+      return res.status(400).json({ error: "Generic plans cannot be analyzed" });
+    }
+    // EXPLAIN ANALYZE executes the statement
+    if (analyze && !authManager.hasRole(req.user.role, "operator")) {
+      return res.status(403).json({ error: "EXPLAIN ANALYZE requires operator role" });
+    }
+
+    const result = await planExplainer.explain(pool, { query, analyze, buffers, generic, timeoutMs });
+    res.json({
+      timestamp: new Date().toISOString(),
+      databaseId: dbId,
+      ...result,
+    });
+  } catch (error) {
+    console.error("Error explaining statement:", error);
+    // Errors raised by PostgreSQL carry a SQLSTATE and are caused by the statement itself
+    res.status(error.code || error.invalid ? 400 : 500).json({
+      error: "Failed to explain statement",
+      details: error.message,
+    });
+  }
+});
+
+// Unused, duplicate, redundant, invalid and likely missing indexes
+app.get("/api/index-advisor", async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = dbManager.getCurrentDatabase(sessionId);
+    const pool = dbManager.getPool(dbId, sessionId);
+
+    const recommendations = await indexAdvisor.getRecommendations(pool);
+    res.json({
+      ...recommendations,
+      databaseId: dbId,
+      databaseName: dbManager.connections[dbId].name,
+    });
+  } catch (error) {
+    console.error("Error running index advisor:", error);
+    res.status(500).json({ error: "Failed to run index advisor" });
+  }
+});
+
+// Table and index bloat; `exact=true&relation=schema.name` uses pgstattuple
+app.get("/api/bloat", async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = dbManager.getCurrentDatabase(sessionId);
+    const pool = dbManager.getPool(dbId, sessionId);
+
+    if (req.query.exact === "true") {
+      if (!req.query.relation) {
+        return res.status(400).json({ error: "Exact mode requires a relation" });
+      }
+
+      const result = await bloat.exactBloat(pool, req.query.relation);
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+      return res.json({
+        timestamp: new Date().toISOString(),
+        databaseId: dbId,
+        ...result,
+      });
+    }
+
+    const estimate = await bloat.estimateBloat(pool, {
+      minBytes: parseInt(req.query.minBytes, 10) || 0,
+    });
+    res.json({
+      ...estimate,
+      databaseId: dbId,
+      databaseName: dbManager.connections[dbId].name,
+    });
+  } catch (error) {
+    console.error("Error estimating bloat:", error);
+    res.status(500).json({ error: "Failed to estimate bloat" });
+  }
+});
+
+// Autovacuum health and transaction-ID wraparound outlook
+app.get("/api/vacuum", async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = dbManager.getCurrentDatabase(sessionId);
+    const pool = dbManager.getPool(dbId, sessionId);
+
+    const report = await vacuumMonitor.getVacuumReport(pool, dbId);
+    res.json({
+      ...report,
+      databaseId: dbId,
+      databaseName: dbManager.connections[dbId].name,
+    });
+  } catch (error) {
+    console.error("Error fetching vacuum report:", error);
+    res.status(500).json({ error: "Failed to fetch vacuum report" });
+  }
+});
+
+// Replication, slots, WAL generation rate and archiver status
+app.get("/api/replication", async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = dbManager.getCurrentDatabase(sessionId);
+    const pool = dbManager.getPool(dbId, sessionId);
+
+    const status = await replication.getReplicationStatus(pool, dbId);
+    res.json({
+      ...status,
+      databaseId: dbId,
+      databaseName: dbManager.connections[dbId].name,
+    });
+  } catch (error) {
+    console.error("Error fetching replication status:", error);
+    res.status(500).json({ error: "Failed to fetch replication status" });
+  }
+});
+
+// Every backend of the active server, filtered and sorted, with counts by state and wait event type
+app.get("/api/activity", async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = dbManager.getCurrentDatabase(sessionId);
+    const pool = dbManager.getPool(dbId, sessionId);
+
+    const invalid = activity.validateOptions(req.query);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const report = await activity.getActivity(pool, req.query);
+    res.json({
+      ...report,
+      databaseId: dbId,
+      databaseName: dbManager.connections[dbId].name,
+    });
+  } catch (error) {
+    console.error("Error fetching activity:", error);
+    res.status(500).json({ error: "Failed to fetch activity" });
+  }
+});
+
+// Stored pg_stat_statements snapshots of the active database
+app.get("/api/statements/snapshots", async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = req.query.connectionId || dbManager.getCurrentDatabase(sessionId);
+
+    const timestamps = await statementSnapshots.listSnapshots(dbId);
+    res.json({
+      databaseId: dbId,
+      intervalSeconds: statementSnapshots.intervalSeconds,
+      snapshots: timestamps.map((t) => new Date(t).toISOString()),
+    });
+  } catch (error) {
+    console.error("Error listing statement snapshots:", error);
+    res.status(500).json({ error: "Failed to list statement snapshots" });
+  }
+});
+
+// Take a pg_stat_statements snapshot now, e.g. right before a deploy
+app.post("/api/statements/snapshots", requireRole("operator"), async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = dbManager.getCurrentDatabase(sessionId);
+    const pool = dbManager.getPool(dbId, sessionId);
+
+    const snapshot = await statementSnapshots.snapshot(pool, dbId);
+    res.json({ ...snapshot, databaseId: dbId });
+  } catch (error) {
+    console.error("Error taking statement snapshot:", error);
+    res.status(500).json({ error: "Failed to take statement snapshot", details: error.message });
+  }
+});
+
+// Statements ranked by what they cost between two snapshots
+app.get("/api/statements/top", async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = req.query.connectionId || dbManager.getCurrentDatabase(sessionId);
+
+    const orderBy = req.query.orderBy || "total_exec_time";
+    if (!statementSnapshots.getOrderBy().includes(orderBy)) {
+      return res.status(400).json({
+        error: `orderBy must be one of ${statementSnapshots.getOrderBy().join(", ")}`,
+      });
+    }
+
+    let from, to;
+    try {
+      to = metricsHistory.parseTimestamp(req.query.to, Date.now());
+      from = metricsHistory.parseTimestamp(req.query.from, to - 60 * 60 * 1000);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (from > to) {
+      return res.status(400).json({ error: "from must be before to" });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 1000);
+
+    const report = await statementSnapshots.top(dbId, { from, to, orderBy, limit });
+    if (!report) {
+      return res.status(404).json({ error: "At least two snapshots are needed within the requested range" });
+    }
+
+    res.json({
+      ...report,
+      databaseId: dbId,
+      databaseName: dbManager.connections[dbId] ? dbManager.connections[dbId].name : null,
+    });
+  } catch (error) {
+    console.error("Error computing top statements:", error);
+    res.status(500).json({ error: "Failed to compute top statements" });
+  }
+});
+
+// Reset pg_stat_statements; the body must confirm with the connection name
+app.post("/api/statements/reset", requireRole("admin"), async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = dbManager.getCurrentDatabase(sessionId);
+    const pool = dbManager.getPool(dbId, sessionId);
+    const connectionName = dbManager.connections[dbId].name;
+
+    if (req.body.confirm !== connectionName) {
+      return res.status(400).json({
+        error: `Confirm the reset by sending { "confirm": "${connectionName}" }`,
+      });
+    }
+
+    const result = await statementSnapshots.reset(pool, dbId);
+    await auditLog.record({
+      username: req.user.username,
+      action: "statements_reset",
+      connectionId: dbId,
+      connectionName,
+      result: "success",
+    });
+
+    res.json({ success: true, ...result, databaseId: dbId, databaseName: connectionName });
+  } catch (error) {
+    console.error("Error resetting pg_stat_statements:", error);
+    res.status(500).json({ error: "Failed to reset pg_stat_statements", details: error.message });
+  }
+});
+
+// Scored health audit of the active database as JSON, Markdown or standalone HTML
+app.get("/api/health-report", async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = dbManager.getCurrentDatabase(sessionId);
+    const pool = dbManager.getPool(dbId, sessionId);
+
+    const format = req.query.format || "json";
+    if (!["json", "markdown", "html"].includes(format)) {
+      return res.status(400).json({ error: "format must be json, markdown or html" });
+    }
+
+    const report = {
+      ...(await healthReport.runHealthReport(pool)),
+      databaseId: dbId,
+      databaseName: dbManager.connections[dbId].name,
+    };
+
+    if (format === "json") {
+      return res.json(report);
+    }
+
+    const name = report.databaseName.replace(/[^\w.-]+/g, "_");
+    const stamp = report.timestamp.replace(/[:.]/g, "-");
+    if (format === "markdown") {
+      res.set("Content-Type", "text/markdown; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="health-report-${name}-${stamp}.md"`);
+      return res.send(healthReport.toMarkdown(report));
+    }
+    res.set("Content-Type", "text/html; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="health-report-${name}-${stamp}.html"`);
+    res.send(healthReport.toHtml(report));
+  } catch (error) {
+    console.error("Error building health report:", error);
+    res.status(500).json({ error: "Failed to build health report" });
+  }
+});
+
+// Summary health of every accessible connection, optionally filtered by tags (?tags=env:prod,team:payments)
+app.get("/api/fleet", async (req, res) => {
+  try {
+    let tags;
+    try {
+      tags = dbManager.parseTagFilter(req.query.tags);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const invalid = fleet.validateOptions(req.query);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const ids = Object.keys(dbManager.connections)
+      .filter((id) => canAccessConnection(req, id))
+      .filter((id) => dbManager.matchesTags(id, tags));
+
+    const overview = await fleet.getFleet(ids, {
+      sort: req.query.sort,
+      order: req.query.order,
+      concurrency: req.query.concurrency,
+      timeoutMs: req.query.timeoutMs,
+    });
+    res.json({ ...overview, tags });
+  } catch (error) {
+    console.error("Error building fleet overview:", error);
+    res.status(500).json({ error: "Failed to build fleet overview" });
+  }
+});
+
+// Server settings of the active database with hba rules when readable
+// (?category=, ?search=, ?nonDefault=true, ?pendingRestart=true)
+app.get("/api/settings", async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = req.query.connectionId || dbManager.getCurrentDatabase(sessionId);
+    if (!dbManager.connections[dbId]) {
+      return res.status(404).json({ error: `Database connection '${dbId}' not found` });
+    }
+    const pool = dbManager.getPool(dbId, sessionId);
+
+    const all = await settingsInspector.getSettings(pool);
+    const search = (req.query.search || "").toLowerCase();
+    const settings = all
+      .filter((setting) => !req.query.category || setting.category === req.query.category)
+      .filter((setting) => !search || setting.name.includes(search) || (setting.description || "").toLowerCase().includes(search))
+      .filter((setting) => req.query.nonDefault !== "true" || setting.nonDefault)
+      .filter((setting) => req.query.pendingRestart !== "true" || setting.pendingRestart);
+
+    res.json({
+      databaseId: dbId,
+      databaseName: dbManager.connections[dbId].name,
+      summary: {
+        total: all.length,
+        nonDefault: all.filter((setting) => setting.nonDefault).length,
+        pendingRestart: all.filter((setting) => setting.pendingRestart).length,
+      },
+      settings,
+      hba: await settingsInspector.getHbaRules(pool),
+    });
+  } catch (error) {
+    console.error("Error fetching settings:", error);
+    res.status(500).json({ error: "Failed to fetch settings" });
+  }
+});
+
+// Tuning advice for the active database from hardware hints (?ramGb=, ?cpus=, ?storage=ssd|hdd)
+app.get("/api/settings/advice", async (req, res) => {
+  try {
+    const { hints, error } = settingsInspector.parseHints(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const sessionId = getSessionId(req);
+    const dbId = req.query.connectionId || dbManager.getCurrentDatabase(sessionId);
+    if (!dbManager.connections[dbId]) {
+      return res.status(404).json({ error: `Database connection '${dbId}' not found` });
+    }
+    const pool = dbManager.getPool(dbId, sessionId);
+
+    const settings = await settingsInspector.getSettings(pool);
+    res.json({
+      databaseId: dbId,
+      databaseName: dbManager.connections[dbId].name,
+      hints: req.query.ramGb || req.query.cpus || req.query.storage
+        ? { ramGb: req.query.ramGb || null, cpus: req.query.cpus || null, storage: req.query.storage || null }
+        : null,
+      findings: settingsInspector.advise(settings, hints),
+    });
+  } catch (error) {
+    console.error("Error building tuning advice:", error);
+    res.status(500).json({ error: "Failed to build tuning advice" });
+  }
+});
+
+// Saved settings baselines
+app.get("/api/settings/baselines", async (req, res) => {
+  try {
+    const baselines = await settingsInspector.listBaselines();
+    res.json({ baselines: baselines.filter((baseline) => canAccessConnection(req, baseline.connectionId)) });
+  } catch (error) {
+    console.error("Error listing settings baselines:", error);
+    res.status(500).json({ error: "Failed to list settings baselines" });
+  }
+});
+
+// Save the current settings of the active database as a baseline
+app.post("/api/settings/baselines", requireRole("operator"), async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = dbManager.getCurrentDatabase(sessionId);
+    const pool = dbManager.getPool(dbId, sessionId);
+
+    const baseline = await settingsInspector.saveBaseline(pool, {
+      name: req.body.name,
+      connectionId: dbId,
+      connectionName: dbManager.connections[dbId].name,
+      createdBy: req.user.username,
+    });
+    res.json({ success: true, baseline });
+  } catch (error) {
+    console.error("Error saving settings baseline:", error);
+    res.status(500).json({ error: "Failed to save settings baseline", details: error.message });
+  }
+});
+
+app.delete("/api/settings/baselines/:id", requireRole("operator"), async (req, res) => {
+  try {
+    const baseline = await settingsInspector.getBaseline(req.params.id);
+    if (!baseline || !canAccessConnection(req, baseline.connectionId)) {
+      return res.status(404).json({ error: `Settings baseline '${req.params.id}' not found` });
+    }
+
+    await settingsInspector.deleteBaseline(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting settings baseline:", error);
+    res.status(500).json({ error: "Failed to delete settings baseline" });
+  }
+});
+
+// Settings of a diff side: a connection id or baseline:<id>; returns { label, settings } or { status, error }
+async function loadSettingsSide(req, ref) {
+  if (ref.startsWith("baseline:")) {
+    const baseline = await settingsInspector.getBaseline(ref.substring("baseline:".length));
+    if (!baseline || !canAccessConnection(req, baseline.connectionId)) {
+      return { status: 404, error: `Settings baseline '${ref.substring("baseline:".length)}' not found` };
+    }
+    return {
+      label: { type: "baseline", id: baseline.id, name: baseline.name, createdAt: baseline.createdAt },
+      settings: baseline.settings,
+    };
+  }
+
+  if (!dbManager.connections[ref]) {
+    return { status: 404, error: `Database connection '${ref}' not found` };
+  }
+  if (!canAccessConnection(req, ref)) {
+    return { status: 403, error: `Access to database connection '${ref}' is not allowed` };
+  }
+  return {
+    label: { type: "connection", id: ref, name: dbManager.connections[ref].name },
+    settings: await settingsInspector.getSettings(dbManager.getPool(ref, getSessionId(req))),
+  };
+}
+
+// Settings that differ between two connections or baselines (?a=<id>&b=<id>|baseline:<id>; a defaults to the active database)
+app.get("/api/settings/diff", async (req, res) => {
+  try {
+    if (!req.query.b) {
+      return res.status(400).json({ error: "b must be a connection id or baseline:<id>" });
+    }
+
+    // b is usually the one given explicitly, so report its errors before querying a
+    const b = await loadSettingsSide(req, req.query.b);
+    if (b.error) {
+      return res.status(b.status).json({ error: b.error });
+    }
+    const a = await loadSettingsSide(req, req.query.a || dbManager.getCurrentDatabase(getSessionId(req)));
+    if (a.error) {
+      return res.status(a.status).json({ error: a.error });
+    }
+
+    res.json({
+      a: a.label,
+      b: b.label,
+      ...settingsInspector.diffSettings(a.settings, b.settings, { includeAll: req.query.all === "true" }),
+    });
+  } catch (error) {
+    console.error("Error comparing settings:", error);
+    res.status(500).json({ error: "Failed to compare settings", details: error.message });
+  }
+});
+
+// Schemas of the active database (?system=true includes pg_catalog and friends)
+app.get("/api/schema/schemas", async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = dbManager.getCurrentDatabase(sessionId);
+    const pool = dbManager.getPool(dbId, sessionId);
+
+    const schemas = await schemaBrowser.listSchemas(pool, { includeSystem: req.query.system === "true" });
+    res.json({ databaseId: dbId, databaseName: dbManager.connections[dbId].name, schemas });
+  } catch (error) {
+    console.error("Error listing schemas:", error);
+    res.status(500).json({ error: "Failed to list schemas" });
+  }
+});
+
+// Tables, views, materialized views, sequences and functions of a schema
+app.get("/api/schema/tables/:schema", async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = dbManager.getCurrentDatabase(sessionId);
+    const pool = dbManager.getPool(dbId, sessionId);
+    const capabilities = await dbManager.getCapabilities(dbId, sessionId);
+
+    const objects = await schemaBrowser.listObjects(pool, req.params.schema, {
+      versionNum: capabilities.serverVersionNum,
+    });
+    if (!objects) {
+      return res.status(404).json({ error: `Schema '${req.params.schema}' not found` });
+    }
+
+    res.json({ databaseId: dbId, databaseName: dbManager.connections[dbId].name, ...objects });
+  } catch (error) {
+    console.error("Error listing schema objects:", error);
+    res.status(500).json({ error: "Failed to list schema objects" });
+  }
+});
+
+// Columns, constraints, indexes, triggers, partitions, sizes, stats and DDL of a relation
+app.get("/api/schema/table/:schema/:name", async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = dbManager.getCurrentDatabase(sessionId);
+    const pool = dbManager.getPool(dbId, sessionId);
+    const capabilities = await dbManager.getCapabilities(dbId, sessionId);
+
+    const relation = await schemaBrowser.getRelation(pool, req.params.schema, req.params.name, {
+      versionNum: capabilities.serverVersionNum,
+    });
+    if (!relation) {
+      return res.status(404).json({ error: `Relation '${req.params.schema}.${req.params.name}' not found` });
+    }
+
+    res.json({ databaseId: dbId, databaseName: dbManager.connections[dbId].name, ...relation });
+  } catch (error) {
+    console.error("Error describing relation:", error);
+    res.status(500).json({ error: "Failed to describe relation" });
+  }
+});
+
+// All overloads of a function or procedure with their definitions
+app.get("/api/schema/function/:schema/:name", async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = dbManager.getCurrentDatabase(sessionId);
+    const pool = dbManager.getPool(dbId, sessionId);
+    const capabilities = await dbManager.getCapabilities(dbId, sessionId);
+
+    const overloads = await schemaBrowser.getFunction(pool, req.params.schema, req.params.name, {
+      versionNum: capabilities.serverVersionNum,
+    });
+    if (overloads.length === 0) {
+      return res.status(404).json({ error: `Function '${req.params.schema}.${req.params.name}' not found` });
+    }
+
+    res.json({ databaseId: dbId, databaseName: dbManager.connections[dbId].name, overloads });
+  } catch (error) {
+    console.error("Error describing function:", error);
+    res.status(500).json({ error: "Failed to describe function" });
+  }
+});
+
+// Stored schema snapshots of a connection, newest first (?drift=true keeps only those that found drift)
+app.get("/api/schema/snapshots", async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = req.query.connectionId || dbManager.getCurrentDatabase(sessionId);
+
+    const snapshots = await schemaSnapshots.getHistory(dbId, { driftOnly: req.query.drift === "true" });
+    res.json({ databaseId: dbId, intervalSeconds: schemaSnapshots.intervalSeconds, snapshots });
+  } catch (error) {
+    console.error("Error listing schema snapshots:", error);
+    res.status(500).json({ error: "Failed to list schema snapshots" });
+  }
+});
+
+// Take a schema snapshot of any accessible connection now
+app.post("/api/schema/snapshots", requireRole("operator"), async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = req.body.connectionId || dbManager.getCurrentDatabase(sessionId);
+    if (!dbManager.connections[dbId]) {
+      return res.status(404).json({ error: `Database connection '${dbId}' not found` });
+    }
+    if (!canAccessConnection(req, dbId)) {
+      return res.status(403).json({ error: `Access to database connection '${dbId}' is not allowed` });
+    }
+
+    const snapshot = await schemaSnapshots.snapshot(dbManager.getPool(dbId, sessionId), dbId, {
+      createdBy: req.user.username,
+    });
+    res.json({ success: true, snapshot });
+  } catch (error) {
+    console.error("Error taking schema snapshot:", error);
+    res.status(500).json({ error: "Failed to take schema snapshot", details: error.message });
+  }
+});
+
+// Schema of a diff side: a connection id (live) or snapshot:<connectionId>@<timestamp|latest>;
+// returns { label, schema } or { status, error }
+async function loadSchemaSide(req, ref) {
+  if (ref.startsWith("snapshot:")) {
+    const snapshot = await schemaSnapshots.getSnapshot(ref.substring("snapshot:".length));
+    if (!snapshot || !canAccessConnection(req, snapshot.connectionId)) {
+      return { status: 404, error: `Schema snapshot '${ref.substring("snapshot:".length)}' not found` };
+    }
+    return {
+      label: { type: "snapshot", ...schemaSnapshots.describe(snapshot) },
+      schema: snapshot.schema,
+    };
+  }
+
+  if (!dbManager.connections[ref]) {
+    return { status: 404, error: `Database connection '${ref}' not found` };
+  }
+  if (!canAccessConnection(req, ref)) {
+    return { status: 403, error: `Access to database connection '${ref}' is not allowed` };
+  }
+  return {
+    label: { type: "connection", id: ref, name: dbManager.connections[ref].name },
+    schema: await schemaSnapshots.capture(dbManager.getPool(ref, getSessionId(req)), ref),
+  };
+}
+
+// Objects added, removed or changed from source to target, with a best-effort migration script
+// (?source=<id>|snapshot:<id>@<timestamp|latest>&target=...; target defaults to the active database)
+app.get("/api/schema/diff", async (req, res) => {
+  try {
+    if (!req.query.source) {
+      return res.status(400).json({ error: "source must be a connection id or snapshot:<connectionId>@<timestamp|latest>" });
+    }
+
+    const source = await loadSchemaSide(req, req.query.source);
+    if (source.error) {
+      return res.status(source.status).json({ error: source.error });
+    }
+    const target = await loadSchemaSide(req, req.query.target || dbManager.getCurrentDatabase(getSessionId(req)));
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
+    res.json({
+      source: source.label,
+      target: target.label,
+      ...schemaSnapshots.compare(source.schema, target.schema),
+    });
+  } catch (error) {
+    console.error("Error comparing schemas:", error);
+    res.status(500).json({ error: "Failed to compare schemas", details: error.message });
+  }
+});
+
+// Send a console failure: statement errors are the caller's (400), cancellations 409
+function sendQueryError(res, error) {
+  if (error.cancelled) {
+    return res.status(409).json({ error: "Query was cancelled" });
+  }
+  if (error.cursorClosed) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (queryConsole.isQueryError(error)) {
+    return res.status(400).json({ error: error.message, code: error.code, position: error.position || null });
+  }
+  console.error("Error running console query:", error);
+  res.status(500).json({ error: "Failed to run query", details: error.message });
+}
+
+// Run SQL against the active database in a read-only transaction; ?format= downloads the whole result
+app.post("/api/query", requireRole("operator"), async (req, res) => {
+  const format = req.query.format || req.body.format;
+  if (format !== undefined && !exporter.isFormat(format)) {
+    return res.status(400).json({ error: `format must be one of ${exporter.getFormats().join(", ")}` });
+  }
+  const invalid = queryConsole.validate(req.body);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  const sessionId = getSessionId(req);
+  const dbId = dbManager.getCurrentDatabase(sessionId);
+  const options = {
+    sql: req.body.sql,
+    params: req.body.params,
+    queryId: req.body.queryId,
+    timeoutMs: req.body.timeoutMs,
+    lockTimeoutMs: req.body.lockTimeoutMs,
+    rowLimit: req.body.rowLimit,
+    username: req.user.username,
+    connectionId: dbId,
+  };
+
+  try {
+    const pool = dbManager.getPool(dbId, sessionId);
+
+    if (!format) {
+      const result = await queryConsole.execute(pool, options);
+      return res.json({ ...result, databaseId: dbId, databaseName: dbManager.connections[dbId].name });
+    }
+
+    // Headers go out with the first page, so errors after it can only end the download
+    let writer;
+    await queryConsole.exportRows(pool, options, async (page) => {
+      if (!writer) {
+        writer = exporter.createWriter(res, format, {
+          columns: page.columns,
+          filename: exporter.filename("query", dbManager.connections[dbId].name, format),
+        });
+      }
+      await writer.write(page.rows);
+    });
+    await writer.end();
+  } catch (error) {
+    if (res.headersSent) {
+      console.error("Error exporting console query:", error);
+      return res.end();
+    }
+    sendQueryError(res, error);
+  }
+});
+
+// Running statements and open cursors of the caller (?all=true shows everyone's to admins)
+app.get("/api/query/running", requireRole("operator"), (req, res) => {
+  const all = req.query.all === "true" && authManager.hasRole(req.user.role, "admin");
+  res.json(queryConsole.list(all ? null : req.user.username));
+});
+
+// Console history of the caller, newest first
+app.get("/api/query/history", requireRole("operator"), async (req, res) => {
+  try {
+    const history = await queryConsole.getHistory(req.user.username, {
+      connectionId: req.query.connectionId,
+      limit: parseInt(req.query.limit, 10) || undefined,
+    });
+    res.json({ history });
+  } catch (error) {
+    console.error("Error reading query history:", error);
+    res.status(500).json({ error: "Failed to read query history" });
+  }
+});
+
+app.delete("/api/query/history", requireRole("operator"), async (req, res) => {
+  try {
+    await queryConsole.clearHistory(req.user.username);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error clearing query history:", error);
+    res.status(500).json({ error: "Failed to clear query history" });
+  }
+});
+
+// Next page of an open console cursor
+app.get("/api/query/:id/next", requireRole("operator"), async (req, res) => {
+  const cursor = queryConsole.getCursor(req.params.id);
+  if (!cursor || cursor.username !== req.user.username) {
+    return res.status(404).json({ error: `No open cursor for query '${req.params.id}'` });
+  }
+  if (queryConsole.isRunning(req.params.id)) {
+    return res.status(409).json({ error: `Query '${req.params.id}' is still fetching` });
+  }
+
+  try {
+    res.json(await queryConsole.fetch(req.params.id, req.query.limit));
+  } catch (error) {
+    sendQueryError(res, error);
+  }
+});
+
+// Close an open console cursor before it expires
+app.delete("/api/query/:id", requireRole("operator"), async (req, res) => {
+  const cursor = queryConsole.getCursor(req.params.id);
+  if (!cursor || cursor.username !== req.user.username) {
+    return res.status(404).json({ error: `No open cursor for query '${req.params.id}'` });
+  }
+
+  await queryConsole.close(req.params.id);
+  res.json({ success: true });
+});
+
+// Cancel a running console statement; admins may cancel anyone's
+app.post("/api/query/:id/cancel", requireRole("operator"), async (req, res) => {
+  try {
+    const owner = queryConsole.getOwner(req.params.id);
+    if (!owner || (owner !== req.user.username && !authManager.hasRole(req.user.role, "admin"))) {
+      return res.status(404).json({ error: `Query '${req.params.id}' is not running` });
+    }
+
+    const result = await queryConsole.cancel(req.params.id);
+    res.json({ success: result.cancelled, ...result });
+  } catch (error) {
+    console.error("Error cancelling console query:", error);
+    res.status(500).json({ error: "Failed to cancel query" });
+  }
+});
+
+// Topics accepted by /api/stream
+app.get("/api/stream/topics", (req, res) => {
+  res.json({ topics: streamHub.getTopics(), intervalSeconds: streamHub.intervalSeconds });
+});
+
+// Server-Sent Events stream of the requested topics, e.g. ?topics=stats,locks,analyze:blocked_queries
+app.get("/api/stream", (req, res) => {
+  const sessionId = getSessionId(req);
+  const dbId = req.query.connectionId || dbManager.getCurrentDatabase(sessionId);
+
+  if (!dbManager.connections[dbId]) {
+    return res.status(404).json({ error: `Database connection '${dbId}' not found` });
+  }
+
+  const topics = Array.from(new Set(String(req.query.topics || "stats").split(",").map((topic) => topic.trim()).filter(Boolean)));
+  const unknown = topics.filter((topic) => !streamHub.isTopic(topic));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown topics: ${unknown.join(", ")}` });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${streamHub.intervalSeconds * 1000}\n\n`);
+
+  const unsubscribe = streamHub.subscribe(res, dbId, topics);
+  req.on("close", unsubscribe);
+});
+
+// Record a cancel/terminate attempt in the audit log
+function auditSessionAction(req, dbId, action, pid, result) {
+  return auditLog.record({
+    username: req.user.username,
+    action,
+    connectionId: dbId,
+    connectionName: dbManager.connections[dbId].name,
+    pid,
+    target: result.target || null,
+    forced: result.forced || false,
+    result: result.success ? "success" : result.refused ? "refused" : "failed",
+    error: result.error,
+  });
+}
+
+// Cancel the running query or terminate a backend of the active database
+["cancel", "terminate"].forEach((action) => {
+  app.post(`/api/sessions/:pid/${action}`, requireRole("operator"), async (req, res) => {
+    try {
+      const sessionId = getSessionId(req);
+      const dbId = dbManager.getCurrentDatabase(sessionId);
+      const pool = dbManager.getPool(dbId, sessionId);
+
+      const pid = parseInt(req.params.pid, 10);
+      const force = Boolean(req.body.force);
+      if (isNaN(pid)) {
+        return res.status(400).json({ error: "pid must be a number" });
+      }
+      if (force && !authManager.hasRole(req.user.role, "admin")) {
+        return res.status(403).json({ error: "Forcing requires admin role" });
+      }
+
+      let result;
+      try {
+        result = await sessionControl.signalBackend(pool, pid, action, force);
+      } catch (error) {
+        await auditSessionAction(req, dbId, action, pid, { success: false, error: error.message });
+        throw error;
+      }
+
+      await auditSessionAction(req, dbId, action, pid, result);
+      if (result.notFound) {
+        return res.status(404).json(result);
+      }
+      res.status(result.refused ? 409 : 200).json(result);
+    } catch (error) {
+      console.error(`Error running ${action} on session:`, error);
+      res.status(500).json({ error: `Failed to ${action} session` });
+    }
+  });
+});
+
+// Terminate every session idle in transaction for longer than N minutes
+app.post("/api/sessions/terminate-idle", requireRole("operator"), async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = dbManager.getCurrentDatabase(sessionId);
+    const pool = dbManager.getPool(dbId, sessionId);
+
+    const minutes = parseInt(req.body.minutes, 10);
+    const force = Boolean(req.body.force);
+    if (!(minutes > 0)) {
+      return res.status(400).json({ error: "minutes must be a positive number" });
+    }
+    if (force && !authManager.hasRole(req.user.role, "admin")) {
+      return res.status(403).json({ error: "Forcing requires admin role" });
+    }
+
+    const idle = await sessionControl.findIdleInTransaction(pool, minutes);
+    const results = [];
+    for (const session of idle) {
+      // One failing backend must not stop the others from being terminated
+      let result;
+      try {
+        result = await sessionControl.signalBackend(pool, session.pid, "terminate", force);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+      await auditSessionAction(req, dbId, "terminate", session.pid, result);
+      results.push({ pid: session.pid, ...result });
+    }
+
+    res.json({
+      minutes,
+      matched: idle.length,
+      terminated: results.filter((result) => result.success).length,
+      results,
+    });
+  } catch (error) {
+    console.error("Error terminating idle sessions:", error);
+    res.status(500).json({ error: "Failed to terminate idle sessions" });
+  }
+});
+
+// Audit trail of actions taken through pgpatrol
+app.get("/api/audit", requireRole("operator"), async (req, res) => {
+  try {
+    let from, to;
+    try {
+      from = req.query.from && new Date(metricsHistory.parseTimestamp(req.query.from)).toISOString();
+      to = req.query.to && new Date(metricsHistory.parseTimestamp(req.query.to)).toISOString();
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const entries = await auditLog.query({
+      from,
+      to,
+      action: req.query.action,
+      username: req.query.username,
+      connectionId: req.query.connectionId,
+      limit: parseInt(req.query.limit, 10) || undefined,
+    });
+    res.json(entries.filter((entry) => !entry.connectionId || canAccessConnection(req, entry.connectionId)));
+  } catch (error) {
+    console.error("Error fetching audit log:", error);
+    res.status(500).json({ error: "Failed to fetch audit log" });
+  }
+});
+
+// Prometheus scrape endpoint covering every registered connection
+app.get("/metrics", async (req, res) => {
+  try {
+    // The export spans every connection, so restricted users cannot scrape it
+    if (req.user.connections) {
+      return res.status(403).json({ error: "Requires access to all database connections" });
+    }
+
+    const metrics = await prometheusExporter.getMetrics();
+    res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    res.send(metrics);
+  } catch (error) {
+    console.error("Error collecting Prometheus metrics:", error);
+    res.status(500).send("# Failed to collect metrics\n");
+  }
+});
+
+// List metrics available in the history store
+app.get("/api/history", (req, res) => {
+  res.json({
+    metrics: metricsHistory.getMetrics(),
+    intervalSeconds: metricsHistory.intervalSeconds,
+    retentionDays: metricsHistory.retentionDays,
+  });
+});
+
+// Get the sampled history of a metric for a time range
+app.get("/api/history/:metric", async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const dbId = req.query.connectionId || dbManager.getCurrentDatabase(sessionId);
+    const { metric } = req.params;
+
+    if (!metricsHistory.hasMetric(metric)) {
+      return res.status(404).json({ error: "Metric not found" });
+    }
+    if (!dbManager.connections[dbId]) {
+      return res.status(404).json({ error: `Database connection '${dbId}' not found` });
+    }
+
+    let from, to, step;
+    try {
+      to = metricsHistory.parseTimestamp(req.query.to, Date.now());
+      from = metricsHistory.parseTimestamp(req.query.from, to - 60 * 60 * 1000);
+      step = req.query.step ? parseInt(req.query.step, 10) : undefined;
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (from > to) {
+      return res.status(400).json({ error: "'from' must be before 'to'" });
+    }
+    if (step !== undefined && !(step > 0)) {
+      return res.status(400).json({ error: "'step' must be a positive number of seconds" });
+    }
+
+    const history = await metricsHistory.query(dbId, metric, from, to, step);
+    res.json({
+      ...history,
+      databaseName: dbManager.connections[dbId].name,
+    });
+  } catch (error) {
+    console.error("Error fetching metric history:", error);
+    res.status(500).json({ error: "Failed to fetch metric history" });
+  }
+});
+
+// Alert rules
+app.get("/api/alerts/rules", (req, res) => {
+  res.json(alertManager.getRules());
+});
+
+app.post("/api/alerts/rules", requireRole("operator"), (req, res) => {
+  try {
+    const result = alertManager.createRule(req.body);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error creating alert rule:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/api/alerts/rules/:id", (req, res) => {
+  const rule = alertManager.getRule(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ error: "Alert rule not found" });
+  }
+  res.json(rule);
+});
+
+app.put("/api/alerts/rules/:id", requireRole("operator"), (req, res) => {
+  try {
+    if (!alertManager.getRule(req.params.id)) {
+      return res.status(404).json({ error: "Alert rule not found" });
+    }
+    const result = alertManager.updateRule(req.params.id, req.body);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error updating alert rule:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api/alerts/rules/:id", requireRole("operator"), (req, res) => {
+  try {
+    if (!alertManager.getRule(req.params.id)) {
+      return res.status(404).json({ error: "Alert rule not found" });
+    }
+    res.json(alertManager.deleteRule(req.params.id));
+  } catch (error) {
+    console.error("Error deleting alert rule:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Alert notifiers
+app.get("/api/alerts/notifiers", requireRole("admin"), (req, res) => {
+  res.json(alertManager.getNotifiers());
+});
+
+app.post("/api/alerts/notifiers", requireRole("admin"), (req, res) => {
+  try {
+    const result = alertManager.createNotifier(req.body);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error creating notifier:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api/alerts/notifiers/:id", requireRole("admin"), (req, res) => {
+  try {
+    res.json(alertManager.deleteNotifier(req.params.id));
+  } catch (error) {
+    console.error("Error deleting notifier:", error);
+    res.status(404).json({ error: error.message });
+  }
+});
+
+app.post("/api/alerts/notifiers/:id/test", requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await alertManager.testNotifier(req.params.id));
+  } catch (error) {
+    console.error("Error testing notifier:", error);
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Alert silences
+app.get("/api/alerts/silences", (req, res) => {
+  res.json(alertManager.getSilences());
+});
+
+app.post("/api/alerts/silences", requireRole("operator"), (req, res) => {
+  try {
+    const result = alertManager.createSilence({
+      ...req.body,
+      createdBy: req.user.username,
+    });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error creating silence:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api/alerts/silences/:id", requireRole("operator"), (req, res) => {
+  try {
+    res.json(alertManager.deleteSilence(req.params.id));
+  } catch (error) {
+    console.error("Error deleting silence:", error);
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Firing, pending and recently resolved alerts
+app.get("/api/alerts", (req, res) => {
+  const alerts = alertManager.getAlerts({
+    status: req.query.status,
+    connectionId: req.query.connectionId,
+  });
+  res.json(alerts.filter((alert) => canAccessConnection(req, alert.connectionId)));
+});
+
+app.post("/api/alerts/:id/ack", requireRole("operator"), (req, res) => {
+  try {
+    res.json(alertManager.acknowledge(req.params.id, req.user.username));
+  } catch (error) {
+    console.error("Error acknowledging alert:", error);
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Start the server
+const PORT = process.env.PORT || 3001;
+const server = app.listen(PORT, "0.0.0.0", () => {
+  console.log(`API server listening on port ${PORT}`);
+});
+
+// Start background collectors
+metricsHistory.start();
+alertManager.start();
+statementSnapshots.start();
+schemaSnapshots.start();
+
 // Handle process termination
 process.on("SIGINT", async () => {
   console.log("Shutting down API server...");
+  metricsHistory.stop();
+  statementSnapshots.stop();
+  schemaSnapshots.stop();
+  alertManager.stop();
+  streamHub.stop();
+  await queryConsole.stop();
   await dbManager.shutdown();
   server.close();
   process.exit();
@@ -580,6 +2376,12 @@ process.on("SIGINT", async () => {
 
 process.on("SIGTERM", async () => {
   console.log("Shutting down API server...");
+  metricsHistory.stop();
+  statementSnapshots.stop();
+  schemaSnapshots.stop();
+  alertManager.stop();
+  streamHub.stop();
+  await queryConsole.stop();
   await dbManager.shutdown();
   server.close();
   process.exit();
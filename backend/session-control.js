@@ -0,0 +1,92 @@
+// Session control: cancel queries and terminate backends with safety checks
+const dbManager = require('./db-manager');
+
+const TARGET_QUERY = `
+  SELECT a.pid, a.usename, a.application_name, a.client_addr, a.backend_type,
+         a.state, a.query, a.query_start, a.xact_start, a.state_change,
+         coalesce(r.rolsuper, false) AS is_superuser,
+         a.pid = pg_backend_pid() AS is_self
+  FROM pg_stat_activity a
+  LEFT JOIN pg_roles r ON r.oid = a.usesysid
+`;
+
+// Reason a backend must not be signalled without `force`, or null when it is safe
+function protectionReason(target) {
+  if (target.is_self || dbManager.isOwnApplication(target.application_name)) {
+    return 'Backend belongs to pgpatrol itself';
+  }
+  if (target.backend_type === 'walsender') {
+    return 'Backend is a replication connection';
+  }
+  if (target.backend_type && target.backend_type !== 'client backend') {
+    return `Backend is a ${target.backend_type} process`;
+  }
+  if (target.is_superuser) {
+    return 'Backend belongs to a superuser';
+  }
+  return null;
+}
+
+// Summary of the target stored with the result
+function describeTarget(target) {
+  return {
+    pid: target.pid,
+    usename: target.usename,
+    applicationName: target.application_name,
+    clientAddr: target.client_addr,
+    backendType: target.backend_type,
+    state: target.state,
+    query: target.query,
+    queryStart: target.query_start,
+  };
+}
+
+// Send pg_cancel_backend or pg_terminate_backend to a backend after checking it is safe to do so
+async function signalBackend(pool, pid, action, force = false) {
+  const lookup = await pool.query(`${TARGET_QUERY} WHERE a.pid = $1`, [pid]);
+  if (lookup.rows.length === 0) {
+    return { success: false, notFound: true, error: `No backend with pid ${pid}` };
+  }
+
+  const target = lookup.rows[0];
+  const reason = protectionReason(target);
+  if (reason && !force) {
+    return { success: false, refused: true, error: `${reason}; pass force to override`, target: describeTarget(target) };
+  }
+
+  const fn = action === 'terminate' ? 'pg_terminate_backend' : 'pg_cancel_backend';
+  let signalled;
+  try {
+    const result = await pool.query(`SELECT ${fn}($1) AS signalled`, [pid]);
+    signalled = result.rows[0].signalled;
+  } catch (error) {
+    // e.g. 42501 when a non-superuser signals a superuser backend
+    return { success: false, error: error.message, forced: Boolean(reason), target: describeTarget(target) };
+  }
+
+  return {
+    success: signalled,
+    error: signalled ? undefined : `${fn} returned false`,
+    forced: Boolean(reason),
+    target: describeTarget(target),
+  };
+}
+
+// Find sessions idle in transaction for longer than `minutes`
+async function findIdleInTransaction(pool, minutes) {
+  const result = await pool.query(`
+    ${TARGET_QUERY}
+    WHERE a.state IN ('idle in transaction', 'idle in transaction (aborted)')
+      AND a.state_change < now() - make_interval(mins => $1)
+    ORDER BY a.state_change
+  `, [minutes]);
+
+  return result.rows;
+}
+
+module.exports = {
+  signalBackend,
+  findIdleInTransaction,
+  protectionReason,
+  describeTarget,
+};
@@ -0,0 +1,323 @@
+// Server configuration: pg_settings with normalized units, hba rules, diffs, baselines and a tuning advisor
+const fs = require('fs');
+const path = require('path');
+
+const BASELINE_DIR = path.join(__dirname, 'data', 'settings-baselines');
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+// Multipliers from pg_settings units to bytes and milliseconds
+const MEMORY_UNITS = { B: 1, kB: 1024, MB, GB, TB: 1024 * GB };
+const TIME_UNITS = { us: 0.001, ms: 1, s: 1000, min: 60000, h: 3600000, d: 86400000 };
+
+// Paths and per-session values that always differ between servers and would clutter a diff
+const DIFF_IGNORED = [
+  'application_name', 'client_encoding', 'config_file', 'data_directory', 'external_pid_file',
+  'hba_file', 'ident_file', 'transaction_read_only', 'transaction_isolation', 'transaction_deferrable',
+];
+
+// pending_restart exists since PostgreSQL 9.5; s.* keeps older servers working
+const SETTINGS_QUERY = `
+  SELECT s.*
+  FROM pg_settings s
+  ORDER BY s.category, s.name
+`;
+
+// Convert a numeric setting to bytes or milliseconds; { normalized: null } when it has no such unit
+function normalize(setting, unit) {
+  const match = /^(\d+)?\s*(B|kB|MB|GB|TB|us|ms|s|min|h|d)$/.exec(unit || '');
+  const value = parseFloat(setting);
+  if (!match || isNaN(value)) {
+    return { normalized: null, normalizedUnit: null };
+  }
+
+  // -1 and 0 usually mean "disabled" or "use the default" rather than a size or duration
+  if (value <= 0) {
+    return { normalized: value, normalizedUnit: MEMORY_UNITS[match[2]] ? 'bytes' : 'ms' };
+  }
+
+  const factor = match[1] ? parseInt(match[1], 10) : 1;
+  return MEMORY_UNITS[match[2]]
+    ? { normalized: value * factor * MEMORY_UNITS[match[2]], normalizedUnit: 'bytes' }
+    : { normalized: value * factor * TIME_UNITS[match[2]], normalizedUnit: 'ms' };
+}
+
+function formatBytes(bytes) {
+  if (bytes >= GB && bytes % GB === 0) {
+    return `${bytes / GB}GB`;
+  }
+  if (bytes >= MB) {
+    return `${Math.round(bytes / MB)}MB`;
+  }
+  return `${Math.round(bytes / 1024)}kB`;
+}
+
+// Human-readable value, e.g. 128MB for shared_buffers = 16384 (8kB)
+function display(row, normalized, normalizedUnit) {
+  if (normalized === null || normalized <= 0) {
+    return row.setting;
+  }
+  if (normalizedUnit === 'bytes') {
+    return formatBytes(normalized);
+  }
+  return normalized % 1000 === 0 ? `${normalized / 1000}s` : `${normalized}ms`;
+}
+
+// All settings of the server behind `pool`
+async function getSettings(pool) {
+  const result = await pool.query(SETTINGS_QUERY);
+  return result.rows.map(row => {
+    const { normalized, normalizedUnit } = normalize(row.setting, row.unit);
+    return {
+      name: row.name,
+      setting: row.setting,
+      unit: row.unit,
+      normalized,
+      normalizedUnit,
+      display: display(row, normalized, normalizedUnit),
+      category: row.category,
+      description: row.short_desc,
+      context: row.context,
+      vartype: row.vartype,
+      source: row.source,
+      sourcefile: row.sourcefile || null,
+      sourceline: row.sourceline || null,
+      bootValue: row.boot_val,
+      resetValue: row.reset_val,
+      pendingRestart: row.pending_restart || false,
+      // Changed from the built-in default by configuration, not by our own session
+      nonDefault: !['default', 'override', 'client', 'session'].includes(row.source) && row.setting !== row.boot_val,
+    };
+  });
+}
+
+// Rules of pg_hba.conf as the server parsed them; only readable by superusers (PostgreSQL 10+)
+async function getHbaRules(pool) {
+  try {
+    const result = await pool.query('SELECT * FROM pg_hba_file_rules ORDER BY line_number');
+    return { readable: true, rules: result.rows };
+  } catch (error) {
+    return { readable: false, reason: error.message, rules: [] };
+  }
+}
+
+// Compare two lists of settings by name
+function diffSettings(a, b, { includeAll = false } = {}) {
+  const relevant = settings => new Map(settings
+    .filter(setting => includeAll || !DIFF_IGNORED.includes(setting.name))
+    .map(setting => [setting.name, setting]));
+  const left = relevant(a);
+  const right = relevant(b);
+  const summarize = setting => ({
+    setting: setting.setting,
+    unit: setting.unit,
+    display: setting.display,
+    source: setting.source,
+  });
+
+  const different = [];
+  left.forEach((setting, name) => {
+    const other = right.get(name);
+    // Compare normalized values so 1GB and 1024MB are equal
+    if (other && (setting.normalized !== null && other.normalized !== null
+      ? setting.normalized !== other.normalized
+      : setting.setting !== other.setting)) {
+      different.push({ name, category: setting.category, a: summarize(setting), b: summarize(other) });
+    }
+  });
+
+  return {
+    different,
+    onlyInA: Array.from(left.keys()).filter(name => !right.has(name)),
+    onlyInB: Array.from(right.keys()).filter(name => !left.has(name)),
+  };
+}
+
+function baselineFile(id) {
+  return path.join(BASELINE_DIR, `${String(id).replace(/[^\w-]/g, '_')}.json`);
+}
+
+// Save the settings of a connection as a named baseline
+async function saveBaseline(pool, { name, connectionId, connectionName, createdBy }) {
+  const baseline = {
+    id: `baseline_${Date.now()}`,
+    name: name || `${connectionName} ${new Date().toISOString()}`,
+    connectionId,
+    connectionName,
+    createdBy,
+    createdAt: new Date().toISOString(),
+    settings: await getSettings(pool),
+  };
+
+  await fs.promises.mkdir(BASELINE_DIR, { recursive: true });
+  await fs.promises.writeFile(baselineFile(baseline.id), JSON.stringify(baseline));
+
+  const { settings, ...meta } = baseline;
+  return { ...meta, settingCount: settings.length };
+}
+
+async function getBaseline(id) {
+  try {
+    return JSON.parse(await fs.promises.readFile(baselineFile(id), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Baselines without their settings, newest first
+async function listBaselines() {
+  let files;
+  try {
+    files = await fs.promises.readdir(BASELINE_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const baselines = [];
+  for (const file of files.filter(name => name.endsWith('.json'))) {
+    const { settings, ...meta } = JSON.parse(await fs.promises.readFile(path.join(BASELINE_DIR, file), 'utf8'));
+    baselines.push({ ...meta, settingCount: settings.length });
+  }
+  return baselines.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function deleteBaseline(id) {
+  try {
+    await fs.promises.unlink(baselineFile(id));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Parse the user's hardware hints; returns { hints } or { error }
+function parseHints({ ramGb, cpus, storage }) {
+  const hints = {};
+  if (ramGb !== undefined && ramGb !== '') {
+    if (!(parseFloat(ramGb) > 0)) {
+      return { error: 'ramGb must be a positive number' };
+    }
+    hints.ramBytes = parseFloat(ramGb) * GB;
+  }
+  if (cpus !== undefined && cpus !== '') {
+    if (!(parseInt(cpus, 10) > 0)) {
+      return { error: 'cpus must be a positive integer' };
+    }
+    hints.cpus = parseInt(cpus, 10);
+  }
+  if (storage !== undefined && storage !== '') {
+    if (!['ssd', 'hdd'].includes(storage)) {
+      return { error: 'storage must be ssd or hdd' };
+    }
+    hints.storage = storage;
+  }
+  return { hints };
+}
+
+// Rules-based tuning advice; RAM, CPU and storage rules only apply when the hint is given
+function advise(settings, hints = {}) {
+  const byName = new Map(settings.map(setting => [setting.name, setting]));
+  const get = name => byName.get(name);
+  const number = name => (get(name) ? parseFloat(get(name).setting) : null);
+  const bytes = name => (get(name) ? get(name).normalized : null);
+  const findings = [];
+
+  const add = (name, severity, recommended, reason) => {
+    if (get(name)) {
+      findings.push({ setting: name, current: get(name).display, recommended, severity, reason });
+    }
+  };
+
+  if (get('autovacuum') && get('autovacuum').setting === 'off') {
+    add('autovacuum', 'critical', 'on', 'Without autovacuum, dead rows accumulate and transaction ID wraparound is not prevented');
+  }
+  if (number('checkpoint_completion_target') !== null && number('checkpoint_completion_target') < 0.9) {
+    add('checkpoint_completion_target', 'info', '0.9', 'Spreading checkpoint writes over the interval smooths I/O spikes');
+  }
+
+  const { ramBytes, cpus, storage } = hints;
+
+  if (ramBytes) {
+    const sharedBuffers = bytes('shared_buffers');
+    if (sharedBuffers !== null && (sharedBuffers < 0.15 * ramBytes || sharedBuffers > 0.4 * ramBytes)) {
+      add('shared_buffers', sharedBuffers < 0.05 * ramBytes ? 'warning' : 'info', formatBytes(Math.round(0.25 * ramBytes / MB) * MB),
+        'About 25% of RAM is a good starting point; the OS cache covers the rest');
+    }
+
+    const cacheSize = bytes('effective_cache_size');
+    if (cacheSize !== null && cacheSize < 0.5 * ramBytes) {
+      add('effective_cache_size', 'info', formatBytes(Math.round(0.75 * ramBytes / MB) * MB),
+        'The planner underestimates cached data and avoids index scans');
+    }
+
+    const workMem = bytes('work_mem');
+    const maxConnections = number('max_connections');
+    if (workMem !== null && maxConnections && workMem * maxConnections > ramBytes) {
+      add('work_mem', workMem * maxConnections > 2 * ramBytes ? 'critical' : 'warning',
+        formatBytes(Math.max(Math.floor(0.25 * ramBytes / maxConnections / MB), 4) * MB),
+        `work_mem x max_connections (${formatBytes(workMem * maxConnections)}) exceeds RAM; one sort per connection can exhaust memory`);
+    }
+
+    const maintenance = bytes('maintenance_work_mem');
+    const recommendedMaintenance = Math.min(ramBytes / 16, 2 * GB);
+    if (maintenance !== null && maintenance < recommendedMaintenance / 2) {
+      add('maintenance_work_mem', 'info', formatBytes(Math.round(recommendedMaintenance / MB) * MB),
+        'VACUUM and CREATE INDEX run faster with more memory');
+    }
+
+    if (ramBytes >= 32 * GB && get('huge_pages') && get('huge_pages').setting === 'off') {
+      add('huge_pages', 'info', 'try', 'Huge pages reduce page-table overhead for large shared_buffers');
+    }
+  }
+
+  if (cpus) {
+    if (number('max_worker_processes') !== null && number('max_worker_processes') < cpus) {
+      add('max_worker_processes', 'info', String(cpus), 'Allow at least one background worker per CPU');
+    }
+    if (number('max_parallel_workers') !== null && number('max_parallel_workers') > cpus) {
+      add('max_parallel_workers', 'warning', String(cpus), 'More parallel workers than CPUs only adds contention');
+    }
+    if (number('max_parallel_workers_per_gather') !== null && number('max_parallel_workers_per_gather') > Math.max(Math.floor(cpus / 2), 1)) {
+      add('max_parallel_workers_per_gather', 'info', String(Math.max(Math.floor(cpus / 2), 1)),
+        'A single query should not take more than half of the CPUs');
+    }
+    if (number('max_connections') !== null && number('max_connections') > 20 * cpus) {
+      add('max_connections', 'warning', String(Math.max(4 * cpus, 100)),
+        'Many more connections than CPUs cause contention; use a connection pooler');
+    }
+  }
+
+  if (storage === 'ssd') {
+    if (number('random_page_cost') !== null && number('random_page_cost') >= 2) {
+      add('random_page_cost', 'warning', '1.1', 'Random reads on SSDs cost about as much as sequential ones');
+    }
+    if (number('effective_io_concurrency') !== null && number('effective_io_concurrency') <= 2) {
+      add('effective_io_concurrency', 'info', '200', 'SSDs serve many concurrent requests');
+    }
+  }
+
+  const rank = { critical: 0, warning: 1, info: 2 };
+  return findings.sort((a, b) => rank[a.severity] - rank[b.severity]);
+}
+
+module.exports = {
+  getSettings,
+  getHbaRules,
+  diffSettings,
+  saveBaseline,
+  getBaseline,
+  listBaselines,
+  deleteBaseline,
+  parseHints,
+  advise,
+};
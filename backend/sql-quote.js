@@ -0,0 +1,15 @@
+// Quoting for SQL that pgpatrol generates for users to run, such as DDL and maintenance statements
+
+// Always quoted, so reserved words like `order` or `user` stay valid identifiers
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+module.exports = {
+  quoteIdent,
+  quoteLiteral,
+};
@@ -0,0 +1,369 @@
+// pg_stat_statements snapshots and deltas between them
+const fs = require('fs');
+const path = require('path');
+const dbManager = require('./db-manager');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'data', 'statements');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// A full snapshot is written at most this often; the ones in between only hold the statements
+// that changed since that full snapshot (`<t>-<base>.json`)
+const FULL_SNAPSHOT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Statement text is cut to this length in snapshots
+const MAX_QUERY_LENGTH = 2000;
+
+// Counters kept per statement; deltas are computed for each of them
+const COUNTERS = [
+  'calls', 'total_exec_time', 'rows', 'shared_blks_hit', 'shared_blks_read',
+  'temp_blks_read', 'temp_blks_written',
+];
+
+// Sort keys accepted by top(); temp_blks is read plus written
+const ORDER_BY = ['total_exec_time', 'mean_exec_time', 'calls', 'rows', 'shared_blks_hit', 'shared_blks_read', 'temp_blks'];
+
+// total_time was split into total_plan_time and total_exec_time in pg_stat_statements 1.8 (PostgreSQL 13)
+const COLUMNS_QUERY = `
+  SELECT attname FROM pg_attribute
+  WHERE attrelid = 'pg_stat_statements'::regclass AND attnum > 0 AND NOT attisdropped
+`;
+
+function snapshotQuery(execTimeColumn) {
+  return `
+    SELECT queryid::text AS queryid, userid::regrole::text AS username, userid, dbid,
+           d.datname, left(query, ${MAX_QUERY_LENGTH}) AS query,
+           calls, ${execTimeColumn} AS total_exec_time, rows,
+           shared_blks_hit, shared_blks_read, temp_blks_read, temp_blks_written
+    FROM pg_stat_statements s
+    LEFT JOIN pg_database d ON d.oid = s.dbid
+    WHERE queryid IS NOT NULL
+  `;
+}
+
+// pg_stat_statements_info exists from pg_stat_statements 1.9 (PostgreSQL 14). The view is
+// resolved when a query is parsed, so it is looked up first and only then selected from.
+const STATS_RESET_VIEW_QUERY = `SELECT to_regclass('pg_stat_statements_info') IS NOT NULL AS present`;
+const STATS_RESET_QUERY = 'SELECT stats_reset FROM pg_stat_statements_info';
+
+// Time of the last pg_stat_statements reset, or null when the server does not record it
+async function readStatsReset(pool) {
+  if (!(await pool.query(STATS_RESET_VIEW_QUERY)).rows[0].present) {
+    return null;
+  }
+  return (await pool.query(STATS_RESET_QUERY)).rows[0].stats_reset;
+}
+
+// Snapshot files are `<t>.json` (full) or `<t>-<base>.json` (changes since the full snapshot `base`)
+const FILE_PATTERN = /^(\d+)(?:-(\d+))?\.json$/;
+
+function statementKey(row) {
+  return `${row.queryid}:${row.userid}:${row.dbid}`;
+}
+
+class StatementSnapshots {
+  constructor() {
+    this.intervalSeconds = parseInt(process.env.STATEMENTS_SNAPSHOT_INTERVAL, 10) || 300;
+    this.retentionDays = parseInt(process.env.STATEMENTS_RETENTION_DAYS, 10) || 7;
+    this.timer = null;
+    this.snapshotting = false;
+    this.lastPrune = 0;
+    // Last full snapshot written per connection, the base of the partial ones that follow
+    this.bases = {};
+    // Time of the last reset() per connection, for servers without pg_stat_statements_info
+    this.resets = {};
+  }
+
+  getOrderBy() {
+    return ORDER_BY;
+  }
+
+  // Start the background snapshotter
+  start() {
+    if (this.timer || process.env.STATEMENTS_SNAPSHOTS_ENABLED === 'false') {
+      return;
+    }
+
+    console.log(`Snapshotting pg_stat_statements every ${this.intervalSeconds}s (retention ${this.retentionDays} days)`);
+    this.timer = setInterval(() => this.snapshotAll(), this.intervalSeconds * 1000);
+    this.snapshotAll();
+  }
+
+  // Stop the background snapshotter
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Snapshot every registered (non-temporary) connection
+  async snapshotAll() {
+    // Skip the tick if the previous one is still waiting on a slow server
+    if (this.snapshotting) {
+      return;
+    }
+
+    this.snapshotting = true;
+    try {
+      const ids = Object.keys(dbManager.connections)
+        .filter(id => !dbManager.connections[id].temporary);
+
+      await Promise.all(ids.map(id => this.snapshot(dbManager.getMonitorPool(id), id).catch(error => {
+        console.warn(`Unable to snapshot pg_stat_statements for database ${id}:`, error.message);
+      })));
+
+      if (Date.now() - this.lastPrune > PRUNE_INTERVAL_MS) {
+        await this.prune();
+      }
+    } catch (error) {
+      console.error('Error snapshotting pg_stat_statements:', error);
+    } finally {
+      this.snapshotting = false;
+    }
+  }
+
+  // Read pg_stat_statements through `pool` and store it as a snapshot of connection `id`
+  async snapshot(pool, id) {
+    const columns = (await pool.query(COLUMNS_QUERY)).rows.map(row => row.attname);
+    const execTimeColumn = columns.includes('total_exec_time') ? 'total_exec_time' : 'total_time';
+
+    const statsReset = await readStatsReset(pool);
+    const result = await pool.query(snapshotQuery(execTimeColumn));
+    const snapshot = {
+      t: Date.now(),
+      statsReset: statsReset ? new Date(statsReset).toISOString() : await this.getRecordedReset(id),
+      statements: result.rows.map(row => {
+        const statement = {
+          queryid: row.queryid,
+          userid: row.userid,
+          dbid: row.dbid,
+          username: row.username,
+          database: row.datname,
+          query: row.query,
+        };
+        COUNTERS.forEach(counter => {
+          statement[counter] = parseFloat(row[counter]);
+        });
+        return statement;
+      }),
+    };
+
+    const dir = this.connectionDir(id);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const base = this.bases[id];
+    if (!base || snapshot.t - base.t >= FULL_SNAPSHOT_INTERVAL_MS || base.statsReset !== snapshot.statsReset) {
+      await fs.promises.writeFile(path.join(dir, `${snapshot.t}.json`), JSON.stringify(snapshot));
+      this.bases[id] = {
+        t: snapshot.t,
+        statsReset: snapshot.statsReset,
+        statements: new Map(snapshot.statements.map(statement => [statementKey(statement), statement])),
+      };
+    } else {
+      const changes = this.changesSince(base, snapshot);
+      await fs.promises.writeFile(path.join(dir, `${snapshot.t}-${base.t}.json`), JSON.stringify(changes));
+    }
+
+    return { timestamp: new Date(snapshot.t).toISOString(), statements: snapshot.statements.length };
+  }
+
+  // Statements that are new or whose counters moved since the base, and the keys that disappeared
+  changesSince(base, snapshot) {
+    const current = new Set();
+    const statements = snapshot.statements.filter(statement => {
+      const key = statementKey(statement);
+      current.add(key);
+      const old = base.statements.get(key);
+      return !old || COUNTERS.some(counter => old[counter] !== statement[counter]);
+    });
+
+    return {
+      t: snapshot.t,
+      base: base.t,
+      statsReset: snapshot.statsReset,
+      statements,
+      removed: Array.from(base.statements.keys()).filter(key => !current.has(key)),
+    };
+  }
+
+  // Reset time recorded by reset(), kept on disk so it survives restarts
+  async getRecordedReset(id) {
+    if (this.resets[id] === undefined) {
+      try {
+        const content = await fs.promises.readFile(path.join(this.connectionDir(id), 'reset.json'), 'utf8');
+        this.resets[id] = JSON.parse(content).resetAt;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        this.resets[id] = null;
+      }
+    }
+    return this.resets[id];
+  }
+
+  connectionDir(id) {
+    return path.join(SNAPSHOT_DIR, String(id).replace(/[^\w-]/g, '_'));
+  }
+
+  // Stored snapshot files of a connection as { t, base, file }, oldest first; base is null for full snapshots
+  async listFiles(id) {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.connectionDir(id));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return files
+      .map(file => FILE_PATTERN.exec(file))
+      .filter(Boolean)
+      .map(([file, t, base]) => ({ t: parseInt(t, 10), base: base ? parseInt(base, 10) : null, file }))
+      .sort((a, b) => a.t - b.t);
+  }
+
+  // Timestamps of the stored snapshots of a connection, oldest first
+  async listSnapshots(id) {
+    return (await this.listFiles(id)).map(entry => entry.t);
+  }
+
+  async readFile(id, file) {
+    const content = await fs.promises.readFile(path.join(this.connectionDir(id), file), 'utf8');
+    return JSON.parse(content);
+  }
+
+  // Full statement list of a snapshot, applying a partial snapshot to its base
+  async readSnapshot(id, entry) {
+    const snapshot = await this.readFile(id, entry.file);
+    if (entry.base === null) {
+      return snapshot;
+    }
+
+    const base = await this.readFile(id, `${entry.base}.json`);
+    const statements = new Map(base.statements.map(statement => [statementKey(statement), statement]));
+    snapshot.removed.forEach(key => statements.delete(key));
+    snapshot.statements.forEach(statement => statements.set(statementKey(statement), statement));
+
+    return { t: snapshot.t, statsReset: snapshot.statsReset, statements: Array.from(statements.values()) };
+  }
+
+  // Statements ranked by their counter deltas between the snapshots bracketing [from, to];
+  // null when fewer than two snapshots fall in the range
+  async top(id, { from, to, orderBy = 'total_exec_time', limit = 50 }) {
+    const entries = await this.listFiles(id);
+
+    // Latest snapshot taken at or before each bound; the earliest one if `from` predates them all
+    const atOrBefore = bound => entries.filter(entry => entry.t <= bound).pop();
+    const end = atOrBefore(to);
+    const start = atOrBefore(from) || entries.find(entry => entry.t <= to);
+
+    if (!end || !start || start.t === end.t) {
+      return null;
+    }
+
+    const [before, after] = await Promise.all([this.readSnapshot(id, start), this.readSnapshot(id, end)]);
+    const previous = new Map(before.statements.map(statement => [statementKey(statement), statement]));
+
+    // A reset inside the window restarts every counter, even those that have since climbed past their old value.
+    // Snapshots written before stats resets were tracked have no statsReset and are compared row by row.
+    const windowReset = before.statsReset !== undefined && after.statsReset !== undefined &&
+      before.statsReset !== after.statsReset;
+
+    const statements = [];
+    after.statements.forEach(statement => {
+      const old = previous.get(statementKey(statement));
+
+      // Missing before (new or evicted) or counters went backwards (reset): the current values are the delta
+      const reset = windowReset || !old || statement.calls < old.calls;
+      const delta = {};
+      COUNTERS.forEach(counter => {
+        delta[counter] = reset ? statement[counter] : statement[counter] - old[counter];
+      });
+      if (delta.calls <= 0) {
+        return;
+      }
+
+      statements.push({
+        queryid: statement.queryid,
+        userid: statement.userid,
+        dbid: statement.dbid,
+        user: statement.username,
+        database: statement.database,
+        query: statement.query,
+        calls: delta.calls,
+        total_exec_time: delta.total_exec_time,
+        mean_exec_time: delta.total_exec_time / delta.calls,
+        rows: delta.rows,
+        shared_blks_hit: delta.shared_blks_hit,
+        shared_blks_read: delta.shared_blks_read,
+        temp_blks_read: delta.temp_blks_read,
+        temp_blks_written: delta.temp_blks_written,
+        temp_blks: delta.temp_blks_read + delta.temp_blks_written,
+        // Mean time up to the start snapshot, to spot statements that got slower
+        previous_mean_exec_time: !reset && old.calls > 0 ? old.total_exec_time / old.calls : null,
+        reset,
+      });
+    });
+
+    statements.sort((a, b) => b[orderBy] - a[orderBy]);
+
+    return {
+      from: new Date(start.t).toISOString(),
+      to: new Date(end.t).toISOString(),
+      statsReset: windowReset ? after.statsReset : null,
+      orderBy,
+      total: statements.length,
+      totals: {
+        calls: statements.reduce((sum, statement) => sum + statement.calls, 0),
+        total_exec_time: statements.reduce((sum, statement) => sum + statement.total_exec_time, 0),
+      },
+      statements: statements.slice(0, limit),
+    };
+  }
+
+  // Call pg_stat_statements_reset(); a snapshot is taken first so the window before the reset is kept
+  async reset(pool, id) {
+    const before = await this.snapshot(pool, id);
+    await pool.query('SELECT pg_stat_statements_reset()');
+
+    const resetAt = new Date().toISOString();
+    await fs.promises.writeFile(path.join(this.connectionDir(id), 'reset.json'), JSON.stringify({ resetAt }));
+    this.resets[id] = resetAt;
+
+    return { snapshot: before };
+  }
+
+  // Delete snapshots older than the retention period
+  async prune() {
+    this.lastPrune = Date.now();
+    const cutoff = Date.now() - this.retentionDays * DAY_MS;
+
+    let dirs;
+    try {
+      dirs = await fs.promises.readdir(SNAPSHOT_DIR);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    for (const dir of dirs) {
+      const entries = await this.listFiles(dir);
+
+      // Full snapshots that kept partial ones are built on stay until those expire too
+      const bases = new Set(entries.filter(entry => entry.t >= cutoff && entry.base !== null).map(entry => entry.base));
+      for (const entry of entries) {
+        if (entry.t < cutoff && !bases.has(entry.t)) {
+          await fs.promises.unlink(path.join(SNAPSHOT_DIR, dir, entry.file));
+        }
+      }
+    }
+  }
+}
+
+module.exports = new StatementSnapshots();
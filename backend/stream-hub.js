@@ -0,0 +1,210 @@
+// Server-Sent Events hub: one collector per connection and topic, fanned out to every subscriber
+const dbManager = require('./db-manager');
+const queries = require('./queries');
+const lockGraph = require('./lock-graph');
+const activity = require('./activity');
+
+// Analysis keys from the queries.js catalog are subscribed to as `analyze:<key>`
+const ANALYZE_PREFIX = 'analyze:';
+
+// Comment line sent to idle subscribers so proxies do not close the stream
+const KEEPALIVE_MS = 15000;
+
+const STATS_QUERY = `
+  SELECT pg_database_size(current_database()) AS size_bytes,
+         pg_size_pretty(pg_database_size(current_database())) AS size,
+         (SELECT count(*) FROM information_schema.tables WHERE table_schema = 'public') AS table_count,
+         (SELECT count(*) FROM pg_stat_activity) AS connections,
+         (SELECT count(*) FROM pg_stat_activity WHERE state = 'active' AND pid <> pg_backend_pid()) AS active_queries
+`;
+
+// Collectors for the fixed topics; each receives a client of the monitor pool
+const COLLECTORS = {
+  stats: async client => {
+    const row = (await client.query(STATS_QUERY)).rows[0];
+    return {
+      size: row.size,
+      sizeBytes: parseInt(row.size_bytes, 10),
+      tableCount: parseInt(row.table_count, 10),
+      connections: parseInt(row.connections, 10),
+      activeQueries: parseInt(row.active_queries, 10),
+    };
+  },
+  activity: client => activity.getActivity(client),
+  locks: client => lockGraph.buildLockGraph(client),
+};
+
+class StreamHub {
+  constructor() {
+    // Channel per `${connectionId}|${topic}`: subscribers, timer and last result
+    this.channels = {};
+    this.subscribers = new Set();
+    this.intervalSeconds = parseInt(process.env.STREAM_INTERVAL, 10) || 5;
+    this.keepaliveTimer = null;
+  }
+
+  // Whether `topic` names a collector
+  isTopic(topic) {
+    if (topic.startsWith(ANALYZE_PREFIX)) {
+      return queries.has(topic.substring(ANALYZE_PREFIX.length));
+    }
+    return Boolean(COLLECTORS[topic]);
+  }
+
+  // Topics a client can subscribe to
+  getTopics() {
+    return [
+      ...Object.keys(COLLECTORS),
+      ...queries.getKeys().map(key => `${ANALYZE_PREFIX}${key}`),
+    ];
+  }
+
+  // Register an SSE response for `topics` of `connectionId`; returns the unsubscribe function
+  subscribe(res, connectionId, topics) {
+    const subscriber = { res, connectionId, topics };
+    this.subscribers.add(subscriber);
+
+    topics.forEach(topic => {
+      const channel = this.getChannel(connectionId, topic);
+      channel.subscribers.add(subscriber);
+
+      // Late subscribers get the latest result right away instead of waiting for the next tick
+      if (channel.last) {
+        this.write(subscriber, topic, channel.last);
+      }
+    });
+
+    this.startKeepalive();
+    return () => this.unsubscribe(subscriber);
+  }
+
+  // Remove a subscriber and stop channels nobody listens to anymore
+  unsubscribe(subscriber) {
+    this.subscribers.delete(subscriber);
+
+    subscriber.topics.forEach(topic => {
+      const key = `${subscriber.connectionId}|${topic}`;
+      const channel = this.channels[key];
+      if (!channel) {
+        return;
+      }
+
+      channel.subscribers.delete(subscriber);
+      if (channel.subscribers.size === 0) {
+        clearInterval(channel.timer);
+        delete this.channels[key];
+      }
+    });
+
+    if (this.subscribers.size === 0) {
+      this.stopKeepalive();
+    }
+  }
+
+  // Get or start the channel collecting `topic` for `connectionId`
+  getChannel(connectionId, topic) {
+    const key = `${connectionId}|${topic}`;
+    if (!this.channels[key]) {
+      const channel = {
+        connectionId,
+        topic,
+        subscribers: new Set(),
+        last: null,
+        running: false,
+        timer: null,
+      };
+      channel.timer = setInterval(() => this.collect(channel), this.intervalSeconds * 1000);
+      this.channels[key] = channel;
+      this.collect(channel);
+    }
+    return this.channels[key];
+  }
+
+  // Run the collector of a channel once and send the result to its subscribers
+  async collect(channel) {
+    // Skip the tick if the previous one is still waiting on a slow server
+    if (channel.running) {
+      return;
+    }
+
+    channel.running = true;
+    let client;
+    let message;
+    try {
+      client = await dbManager.getMonitorPool(channel.connectionId).connect();
+      message = {
+        topic: channel.topic,
+        connectionId: channel.connectionId,
+        timestamp: new Date().toISOString(),
+        data: await this.runCollector(client, channel),
+      };
+    } catch (error) {
+      console.warn(`Unable to collect ${channel.topic} for database ${channel.connectionId}:`, error.message);
+      message = {
+        topic: channel.topic,
+        connectionId: channel.connectionId,
+        timestamp: new Date().toISOString(),
+        error: error.message,
+      };
+    } finally {
+      if (client) {
+        client.release();
+      }
+      channel.running = false;
+    }
+
+    channel.last = message;
+    channel.subscribers.forEach(subscriber => this.write(subscriber, channel.topic, message));
+  }
+
+  async runCollector(client, channel) {
+    const { topic } = channel;
+    if (topic.startsWith(ANALYZE_PREFIX)) {
+      const key = topic.substring(ANALYZE_PREFIX.length);
+      const capabilities = await dbManager.getCapabilities(channel.connectionId);
+      const unmet = queries.checkRequirements(key, capabilities);
+      if (unmet) {
+        throw new Error(unmet.message);
+      }
+      const result = await client.query(queries.resolve(key, capabilities));
+      return {
+        key,
+        count: result.rows.length,
+        data: result.rows,
+        columns: result.fields.map(field => field.name),
+      };
+    }
+    return COLLECTORS[topic](client);
+  }
+
+  // Send one event, named after its topic
+  write(subscriber, topic, message) {
+    subscriber.res.write(`event: ${topic}\ndata: ${JSON.stringify(message)}\n\n`);
+  }
+
+  startKeepalive() {
+    if (this.keepaliveTimer) {
+      return;
+    }
+    this.keepaliveTimer = setInterval(() => {
+      this.subscribers.forEach(subscriber => subscriber.res.write(': keepalive\n\n'));
+    }, KEEPALIVE_MS);
+  }
+
+  stopKeepalive() {
+    if (this.keepaliveTimer) {
+      clearInterval(this.keepaliveTimer);
+      this.keepaliveTimer = null;
+    }
+  }
+
+  // End every stream and stop all collectors
+  stop() {
+    Array.from(this.subscribers).forEach(subscriber => {
+      this.unsubscribe(subscriber);
+      subscriber.res.end();
+    });
+  }
+}
+
+module.exports = new StreamHub();
@@ -1,6 +1,6 @@
 REM Windows test utility for the backend
 
-REM get an alive session id
+REM sessionId returned by POST /api/auth/login
 SET SESSIOND=28299d36-70f6-4887-9f9d-ef0aea5802de
 
 REM Resource stats
@@ -38,51 +38,61 @@ check_server() {
 # Start by checking if server is running
 check_server
 
+# Log in as an operator or admin; every request below reuses the session
+ADMIN_USER="${ADMIN_USER:-admin}"
+ADMIN_PASSWORD="${ADMIN_PASSWORD:?Set ADMIN_PASSWORD to the password of $ADMIN_USER}"
+
+print_header "Testing POST /api/auth/login"
+LOGIN_RESPONSE=$(curl -s -X POST -H "Content-Type: application/json" \
+  -d "{\"username\":\"$ADMIN_USER\", \"password\":\"$ADMIN_PASSWORD\"}" \
+  "$API_URL/auth/login")
+
+echo "$LOGIN_RESPONSE" | jq .
+AUTH_SESSION=$(echo "$LOGIN_RESPONSE" | jq -r '.sessionId')
+
 # Test 1: Get all connections
 print_header "Testing GET /api/connections"
-curl -s "$API_URL/connections" | jq .
+curl -s -H "X-Session-ID: $AUTH_SESSION" "$API_URL/connections" | jq .
 
 # Test 2: Test connection with parameters
 print_header "Testing POST /api/test-connection-params"
-curl -s -X POST -H "Content-Type: application/json" \
+curl -s -X POST -H "Content-Type: application/json" -H "X-Session-ID: $AUTH_SESSION" \
   -d "{\"host\":\"$HOST\", \"port\":\"$PORT\", \"database\":\"$DATABASE\", \"username\":\"$USERNAME\", \"password\":\"$PASSWORD\", \"ssl\":true}" \
   "$API_URL/test-connection-params" | jq .
 
 # Test 3: Connect using parameters (new approach)
 print_header "Testing POST /api/connect"
-CONNECT_RESPONSE=$(curl -s -X POST -H "Content-Type: application/json" \
+CONNECT_RESPONSE=$(curl -s -X POST -H "Content-Type: application/json" -H "X-Session-ID: $AUTH_SESSION" \
   -d "{\"host\":\"$HOST\", \"port\":\"$PORT\", \"database\":\"$DATABASE\", \"username\":\"$USERNAME\", \"password\":\"$PASSWORD\", \"name\":\"Test Connection\", \"ssl\":true}" \
   "$API_URL/connect")
 
 echo "$CONNECT_RESPONSE" | jq .
 
-# Extract session ID and connection ID for subsequent requests
-SESSION_ID=$(echo "$CONNECT_RESPONSE" | jq -r '.sessionId')
+# The new connection is now the active database of the login session
 CONNECTION_ID=$(echo "$CONNECT_RESPONSE" | jq -r '.connectionId')
 
-echo -e "${YELLOW}Connected with Session ID: $SESSION_ID${NC}"
 echo -e "${YELLOW}Connection ID: $CONNECTION_ID${NC}"
 
-# Test 4: Get connection status (with session)
-print_header "Testing GET /api/connection (with session ID)"
-curl -s -H "X-Session-ID: $SESSION_ID" "$API_URL/connection" | jq .
+# Test 4: Get connection status
+print_header "Testing GET /api/connection"
+curl -s -H "X-Session-ID: $AUTH_SESSION" "$API_URL/connection" | jq .
 
 # Test 5: Get database stats
-print_header "Testing GET /api/stats (with session ID)"
-curl -s -H "X-Session-ID: $SESSION_ID" "$API_URL/stats" | jq .
+print_header "Testing GET /api/stats"
+curl -s -H "X-Session-ID: $AUTH_SESSION" "$API_URL/stats" | jq .
 
 # Test 6: Get resource stats
-print_header "Testing GET /api/resource-stats (with session ID)"
-curl -s -H "X-Session-ID: $SESSION_ID" "$API_URL/resource-stats" | jq .
+print_header "Testing GET /api/resource-stats"
+curl -s -H "X-Session-ID: $AUTH_SESSION" "$API_URL/resource-stats" | jq .
 
 # Test 7: Get query logs
-print_header "Testing GET /api/query-logs (with session ID)"
-curl -s -H "X-Session-ID: $SESSION_ID" "$API_URL/query-logs" | jq .
+print_header "Testing GET /api/query-logs"
+curl -s -H "X-Session-ID: $AUTH_SESSION" "$API_URL/query-logs" | jq .
 
 # Test 8: Test connection with connection string
 print_header "Testing POST /api/connect-string"
 CONNECTION_STRING="postgresql://$USERNAME:$PASSWORD@$HOST:$PORT/$DATABASE?sslmode=require"
-curl -s -X POST -H "Content-Type: application/json" \
+curl -s -X POST -H "Content-Type: application/json" -H "X-Session-ID: $AUTH_SESSION" \
   -d "{\"connectionString\":\"$CONNECTION_STRING\", \"name\":\"String Connection Test\"}" \
   "$API_URL/connect-string" | jq .
 
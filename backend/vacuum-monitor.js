@@ -0,0 +1,215 @@
+// Autovacuum health and transaction-ID wraparound monitoring
+const metricsHistory = require('./metrics-history');
+
+// The server stops assigning xids this close to wraparound (3M on PostgreSQL 14+, 1M before)
+const WRAPAROUND_LIMIT = 2147483647 - 3000000;
+
+// Window of sampled xid_next values used to estimate the consumption rate
+const RATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const SETTINGS_QUERY = `
+  SELECT name, setting
+  FROM pg_settings
+  WHERE name IN (
+    'autovacuum', 'autovacuum_max_workers', 'autovacuum_naptime',
+    'autovacuum_freeze_max_age', 'autovacuum_multixact_freeze_max_age',
+    'autovacuum_vacuum_threshold', 'autovacuum_vacuum_scale_factor',
+    'autovacuum_analyze_threshold', 'autovacuum_analyze_scale_factor',
+    'vacuum_freeze_min_age', 'vacuum_freeze_table_age'
+  )
+`;
+
+const DATABASES_QUERY = `
+  SELECT datname, age(datfrozenxid) AS xid_age, mxid_age(datminmxid) AS mxid_age
+  FROM pg_database
+  WHERE datallowconn
+  ORDER BY age(datfrozenxid) DESC
+`;
+
+const TABLES_QUERY = `
+  SELECT n.nspname AS schemaname, c.relname, c.reloptions, c.reltuples,
+         age(c.relfrozenxid) AS xid_age,
+         s.n_live_tup, s.n_dead_tup, s.n_mod_since_analyze,
+         s.last_vacuum, s.last_autovacuum, s.last_analyze, s.last_autoanalyze,
+         s.vacuum_count, s.autovacuum_count, s.analyze_count, s.autoanalyze_count
+  FROM pg_class c
+  JOIN pg_namespace n ON n.oid = c.relnamespace
+  LEFT JOIN pg_stat_user_tables s ON s.relid = c.oid
+  WHERE c.relkind IN ('r', 'm')
+    AND n.nspname NOT IN ('pg_catalog', 'information_schema')
+    AND n.nspname NOT LIKE 'pg_toast%'
+  ORDER BY age(c.relfrozenxid) DESC
+`;
+
+// p.* keeps working across the column renames of pg_stat_progress_vacuum
+const WORKERS_QUERY = `
+  SELECT a.pid, a.datname, a.query, a.xact_start,
+         extract(epoch FROM now() - a.xact_start) AS running_seconds,
+         p.relid::regclass::text AS relation, p.*
+  FROM pg_stat_activity a
+  LEFT JOIN pg_stat_progress_vacuum p ON p.pid = a.pid
+  WHERE a.backend_type = 'autovacuum worker'
+`;
+
+// Turn ['autovacuum_vacuum_scale_factor=0.01', ...] into an object
+function parseReloptions(reloptions) {
+  const options = {};
+  (reloptions || []).forEach(option => {
+    const index = option.indexOf('=');
+    options[option.substring(0, index)] = option.substring(index + 1);
+  });
+  return options;
+}
+
+function numberOption(options, name, fallback) {
+  return options[name] !== undefined ? parseFloat(options[name]) : fallback;
+}
+
+function percent(value, limit) {
+  return limit > 0 ? Math.round((10000 * value) / limit) / 100 : null;
+}
+
+// Estimate xids consumed per second from the sampled xid_next history
+async function xidConsumptionRate(connectionId) {
+  if (!connectionId) {
+    return null;
+  }
+
+  const to = Date.now();
+  const samples = (await metricsHistory.readSamples(connectionId, to - RATE_WINDOW_MS, to))
+    .filter(sample => sample.m.xid_next !== undefined);
+  if (samples.length < 2) {
+    return null;
+  }
+
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const seconds = (last.t - first.t) / 1000;
+  if (seconds <= 0) {
+    return null;
+  }
+
+  return {
+    xidsPerSecond: Math.max(last.m.xid_next - first.m.xid_next, 0) / seconds,
+    windowSeconds: seconds,
+    samples: samples.length,
+  };
+}
+
+function secondsUntil(remaining, rate) {
+  if (!rate || rate.xidsPerSecond <= 0) {
+    return null;
+  }
+  return Math.max(remaining, 0) / rate.xidsPerSecond;
+}
+
+// Full autovacuum report for the database behind `pool`
+async function getVacuumReport(pool, connectionId) {
+  const settingsResult = await pool.query(SETTINGS_QUERY);
+  const settings = {};
+  settingsResult.rows.forEach(row => {
+    settings[row.name] = row.setting;
+  });
+
+  const freezeMaxAge = parseInt(settings.autovacuum_freeze_max_age, 10);
+  const rate = await xidConsumptionRate(connectionId);
+
+  const databases = (await pool.query(DATABASES_QUERY)).rows.map(row => {
+    const xidAge = parseInt(row.xid_age, 10);
+    return {
+      database: row.datname,
+      xidAge,
+      mxidAge: parseInt(row.mxid_age, 10),
+      percentTowardsFreezeMaxAge: percent(xidAge, freezeMaxAge),
+      percentTowardsWraparound: percent(xidAge, WRAPAROUND_LIMIT),
+      secondsUntilForcedVacuum: secondsUntil(freezeMaxAge - xidAge, rate),
+      secondsUntilWraparound: secondsUntil(WRAPAROUND_LIMIT - xidAge, rate),
+    };
+  });
+
+  const tables = (await pool.query(TABLES_QUERY)).rows.map(row => {
+    const options = parseReloptions(row.reloptions);
+    const reltuples = Math.max(parseFloat(row.reltuples), 0);
+
+    // Per-table reloptions override the server-wide autovacuum settings
+    const vacuumThreshold = numberOption(options, 'autovacuum_vacuum_threshold', parseFloat(settings.autovacuum_vacuum_threshold)) +
+      numberOption(options, 'autovacuum_vacuum_scale_factor', parseFloat(settings.autovacuum_vacuum_scale_factor)) * reltuples;
+    const analyzeThreshold = numberOption(options, 'autovacuum_analyze_threshold', parseFloat(settings.autovacuum_analyze_threshold)) +
+      numberOption(options, 'autovacuum_analyze_scale_factor', parseFloat(settings.autovacuum_analyze_scale_factor)) * reltuples;
+    // A table can only lower the freeze age below the server setting
+    const tableFreezeMaxAge = Math.min(numberOption(options, 'autovacuum_freeze_max_age', freezeMaxAge), freezeMaxAge);
+
+    const xidAge = parseInt(row.xid_age, 10);
+    const deadTuples = parseInt(row.n_dead_tup, 10) || 0;
+    const modSinceAnalyze = parseInt(row.n_mod_since_analyze, 10) || 0;
+
+    return {
+      schema: row.schemaname,
+      table: row.relname,
+      autovacuumEnabled: options.autovacuum_enabled !== 'false' && settings.autovacuum !== 'off',
+      xidAge,
+      freezeMaxAge: tableFreezeMaxAge,
+      percentTowardsFreezeMaxAge: percent(xidAge, tableFreezeMaxAge),
+      percentTowardsWraparound: percent(xidAge, WRAPAROUND_LIMIT),
+      secondsUntilForcedVacuum: secondsUntil(tableFreezeMaxAge - xidAge, rate),
+      liveTuples: parseInt(row.n_live_tup, 10) || 0,
+      deadTuples,
+      vacuumThreshold: Math.round(vacuumThreshold),
+      needsVacuum: deadTuples > vacuumThreshold,
+      modSinceAnalyze,
+      analyzeThreshold: Math.round(analyzeThreshold),
+      needsAnalyze: modSinceAnalyze > analyzeThreshold,
+      lastVacuum: row.last_vacuum,
+      lastAutovacuum: row.last_autovacuum,
+      lastAnalyze: row.last_analyze,
+      lastAutoanalyze: row.last_autoanalyze,
+      vacuumCount: parseInt(row.vacuum_count, 10) || 0,
+      autovacuumCount: parseInt(row.autovacuum_count, 10) || 0,
+      analyzeCount: parseInt(row.analyze_count, 10) || 0,
+      autoanalyzeCount: parseInt(row.autoanalyze_count, 10) || 0,
+      reloptions: options,
+    };
+  });
+
+  const workers = (await pool.query(WORKERS_QUERY)).rows.map(row => ({
+    pid: row.pid,
+    database: row.datname,
+    relation: row.relation,
+    phase: row.phase || null,
+    runningSeconds: row.running_seconds !== null ? parseFloat(row.running_seconds) : null,
+    heapBlocksTotal: row.heap_blks_total !== undefined ? parseInt(row.heap_blks_total, 10) : null,
+    heapBlocksScanned: row.heap_blks_scanned !== undefined ? parseInt(row.heap_blks_scanned, 10) : null,
+    heapBlocksVacuumed: row.heap_blks_vacuumed !== undefined ? parseInt(row.heap_blks_vacuumed, 10) : null,
+    indexVacuumCount: row.index_vacuum_count !== undefined ? parseInt(row.index_vacuum_count, 10) : null,
+    percentScanned: row.heap_blks_total > 0 ? percent(row.heap_blks_scanned, row.heap_blks_total) : null,
+    // Autovacuum runs to prevent wraparound show up as such in the query text
+    antiWraparound: /to prevent wraparound/.test(row.query || ''),
+    query: row.query,
+  }));
+
+  const oldest = tables.length > 0 ? tables[0] : null;
+
+  return {
+    timestamp: new Date().toISOString(),
+    settings,
+    xidConsumption: rate,
+    databases,
+    tables,
+    needsVacuum: tables.filter(table => table.needsVacuum),
+    needsAnalyze: tables.filter(table => table.needsAnalyze),
+    workers,
+    summary: {
+      maxWorkers: parseInt(settings.autovacuum_max_workers, 10),
+      runningWorkers: workers.length,
+      oldestTable: oldest ? `${oldest.schema}.${oldest.table}` : null,
+      oldestTableXidAge: oldest ? oldest.xidAge : null,
+      secondsUntilForcedVacuum: oldest ? oldest.secondsUntilForcedVacuum : null,
+      tablesNeedingVacuum: tables.filter(table => table.needsVacuum).length,
+    },
+  };
+}
+
+module.exports = {
+  getVacuumReport,
+  WRAPAROUND_LIMIT,
+};
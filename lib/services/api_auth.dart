@@ -0,0 +1,100 @@
+import 'dart:convert';
+import 'package:http/http.dart' as http;
+
+/// Authenticates requests to the Node.js API.
+///
+/// Credentials are passed at build time, either an API token:
+///   flutter run --dart-define=PGPATROL_API_TOKEN=pgp_...
+/// or a local account that is logged in on first use:
+///   flutter run --dart-define=PGPATROL_USERNAME=admin --dart-define=PGPATROL_PASSWORD=...
+class ApiAuth {
+  static const String _apiToken = String.fromEnvironment('PGPATROL_API_TOKEN');
+  static const String _username = String.fromEnvironment('PGPATROL_USERNAME');
+  static const String _password = String.fromEnvironment('PGPATROL_PASSWORD');
+
+  // Singleton instance
+  static final ApiAuth _instance = ApiAuth._internal();
+  factory ApiAuth() => _instance;
+  ApiAuth._internal();
+
+  // Session of the logged-in account; the backend also keeps the selected database on it
+  String? _sessionId;
+
+  // Headers identifying the caller, logging in first when needed
+  Future<Map<String, String>> _authHeaders(String apiUrl) async {
+    if (_apiToken.isNotEmpty) {
+      return {'Authorization': 'Bearer $_apiToken'};
+    }
+
+    _sessionId ??= await _login(apiUrl);
+    return _sessionId != null ? {'X-Session-ID': _sessionId!} : {};
+  }
+
+  Future<String?> _login(String apiUrl) async {
+    if (_username.isEmpty) {
+      print('ApiAuth: No credentials configured; set PGPATROL_API_TOKEN or PGPATROL_USERNAME and PGPATROL_PASSWORD');
+      return null;
+    }
+
+    try {
+      final response = await http.post(
+        Uri.parse('$apiUrl/auth/login'),
+        headers: {'Content-Type': 'application/json'},
+        body: json.encode({'username': _username, 'password': _password}),
+      );
+
+      if (response.statusCode == 200) {
+        return json.decode(response.body)['sessionId'];
+      }
+      print('ApiAuth: Login failed with status ${response.statusCode}');
+    } catch (e) {
+      print('ApiAuth: Login error: $e');
+    }
+    return null;
+  }
+
+  /// GET an API endpoint; `apiUrl` is the base URL ending in `/api`
+  Future<http.Response> get(String apiUrl, String path) {
+    return _send(apiUrl, (headers) => http.get(Uri.parse('$apiUrl$path'), headers: headers));
+  }
+
+  /// POST a JSON body to an API endpoint
+  Future<http.Response> post(String apiUrl, String path, Object body) {
+    return _send(apiUrl, (headers) => http.post(
+      Uri.parse('$apiUrl$path'),
+      headers: {'Content-Type': 'application/json', ...headers},
+      body: json.encode(body),
+    ));
+  }
+
+  // Send with credentials, logging in again once when the session has expired
+  Future<http.Response> _send(
+    String apiUrl,
+    Future<http.Response> Function(Map<String, String> headers) request,
+  ) async {
+    final response = await request(await _authHeaders(apiUrl));
+    if (response.statusCode != 401 || _apiToken.isNotEmpty) {
+      return response;
+    }
+
+    _sessionId = null;
+    return request(await _authHeaders(apiUrl));
+  }
+
+  /// End the backend session, which also releases the temporary connections it created
+  Future<void> logout(String apiUrl) async {
+    if (_sessionId == null) {
+      return;
+    }
+
+    try {
+      await http.post(
+        Uri.parse('$apiUrl/auth/logout'),
+        headers: {'X-Session-ID': _sessionId!},
+      );
+    } catch (e) {
+      print('ApiAuth: Logout error: $e');
+    }
+    _sessionId = null;
+  }
+}
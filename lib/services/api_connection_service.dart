@@ -1,6 +1,6 @@
 import 'dart:convert';
-import 'package:http/http.dart' as http;
 import '../models/server_connection.dart';
+import 'api_auth.dart';
 
 class ApiConnectionService {
   // The base URL of the backend API
@@ -13,19 +13,17 @@ class ApiConnectionService {
     print('URL: $url');
     
     try {
-      final response = await http.post(
-        url,
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: jsonEncode({
+      final response = await ApiAuth().post(
+        '$baseUrl/api',
+        '/test-connection-params',
+        {
           'host': connection.host,
           'port': connection.port,
           'database': connection.database,
           'username': connection.username,
           'password': connection.password,
           'ssl': false, // Enable SSL mode by default
-        }),
+        },
       );
 
       print('Response: $response');
@@ -1,7 +1,6 @@
 import 'dart:async';
 import 'dart:convert';
 import 'package:flutter/foundation.dart';
-import 'package:http/http.dart' as http;
 import '../models/connection_status.dart';
 import '../models/analysis_result.dart';
 import '../models/database_stats.dart';
@@ -9,6 +8,7 @@ import '../models/table_stats.dart';
 import '../models/query_log.dart';
 import '../models/resource_stats.dart';
 import '../models/server_connection.dart';
+import 'api_auth.dart';
 import 'connection_manager.dart';
 
 /// DatabaseService implementation that uses our Node.js API instead of
@@ -62,10 +62,10 @@ class ApiDatabaseService {
       print('ApiDatabaseService: Connecting to ${connection.name} (ID: ${connection.id})');
       
       // If test is successful, connect to the database
-      final response = await http.post(
-        Uri.parse('$baseUrl/connect'),
-        headers: {'Content-Type': 'application/json'},
-        body: json.encode({
+      final response = await ApiAuth().post(
+        baseUrl,
+        '/connect',
+        {
           'host': connection.host,
           'port': connection.port,
           'database': connection.database,
@@ -73,7 +73,7 @@ class ApiDatabaseService {
           'password': connection.password,
           'name': connection.name,
           'ssl': false, // Enable SSL by default
-        }),
+        },
       );
       
       if (response.statusCode == 200) {
@@ -176,6 +176,9 @@ class ApiDatabaseService {
       // Store connection id before resetting
       final connectionId = _connectionId;
       
+      // End the backend session so it releases the temporary connection
+      await ApiAuth().logout(baseUrl);
+
       // Reset connection state
       _isConnected = false;
       _sessionId = null;
@@ -204,17 +207,17 @@ class ApiDatabaseService {
   /// Test a connection without actually connecting
   Future<Map<String, dynamic>> _testConnection(ServerConnection connection) async {
     try {
-      final response = await http.post(
-        Uri.parse('$baseUrl/test-connection-params'),
-        headers: {'Content-Type': 'application/json'},
-        body: json.encode({
+      final response = await ApiAuth().post(
+        baseUrl,
+        '/test-connection-params',
+        {
           'host': connection.host,
           'port': connection.port,
           'database': connection.database,
           'username': connection.username,
           'password': connection.password,
           'ssl': false, // Enable SSL by default
-        }),
+        },
       );
       
       if (response.statusCode == 200) {
@@ -250,10 +253,7 @@ class ApiDatabaseService {
     }
     
     try {
-      final response = await http.get(
-        Uri.parse('$baseUrl/connection'),
-        headers: {'X-Session-ID': _sessionId!},
-      );
+      final response = await ApiAuth().get(baseUrl, '/connection');
       
       if (response.statusCode == 200) {
         final data = json.decode(response.body);
@@ -334,10 +334,7 @@ class ApiDatabaseService {
     if (_sessionId == null) return;
     
     try {
-      final response = await http.get(
-        Uri.parse('$baseUrl/stats'),
-        headers: {'X-Session-ID': _sessionId!},
-      );
+      final response = await ApiAuth().get(baseUrl, '/stats');
       
       if (response.statusCode == 200) {
         final data = json.decode(response.body);
@@ -378,10 +375,7 @@ class ApiDatabaseService {
     if (_sessionId == null) return;
     
     try {
-      final response = await http.get(
-        Uri.parse('$baseUrl/table-stats'),
-        headers: {'X-Session-ID': _sessionId!},
-      );
+      final response = await ApiAuth().get(baseUrl, '/table-stats');
       
       if (response.statusCode == 200) {
         final data = json.decode(response.body);
@@ -416,10 +410,7 @@ class ApiDatabaseService {
     if (_sessionId == null) return;
 
     try {
-      final response = await http.get(
-        Uri.parse('$baseUrl/resource-stats'),
-        headers: {'X-Session-ID': _sessionId!},
-      );
+      final response = await ApiAuth().get(baseUrl, '/resource-stats');
 
       if (response.statusCode == 200) {
         final data = json.decode(response.body);
@@ -466,10 +457,7 @@ class ApiDatabaseService {
     if (_sessionId == null) return;
     
     try {
-      final response = await http.get(
-        Uri.parse('$baseUrl/query-logs'),
-        headers: {'X-Session-ID': _sessionId!},
-      );
+      final response = await ApiAuth().get(baseUrl, '/query-logs');
       
       if (response.statusCode == 200) {
         final List<dynamic> data = json.decode(response.body);
@@ -518,14 +506,7 @@ class ApiDatabaseService {
     }
     
     try {
-      final response = await http.post(
-        Uri.parse('$baseUrl/run-query'),
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Session-ID': _sessionId!,
-        },
-        body: json.encode({'query': query}),
-      );
+      final response = await ApiAuth().post(baseUrl, '/run-query', {'query': query});
       
       if (response.statusCode == 200) {
         final List<dynamic> results = json.decode(response.body);
@@ -544,7 +525,7 @@ class ApiDatabaseService {
   
   Future<List<ServerConnection>> getAvailableConnections() async {
     try {
-      final response = await http.get(Uri.parse('$baseUrl/connections'));
+      final response = await ApiAuth().get(baseUrl, '/connections');
       
       if (response.statusCode == 200) {
         final List<dynamic> data = json.decode(response.body);
@@ -670,12 +651,7 @@ class ApiDatabaseService {
     
     try {
       // Use query parameter instead of header for key
-      final response = await http.get(
-        Uri.parse('$baseUrl/analyze?key=$key'),
-        headers: {
-          'X-Session-ID': _sessionId!,
-        },
-      );
+      final response = await ApiAuth().get(baseUrl, '/analyze?key=$key');
       
       if (response.statusCode == 200) {
         final data = json.decode(response.body);